@@ -0,0 +1,314 @@
+import fs from "node:fs";
+import { ethers } from "ethers";
+import { connect } from "./lib/contracts.mjs";
+import { DEFAULT_NETWORK, deploymentSigner, openDeployment } from "./lib/deployments.mjs";
+
+// Owner operations as named subcommands. Every call is validated, then
+// simulated with eth_call from the owner (or --from). Without --send or
+// --safe this is a dry run. --safe writes a Safe Transaction Builder batch
+// holding the same calldata that was simulated. Several operations can be
+// chained with `+`:
+//   node scripts/admin.mjs set-kind-enabled 9 true + set-max-mass 500000 --safe batch.json
+
+function uintArg(value, name, bits = 256, min = 0n) {
+  if (!/^\d+$/.test(value ?? "")) throw new Error(`${name} must be a non-negative integer, got ${JSON.stringify(value)}`);
+  const v = BigInt(value);
+  if (v < min || v >= 1n << BigInt(bits)) throw new Error(`${name} must be between ${min} and 2^${bits}-1, got ${value}`);
+  return v;
+}
+
+function boolArg(value, name) {
+  if (["true", "on", "1"].includes(value)) return true;
+  if (["false", "off", "0"].includes(value)) return false;
+  throw new Error(`${name} must be true or false, got ${JSON.stringify(value)}`);
+}
+
+function addressArg(value, name, { allowZero = false } = {}) {
+  if (!ethers.isAddress(value ?? "")) throw new Error(`${name} must be an address, got ${JSON.stringify(value)}`);
+  const address = ethers.getAddress(value);
+  if (!allowZero && address === ethers.ZeroAddress) throw new Error(`${name} must not be the zero address`);
+  return address;
+}
+
+function uriArg(value, name) {
+  if (!value) throw new Error(`${name} must not be empty`);
+  return value;
+}
+
+// Distributor rules as <address>:<bps> pairs; like setRules, the bps must be
+// positive and add up to 10000.
+function rulesArg(values) {
+  if (!values.length) throw new Error("set-rules needs at least one <address>:<bps>");
+  const rules = values.map((v) => {
+    const [to, bps] = v.split(":");
+    return { to: addressArg(to, "rule address"), bps: uintArg(bps, `bps for ${to}`, 16, 1n) };
+  });
+  const total = rules.reduce((sum, r) => sum + r.bps, 0n);
+  if (total !== 10_000n) throw new Error(`rule bps add up to ${total}, not 10000`);
+  return rules;
+}
+
+// contract + setter per subcommand, its parameters (name, parser), a read of
+// the current value to show next to the new one, and the commands after which
+// it reverts (`lockedBy`).
+const COMMANDS = {
+  "set-kind-enabled": {
+    contract: "buildNFT",
+    fn: "setKindEnabled",
+    params: [["kind", (v, n) => uintArg(v, n, 16, 1n)], ["enabled", boolArg]],
+    current: (c, [kind]) => c.buildNFT.kindEnabled(kind),
+  },
+  "set-max-mass": {
+    contract: "buildNFT",
+    fn: "setMaxMass",
+    params: [["mass", (v, n) => uintArg(v, n, 256, 1n)]],
+    current: (c) => c.buildNFT.maxMass(),
+  },
+  "set-base-uri": {
+    contract: "buildNFT",
+    fn: "setBaseTokenURI",
+    params: [["uri", uriArg]],
+    current: (c) => c.buildNFT.baseTokenURI(),
+  },
+  "set-liquidity-receiver": {
+    contract: "buildNFT",
+    fn: "setLiquidityReceiver",
+    params: [["receiver", addressArg]],
+    current: (c) => c.buildNFT.liquidityReceiver(),
+  },
+  "set-rules": {
+    contract: "distributor",
+    fn: "setRules",
+    usage: "<address>:<bps>...",
+    parse: (argv) => [rulesArg(argv)],
+    lockedBy: ["freeze-rules"],
+    current: async (c) => {
+      const n = Number(await c.distributor.rulesLength());
+      const rules = [];
+      for (let i = 0; i < n; i++) rules.push((await c.distributor.rules(i)).join(":"));
+      return rules.join(" ") || "(none)";
+    },
+  },
+  "freeze-rules": {
+    contract: "distributor",
+    fn: "freezeRules",
+    params: [],
+    lockedBy: ["freeze-rules"],
+    current: async (c) => `rulesFrozen=${await c.distributor.rulesFrozen()}`,
+  },
+  "set-forward-to": {
+    contract: "distributor",
+    fn: "setForwardTo",
+    params: [["forwardTo", (v, n) => addressArg(v, n, { allowZero: true })]],
+    current: (c) => c.distributor.forwardTo(),
+  },
+  "set-keeper": {
+    contract: "licenseRegistry",
+    fn: "setKeeper",
+    params: [["keeper", addressArg], ["allowed", boolArg]],
+    current: (c, [keeper]) => c.licenseRegistry.keepers(keeper),
+  },
+  "set-router-whitelist": {
+    contract: "licenseRegistry",
+    fn: "setRouterWhitelist",
+    params: [["router", addressArg], ["allowed", boolArg]],
+    current: (c, [router]) => c.licenseRegistry.routerWhitelist(router),
+  },
+  "set-rebalance-guards": {
+    contract: "licenseRegistry",
+    fn: "setRebalanceGuards",
+    params: [
+      ["minRebalanceInterval", uintArg],
+      ["minLpBudgetAmount", uintArg],
+      ["maxSlippageBps", (v, n) => {
+        const bps = uintArg(v, n);
+        if (bps > 10_000n) throw new Error(`${n} must be at most 10000, got ${v}`);
+        return bps;
+      }],
+      ["maxDeadlineWindow", (v, n) => uintArg(v, n, 256, 1n)],
+    ],
+    current: async (c) => {
+      const r = c.licenseRegistry;
+      return [await r.minRebalanceInterval(), await r.minLpBudgetAmount(), await r.maxSlippageBps(), await r.maxDeadlineWindow()].join(", ");
+    },
+  },
+  "set-license-uri": {
+    contract: "licenseNFT",
+    fn: "setURI",
+    params: [["uri", (v, n) => {
+      if (!uriArg(v, n).includes("{id}")) throw new Error(`${n} must contain {id}; LicenseNFT serves one file per license id`);
+      return v;
+    }]],
+    current: (c) => c.licenseNFT.uri(0),
+  },
+};
+
+function usage(name) {
+  const cmd = COMMANDS[name];
+  return `${name} ${cmd.usage ?? cmd.params.map(([p]) => `<${p}>`).join(" ")}`.trim();
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    rpc: process.env.RPC_URL || "",
+    network: process.env.NETWORK || DEFAULT_NETWORK,
+    contracts: process.env.CONTRACTS_JSON || "",
+    from: process.env.SAFE_ADDRESS || "",
+    send: false,
+    safe: "",
+    name: "",
+    ops: [[]],
+  };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--rpc") opts.rpc = args[++i];
+    else if (a === "--network") opts.network = args[++i];
+    else if (a === "--contracts") opts.contracts = args[++i];
+    else if (a === "--from") opts.from = args[++i];
+    else if (a === "--send") opts.send = true;
+    else if (a === "--safe") opts.safe = args[++i];
+    else if (a === "--name") opts.name = args[++i];
+    else if (a === "+") opts.ops.push([]);
+    else if (a.startsWith("--")) throw new Error(`Unknown option ${a}`);
+    else opts.ops.at(-1).push(a);
+  }
+  opts.ops = opts.ops.filter((op) => op.length);
+  return opts;
+}
+
+/** Validates one `<command> args...` group and encodes its call. */
+function buildOp(client, [command, ...argv]) {
+  const cmd = COMMANDS[command];
+  if (!cmd) throw new Error(`Unknown command "${command}". Commands:\n  ${Object.keys(COMMANDS).map(usage).join("\n  ")}`);
+  let args;
+  if (cmd.parse) {
+    args = cmd.parse(argv);
+  } else {
+    if (argv.length !== cmd.params.length) throw new Error(`Usage: ${usage(command)}`);
+    args = cmd.params.map(([name, parse], i) => parse(argv[i], name));
+  }
+  const contract = client[cmd.contract];
+  return {
+    command,
+    contract: cmd.contract,
+    fn: cmd.fn,
+    args,
+    to: String(contract.target),
+    data: contract.interface.encodeFunctionData(cmd.fn, args),
+    value: "0",
+  };
+}
+
+function describe(op) {
+  const args = op.args.map((a) => (Array.isArray(a) ? `[${a.map((r) => `${r.to}:${r.bps}`).join(", ")}]` : String(a)));
+  return `${op.contract}.${op.fn}(${args.join(", ")})`;
+}
+
+// Simulation cannot see one call's effect on the next, so calls that an
+// earlier call in the batch locks out are rejected up front.
+function checkOrder(ops) {
+  ops.forEach((op, i) => {
+    const lock = ops.slice(0, i).find((earlier) => COMMANDS[op.command].lockedBy?.includes(earlier.command));
+    if (lock) throw new Error(`${op.command} reverts after ${lock.command} in the same batch; send it first or in a separate batch`);
+  });
+}
+
+// eth_call from `from`, or from the contract's owner. Each call is simulated
+// on its own against current state, not after the earlier calls in the batch.
+async function simulate(provider, client, op, from) {
+  const sender = from || (await client[op.contract].owner());
+  try {
+    await provider.call({ from: sender, to: op.to, data: op.data });
+    return { from: sender, ok: true };
+  } catch (err) {
+    return { from: sender, ok: false, reason: err.reason || err.shortMessage || err.message };
+  }
+}
+
+// Transaction Builder batch format. Calls carry raw `data` (no
+// contractMethod), so signers see exactly the calldata that was simulated.
+function safeBatch(chainId, ops, { name, safeAddress }) {
+  return {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name: name || `ETHBLOX admin: ${ops.map((op) => op.command).join(", ")}`,
+      description: ops.map(describe).join("\n"),
+      txBuilderVersion: "1.16.5",
+      createdFromSafeAddress: safeAddress || "",
+      createdFromOwnerAddress: "",
+    },
+    transactions: ops.map((op) => ({
+      to: op.to,
+      value: op.value,
+      data: op.data,
+      contractMethod: null,
+      contractInputsValues: null,
+    })),
+  };
+}
+
+async function main() {
+  const opts = parseArgs();
+  if (!opts.ops.length) {
+    throw new Error(`Usage: node scripts/admin.mjs <command> [args] [+ <command> [args]...] [--network NAME] [--from ADDRESS] [--send | --safe batch.json [--name NAME]]\nCommands:\n  ${Object.keys(COMMANDS).map(usage).join("\n  ")}`);
+  }
+  if (opts.send && opts.safe) throw new Error("Use either --send or --safe, not both");
+  const { manifest, provider } = openDeployment(opts);
+  try {
+    const client = connect(manifest, provider);
+    const ops = opts.ops.map((op) => buildOp(client, op));
+    checkOrder(ops);
+    const chainId = Number((await provider.getNetwork()).chainId);
+
+    const signer = opts.send ? await deploymentSigner(provider, manifest, { missing: "--send needs PRIVATE_KEY (the contracts' owner)" }) : null;
+    const from = opts.from ? addressArg(opts.from, "--from") : await signer?.getAddress();
+
+    let failed = 0;
+    for (const op of ops) {
+      op.current = String(await COMMANDS[op.command].current(client, op.args));
+      op.simulation = await simulate(provider, client, op, from);
+      if (!op.simulation.ok) failed++;
+      const status = op.simulation.ok ? "ok" : `REVERTS: ${op.simulation.reason}`;
+      console.log(`[admin] ${describe(op)}\n        current: ${op.current}\n        to ${op.to} data ${op.data}\n        simulated from ${op.simulation.from}: ${status}`);
+    }
+    if (failed) {
+      process.exitCode = 1;
+      console.error(`[admin] ${failed} of ${ops.length} calls revert in simulation; nothing sent or exported`);
+      return;
+    }
+
+    if (opts.safe) {
+      fs.writeFileSync(opts.safe, `${JSON.stringify(safeBatch(chainId, ops, { name: opts.name, safeAddress: from }), null, 2)}\n`);
+      console.log(`[admin] wrote Safe Transaction Builder batch (${ops.length} calls, chain ${chainId}) to ${opts.safe}`);
+      return;
+    }
+    if (!signer) {
+      console.log("[admin] dry run; pass --send to submit or --safe <file> to export for a multisig");
+      return;
+    }
+    // Check every owner before sending anything, so a contract the key
+    // doesn't own cannot stop the batch halfway.
+    const sender = await signer.getAddress();
+    for (const op of ops) {
+      const owner = await client[op.contract].owner();
+      if (owner.toLowerCase() !== sender.toLowerCase()) {
+        throw new Error(`${op.contract}.owner() is ${owner}, not ${sender}; export with --safe and submit it from the owner.`);
+      }
+    }
+    for (const op of ops) {
+      const sent = await signer.sendTransaction({ to: op.to, data: op.data });
+      const receipt = await sent.wait();
+      console.log(`[admin] ${describe(op)} in ${receipt.hash} (block ${receipt.blockNumber})`);
+    }
+  } finally {
+    provider.destroy();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.shortMessage || err.message || err);
+  process.exit(1);
+});
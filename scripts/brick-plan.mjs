@@ -0,0 +1,121 @@
+import fs from "node:fs";
+import { ethers } from "ethers";
+import { connect, mint } from "./lib/contracts.mjs";
+import { DEFAULT_NETWORK, deploymentSigner, openDeployment } from "./lib/deployments.mjs";
+import { brickCandidates, brickMintParams, planBrickComposition } from "./lib/brick-planner.mjs";
+import { brickSpecKey } from "./lib/components.mjs";
+import { DENSITIES, GAS_MINT, MAX_SIDE } from "./lib/lattice.mjs";
+import { checkMint } from "./lib/preflight.mjs";
+
+// Plans the components of a brick mint from the live bricks at its density
+// (see scripts/lib/brick-planner.mjs):
+//   node scripts/brick-plan.mjs 3x4 --density 8 [--account ADDR] [--objective types|cost]
+// --objective cost prefers plans that need fewer licenses bought from other
+// authors, an optional policy. --out writes the best plan's mint parameters;
+// --send preflights, simulates and mints it with PRIVATE_KEY.
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    size: "",
+    density: Number(process.env.DENSITY || 1),
+    account: process.env.ACCOUNT || "",
+    objective: "types",
+    limit: 5,
+    rpc: process.env.RPC_URL || "",
+    network: process.env.NETWORK || DEFAULT_NETWORK,
+    contracts: process.env.CONTRACTS_JSON || "",
+    out: "",
+    json: false,
+    send: false,
+  };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--density") opts.density = Number(args[++i]);
+    else if (a === "--account") opts.account = args[++i];
+    else if (a === "--objective") opts.objective = args[++i];
+    else if (a === "--limit") opts.limit = Number(args[++i]);
+    else if (a === "--rpc") opts.rpc = args[++i];
+    else if (a === "--network") opts.network = args[++i];
+    else if (a === "--contracts") opts.contracts = args[++i];
+    else if (a === "--out") opts.out = args[++i];
+    else if (a === "--json") opts.json = true;
+    else if (a === "--send") opts.send = true;
+    else if (a.startsWith("--")) throw new Error(`Unknown option ${a}`);
+    else positional.push(a);
+  }
+  opts.size = positional[0] || "";
+  return opts;
+}
+
+function parseTarget(opts) {
+  const m = /^(\d+)x(\d+)$/.exec(opts.size);
+  if (!m) throw new Error("Usage: node scripts/brick-plan.mjs <W>x<D> --density N [--account ADDR] [--objective types|cost] [--out FILE] [--send]");
+  const [width, depth] = [Number(m[1]), Number(m[2])];
+  if (width < 1 || depth < 1 || width > MAX_SIDE || depth > MAX_SIDE) throw new Error(`Brick sides must be 1..${MAX_SIDE}`);
+  if (!DENSITIES.includes(opts.density)) throw new Error(`--density must be one of ${DENSITIES.join(", ")}`);
+  return { width, depth, density: opts.density };
+}
+
+// Mint parameters as JSON (bigints as decimal strings).
+function paramsJson(params) {
+  return { ...params, componentBuildIds: params.componentBuildIds.map(String), componentCounts: params.componentCounts.map(String) };
+}
+
+async function main() {
+  const opts = parseArgs();
+  const target = parseTarget(opts);
+  const { manifest, rpcUrl, provider } = openDeployment(opts);
+  try {
+    const client = connect(manifest, provider);
+    const signer = opts.send || !opts.account ? await deploymentSigner(provider, manifest, { missing: opts.send ? "Set PRIVATE_KEY to mint" : "Pass --account or set PRIVATE_KEY" }) : null;
+    const account = opts.account || (await signer.getAddress());
+    if (await client.buildNFT.brickSpecConsumed(brickSpecKey(target.width, target.depth, target.density))) {
+      throw new Error(`A ${target.width}x${target.depth} brick at density ${target.density} already exists`);
+    }
+
+    const { blockNumber, candidates } = await brickCandidates(rpcUrl, client, target.density, account);
+    const plans = planBrickComposition(target, candidates, { objective: opts.objective, limit: opts.limit });
+    const rows = plans.map((p) => ({ ...p, params: brickMintParams(target, p) }));
+
+    if (opts.json) {
+      console.log(JSON.stringify({ network: manifest.network, blockNumber, account, target, objective: opts.objective, plans: rows.map((r) => ({ types: r.types, count: r.count, cost: String(r.cost), components: r.components.map((c) => ({ ...c, cost: String(c.cost) })), params: paramsJson(r.params) })) }, null, 2));
+    } else {
+      console.log(`[brick-plan] ${target.width}x${target.depth} at density ${target.density} for ${account}: ${candidates.length} candidate bricks at block ${blockNumber}`);
+      rows.forEach((r, i) => {
+        const parts = r.types === 0 ? ["genesis mint, no components"] : r.components.map((c) => `#${c.tokenId} ${c.width}x${c.depth} x${c.count}${c.owned ? " (owned)" : c.cost ? ` (license ${ethers.formatEther(c.cost)} ETH)` : ""}`);
+        console.log(`  ${i + 1}. ${r.types} type(s), ${r.count} brick(s), optional licenses ${ethers.formatEther(r.cost)} ETH: ${parts.join(", ")}`);
+      });
+    }
+    if (!rows.length) {
+      console.error(`[brick-plan] no combination of live bricks at density ${target.density} covers ${target.width * target.depth} units`);
+      process.exitCode = 1;
+      return;
+    }
+    if (opts.out) {
+      fs.writeFileSync(opts.out, `${JSON.stringify(paramsJson(rows[0].params), null, 2)}\n`);
+      console.log(`[brick-plan] wrote the best plan's mint parameters to ${opts.out}`);
+    }
+    if (!opts.send) return;
+
+    // Brick mints do not escrow licenses, so only the fee and BLOX can be missing.
+    const best = rows[0].params;
+    const { fee, problems, simulation, ok } = await checkMint(rpcUrl, client, await signer.getAddress(), best);
+    for (const p of problems) console.error(`[brick-plan] preflight: ${p.message}`);
+    if (simulation && !simulation.ok) console.error(`[brick-plan] simulation: ${simulation.message}`);
+    if (!ok) {
+      process.exitCode = 1;
+      return;
+    }
+    const { tokenId, receipt } = await mint(client, signer, best, { value: fee, gasLimit: GAS_MINT });
+    console.log(`[brick-plan] minted brick ${tokenId} in ${receipt.hash}`);
+  } finally {
+    provider.destroy();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.shortMessage || err.message || err);
+  process.exit(1);
+});
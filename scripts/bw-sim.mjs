@@ -1,76 +1,43 @@
 import fs from "node:fs";
 import path from "node:path";
 import { ethers } from "ethers";
+import { connect, mint, mintLicenseForBuild, registerBuild } from "./lib/contracts.mjs";
+import { DEFAULT_NETWORK, deploymentRpcUrl, loadDeployment } from "./lib/deployments.mjs";
+import { liveTokens, syncIndex } from "./lib/indexer.mjs";
 
 const DEFAULT_CSV = path.resolve(process.cwd(), "..", "BW_converted.csv");
-const DEFAULT_CONTRACTS = path.resolve(
-  process.cwd(),
-  "..",
-  "ethblox-app",
-  "data",
-  "sim-runs",
-  "local-reseed-8545",
-  "contracts.json",
-);
-
-const MINT_FEE = ethers.parseEther("0.01");
+
 const BLOX_UNIT = 10n ** 18n;
 const GAS_LIMIT = 5_000_000n;
 
-const BUILD_NFT_ABI = [
-  "function nextTokenId() view returns (uint256)",
-  "function mint(bytes32,uint256,string,uint256[],uint256[],uint8,uint8,uint8,uint16) payable returns (uint256)",
-  "function exists(uint256) view returns (bool)",
-  "function kindOf(uint256) view returns (uint8)",
-  "function geometryOf(uint256) view returns (bytes32)",
-  "event BuildMinted(uint256 indexed tokenId,address indexed creator,uint256 mass,bytes32 indexed geometryHash,string tokenURI)",
-];
-
-const BLOX_ABI = [
-  "function balanceOf(address) view returns (uint256)",
-  "function transfer(address,uint256) returns (bool)",
-  "function approve(address,uint256) returns (bool)",
-  "function allowance(address,address) view returns (uint256)",
-];
-
-const LICENSE_REGISTRY_ABI = [
-  "function licenseIdForBuild(uint256) view returns (uint256)",
-  "function quote(uint256,uint256) view returns (uint256)",
-  "function mintLicenseForBuild(uint256,uint256) payable",
-  "function registerBuild(uint256,bytes32)",
-];
-
-const LICENSE_NFT_ABI = [
-  "function setApprovalForAll(address,bool)",
-  "function isApprovedForAll(address,address) view returns (bool)",
-];
-
-const DISTRIBUTOR_ABI = [
-  "function ethOwed(address) view returns (uint256)",
-  "function bwScore(uint256) view returns (int256)",
-  "function uniqueUsers(uint256) view returns (uint256)",
-  "function uses(uint256) view returns (uint256)",
-];
-
 function parseArgs() {
   const args = process.argv.slice(2);
   const opts = {
-    rpc: process.env.RPC_URL || "http://127.0.0.1:8545",
+    rpc: process.env.RPC_URL || "",
     csv: process.env.BW_CSV || DEFAULT_CSV,
-    contracts: process.env.CONTRACTS_JSON || DEFAULT_CONTRACTS,
+    network: process.env.NETWORK || DEFAULT_NETWORK,
+    contracts: process.env.CONTRACTS_JSON || "",
     outDir: process.env.OUT_DIR || path.resolve(process.cwd(), "data", "bw-runs"),
     runId: process.env.RUN_ID || `bw-${Date.now()}`,
     rewardsMints: Number(process.env.REWARD_MINTS || "10"),
+    useIndex: process.env.USE_INDEX === "1",
+    indexPath: process.env.INDEX_PATH || "",
   };
 
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
     if (a === "--rpc") opts.rpc = args[++i];
     else if (a === "--csv") opts.csv = args[++i];
+    else if (a === "--network") opts.network = args[++i];
     else if (a === "--contracts") opts.contracts = args[++i];
     else if (a === "--out") opts.outDir = args[++i];
     else if (a === "--run-id") opts.runId = args[++i];
     else if (a === "--rewards-mints") opts.rewardsMints = Number(args[++i]);
+    else if (a === "--use-index") opts.useIndex = true;
+    else if (a === "--index") {
+      opts.useIndex = true;
+      opts.indexPath = args[++i];
+    }
   }
   return opts;
 }
@@ -96,18 +63,6 @@ function toHash(label) {
   return ethers.keccak256(ethers.toUtf8Bytes(label));
 }
 
-function parseBuildMinted(receipt, buildNft) {
-  for (const log of receipt.logs) {
-    try {
-      const parsed = buildNft.interface.parseLog(log);
-      if (parsed?.name === "BuildMinted") return Number(parsed.args.tokenId);
-    } catch {
-      // ignore
-    }
-  }
-  throw new Error("BuildMinted event not found");
-}
-
 async function ensureBloxAndApprovals({
   blox,
   licenseNft,
@@ -137,20 +92,22 @@ async function ensureBloxAndApprovals({
   }
 }
 
-async function ensureLicenseBalance(registry, ownerSigner, buildId, qty) {
-  const price = await registry.quote(buildId, qty);
-  const tx = await registry.connect(ownerSigner).mintLicenseForBuild(buildId, qty, { value: price });
-  await tx.wait();
+async function ensureLicenseBalance(client, ownerSigner, buildId, qty) {
+  const { price } = await mintLicenseForBuild(client, ownerSigner, buildId, qty);
   return price;
 }
 
-async function ensureRegistered(registry, buildNft, signer, buildId) {
-  const existing = await registry.licenseIdForBuild(buildId);
-  if (existing > 0n) return existing;
-  const gh = await buildNft.geometryOf(buildId);
-  const tx = await registry.connect(signer).registerBuild(buildId, gh);
-  await tx.wait();
-  return await registry.licenseIdForBuild(buildId);
+async function findComponentPoolFromIndex(provider, contracts, indexPath, target = 24) {
+  const { index } = await syncIndex({ provider, manifest: contracts, indexPath: indexPath || undefined });
+  const ids = liveTokens(index)
+    .filter((t) => t.licenseId > 0)
+    .map((t) => t.tokenId)
+    .sort((a, b) => a - b)
+    .slice(0, target);
+  if (ids.length === 0) {
+    throw new Error("No registered component builds found. Register at least one component first.");
+  }
+  return ids;
 }
 
 async function findComponentPool(buildNft, registry, target = 24) {
@@ -174,10 +131,11 @@ function formatEth(wei) {
 
 async function main() {
   const opts = parseArgs();
+  const contracts = loadDeployment(opts.contracts || opts.network);
+  opts.rpc ||= deploymentRpcUrl(contracts);
   const provider = new ethers.JsonRpcProvider(opts.rpc);
   await provider.getBlockNumber();
 
-  const contracts = JSON.parse(fs.readFileSync(opts.contracts, "utf8"));
   const scenarios = readCsv(opts.csv);
   if (scenarios.length === 0) throw new Error("No BW scenarios found in CSV");
 
@@ -185,13 +143,12 @@ async function main() {
   const owners = [await provider.getSigner(1), await provider.getSigner(2), await provider.getSigner(3), await provider.getSigner(4)];
   const consumer = await provider.getSigner(5);
 
-  const blox = new ethers.Contract(contracts.blox, BLOX_ABI, provider);
-  const buildNft = new ethers.Contract(contracts.buildNFT, BUILD_NFT_ABI, provider);
-  const registry = new ethers.Contract(contracts.licenseRegistry, LICENSE_REGISTRY_ABI, provider);
-  const licenseNft = new ethers.Contract(contracts.licenseNFT, LICENSE_NFT_ABI, provider);
-  const distributor = new ethers.Contract(contracts.distributor, DISTRIBUTOR_ABI, provider);
+  const client = connect(contracts, provider);
+  const { blox, buildNFT: buildNft, licenseRegistry: registry, licenseNFT: licenseNft, distributor } = client;
 
-  const componentPool = await findComponentPool(buildNft, registry);
+  const componentPool = opts.useIndex
+    ? await findComponentPoolFromIndex(provider, contracts, opts.indexPath)
+    : await findComponentPool(buildNft, registry);
   const runDir = path.join(opts.outDir, opts.runId);
   fs.mkdirSync(runDir, { recursive: true });
 
@@ -225,26 +182,26 @@ async function main() {
     });
 
     for (const cId of componentIds) {
-      const spend = await ensureLicenseBalance(registry, owner, BigInt(cId), 1n);
+      const spend = await ensureLicenseBalance(client, owner, BigInt(cId), 1n);
       fees.scenarioLicenseSpendEth += formatEth(spend);
     }
 
     const gh = toHash(`bw-scenario-${opts.runId}-${scenario.scenarioId}-${Date.now()}`);
-    const tx = await buildNft.connect(owner).mint(
-      gh,
-      mass,
-      "",
-      componentIds.map((v) => BigInt(v)),
-      counts,
-      1,
-      0,
-      0,
-      1,
-      { value: MINT_FEE, gasLimit: GAS_LIMIT },
+    const { tokenId: mintedId, receipt, fee } = await mint(
+      client,
+      owner,
+      {
+        geometryHash: gh,
+        mass,
+        componentBuildIds: componentIds.map((v) => BigInt(v)),
+        componentCounts: counts,
+        kind: 1,
+        density: 1,
+      },
+      { gasLimit: GAS_LIMIT },
     );
-    const receipt = await tx.wait();
-    const tokenId = parseBuildMinted(receipt, buildNft);
-    fees.scenarioMintFeeEth += formatEth(MINT_FEE);
+    const tokenId = Number(mintedId);
+    fees.scenarioMintFeeEth += formatEth(fee);
 
     mintedScenarios.push({
       scenarioId: scenario.scenarioId,
@@ -255,10 +212,10 @@ async function main() {
       componentIds: componentIds.join("|"),
       targetBw: scenario.bwTarget,
       gasUsed: receipt.gasUsed.toString(),
-      txHash: tx.hash,
+      txHash: receipt.hash,
     });
 
-    await ensureRegistered(registry, buildNft, owner, BigInt(tokenId));
+    await registerBuild(client, owner, BigInt(tokenId));
   }
 
   await ensureBloxAndApprovals({
@@ -276,31 +233,31 @@ async function main() {
     const selected = [mintedIds[i % mintedIds.length], mintedIds[(i + 7) % mintedIds.length], mintedIds[(i + 13) % mintedIds.length]]
       .sort((a, b) => a - b);
     for (const id of selected) {
-      const spend = await ensureLicenseBalance(registry, consumer, BigInt(id), 1n);
+      const spend = await ensureLicenseBalance(client, consumer, BigInt(id), 1n);
       fees.rewardsLicenseSpendEth += formatEth(spend);
     }
     const gh = toHash(`bw-reward-${opts.runId}-${i}-${Date.now()}`);
-    const tx = await buildNft.connect(consumer).mint(
-      gh,
-      500n,
-      "",
-      selected.map((v) => BigInt(v)),
-      [1n, 1n, 1n],
-      1,
-      0,
-      0,
-      1,
-      { value: MINT_FEE, gasLimit: GAS_LIMIT },
+    const { tokenId: mintedId, receipt, fee } = await mint(
+      client,
+      consumer,
+      {
+        geometryHash: gh,
+        mass: 500n,
+        componentBuildIds: selected.map((v) => BigInt(v)),
+        componentCounts: [1n, 1n, 1n],
+        kind: 1,
+        density: 1,
+      },
+      { gasLimit: GAS_LIMIT },
     );
-    const receipt = await tx.wait();
-    const tokenId = parseBuildMinted(receipt, buildNft);
-    fees.rewardsMintFeeEth += formatEth(MINT_FEE);
+    const tokenId = Number(mintedId);
+    fees.rewardsMintFeeEth += formatEth(fee);
     rewardsMints.push({
       iteration: i + 1,
       tokenId,
       components: selected.join("|"),
       gasUsed: receipt.gasUsed.toString(),
-      txHash: tx.hash,
+      txHash: receipt.hash,
     });
   }
 
@@ -310,7 +267,7 @@ async function main() {
     const owed = await distributor.ethOwed(addr);
     ownerRewards.push({ owner: addr, ethOwed: ethers.formatEther(owed) });
   }
-  const treasuryOwed = await distributor.ethOwed(await (new ethers.Contract(contracts.buildNFT, ["function protocolTreasury() view returns (address)"], provider)).protocolTreasury());
+  const treasuryOwed = await distributor.ethOwed(await buildNft.protocolTreasury());
 
   const summary = {
     runId: opts.runId,
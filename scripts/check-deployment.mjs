@@ -0,0 +1,90 @@
+import { connect } from "./lib/contracts.mjs";
+import { DEFAULT_NETWORK, deploymentRpcUrl, loadDeployment, printTable, toJson } from "./lib/deployments.mjs";
+import { checkWiring, expectedWiring } from "./lib/wiring.mjs";
+
+// Asserts the cross-contract wiring of a deployment and prints a pass/fail
+// table. Exits 1 on any mismatch.
+
+function parseKinds(value) {
+  const m = /^(\d+)-(\d+)$/.exec(value);
+  if (m) return Array.from({ length: Number(m[2]) - Number(m[1]) + 1 }, (_, i) => Number(m[1]) + i);
+  return value.split(",").filter(Boolean).map(Number);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const env = (name) => process.env[name] || undefined;
+  const opts = {
+    rpc: process.env.RPC_URL || "",
+    network: process.env.NETWORK || DEFAULT_NETWORK,
+    contracts: process.env.CONTRACTS_JSON || "",
+    json: false,
+    overrides: { guards: {} },
+    // What Deploy.s.sol read; only used when the manifest has no constructor args.
+    fallback: {
+      protocolTreasury: env("PROTOCOL_TREASURY"),
+      registryTreasury: env("PROTOCOL_TREASURY"),
+      liquidityReceiver: env("LIQUIDITY_RECEIVER"),
+      maxMass: env("MAX_MASS") && BigInt(env("MAX_MASS")),
+    },
+  };
+  const guard = (key, value) => {
+    opts.overrides.guards[key] = BigInt(value);
+  };
+  for (const [key, name] of [
+    ["minRebalanceInterval", "REBALANCE_MIN_INTERVAL"],
+    ["minLpBudgetAmount", "REBALANCE_MIN_LP_BUDGET"],
+    ["maxSlippageBps", "REBALANCE_MAX_SLIPPAGE_BPS"],
+    ["maxDeadlineWindow", "REBALANCE_MAX_DEADLINE_WINDOW"],
+  ]) {
+    if (env(name)) guard(key, env(name));
+  }
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--rpc") opts.rpc = args[++i];
+    else if (a === "--network") opts.network = args[++i];
+    else if (a === "--contracts") opts.contracts = args[++i];
+    else if (a === "--json") opts.json = true;
+    else if (a === "--treasury") opts.overrides.protocolTreasury = args[++i];
+    else if (a === "--registry-treasury") opts.overrides.registryTreasury = args[++i];
+    else if (a === "--liquidity-receiver") opts.overrides.liquidityReceiver = args[++i];
+    else if (a === "--max-mass") opts.overrides.maxMass = BigInt(args[++i]);
+    else if (a === "--kinds") opts.overrides.kinds = parseKinds(args[++i]);
+    else if (a === "--min-rebalance-interval") guard("minRebalanceInterval", args[++i]);
+    else if (a === "--min-lp-budget") guard("minLpBudgetAmount", args[++i]);
+    else if (a === "--max-slippage-bps") guard("maxSlippageBps", args[++i]);
+    else if (a === "--max-deadline-window") guard("maxDeadlineWindow", args[++i]);
+    else throw new Error(`Unknown option ${a}`);
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs();
+  const manifest = loadDeployment(opts.contracts || opts.network);
+  const rpcUrl = opts.rpc || deploymentRpcUrl(manifest);
+  const expected = expectedWiring(manifest, opts.overrides, opts.fallback);
+  const { blockNumber, rows } = await checkWiring(rpcUrl, connect(manifest), expected);
+  const failed = rows.filter((r) => !r.ok);
+
+  if (opts.json) {
+    console.log(toJson({ network: manifest.network, blockNumber, ok: !failed.length, rows }));
+  } else {
+    console.log(`${manifest.network} (${manifest.path}) at block ${blockNumber}`);
+    printTable(
+      ["", "contract", "check", "expected", "actual"],
+      rows.map((r) => [r.ok ? "PASS" : "FAIL", r.contract, r.check, r.expected, r.actual]),
+    );
+    for (const r of failed) {
+      const fix = r.fix ? `${r.fix.contract}.${r.fix.fn}(${r.fix.args.join(", ")})` : "no setter; needs a redeploy";
+      console.log(`fix ${r.contract}.${r.check}: ${fix}`);
+    }
+    console.log(failed.length ? `${failed.length} of ${rows.length} checks failed` : `all ${rows.length} checks passed`);
+  }
+  if (failed.length) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err.shortMessage || err.message || err);
+  process.exit(1);
+});
@@ -17,3 +17,7 @@ fi
 forge script script/Deploy.s.sol:Deploy \
   --rpc-url "$BASE_SEPOLIA_RPC_URL" \
   --broadcast
+
+# Record addresses, deploy txs and constructor args for scripts and the app.
+node scripts/record-deployment.mjs --network base-sepolia
+node scripts/check-deployment.mjs --network base-sepolia
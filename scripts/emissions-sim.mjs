@@ -1,35 +1,16 @@
 import fs from "node:fs";
 import path from "node:path";
 import { ethers } from "ethers";
-
-const DEFAULT_CONTRACTS = path.resolve(
-  process.cwd(),
-  "..",
-  "ethblox-app",
-  "data",
-  "sim-runs",
-  "local-reseed-8545",
-  "contracts.json",
-);
-
-const BUILD_ABI = [
-  "function nextTokenId() view returns (uint256)",
-  "function exists(uint256) view returns (bool)",
-  "function ownerOf(uint256) view returns (address)",
-  "function kindOf(uint256) view returns (uint8)",
-  "function lockedBloxOf(uint256) view returns (uint256)",
-];
-
-const DIST_ABI_WITH_USAGE = [
-  "function bwScore(uint256) view returns (int256)",
-  "function lastUsedAt(uint256) view returns (uint256)",
-];
+import { connect } from "./lib/contracts.mjs";
+import { DEFAULT_NETWORK, deploymentRpcUrl, loadDeployment } from "./lib/deployments.mjs";
+import { liveTokens, syncIndex } from "./lib/indexer.mjs";
 
 function parseArgs() {
   const args = process.argv.slice(2);
   const opts = {
-    rpc: process.env.RPC_URL || "http://127.0.0.1:8545",
-    contracts: process.env.CONTRACTS_JSON || DEFAULT_CONTRACTS,
+    rpc: process.env.RPC_URL || "",
+    network: process.env.NETWORK || DEFAULT_NETWORK,
+    contracts: process.env.CONTRACTS_JSON || "",
     runId: process.env.RUN_ID || `emissions-${Date.now()}`,
     outDir: process.env.OUT_DIR || path.resolve(process.cwd(), "data", "emissions-runs"),
     poolBlox: Number(process.env.POOL_BLOX || "1000000"),
@@ -40,10 +21,13 @@ function parseArgs() {
     decayHalfLifeDays: Number(process.env.DECAY_HALF_LIFE_DAYS || "90"),
     decayFloor: Number(process.env.DECAY_FLOOR || "0.25"),
     decaySource: process.env.DECAY_SOURCE || "build_use",
+    useIndex: process.env.USE_INDEX === "1",
+    indexPath: process.env.INDEX_PATH || "",
   };
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
     if (a === "--rpc") opts.rpc = args[++i];
+    else if (a === "--network") opts.network = args[++i];
     else if (a === "--contracts") opts.contracts = args[++i];
     else if (a === "--run-id") opts.runId = args[++i];
     else if (a === "--out") opts.outDir = args[++i];
@@ -55,6 +39,11 @@ function parseArgs() {
     else if (a === "--decay-half-life-days") opts.decayHalfLifeDays = Number(args[++i]);
     else if (a === "--decay-floor") opts.decayFloor = Number(args[++i]);
     else if (a === "--decay-source") opts.decaySource = args[++i];
+    else if (a === "--use-index") opts.useIndex = true;
+    else if (a === "--index") {
+      opts.useIndex = true;
+      opts.indexPath = args[++i];
+    }
   }
   return opts;
 }
@@ -84,17 +73,7 @@ function decayForDays(days, halfLifeDays, floor) {
   return Math.max(floor, Math.min(1, raw));
 }
 
-async function main() {
-  const opts = parseArgs();
-  const provider = new ethers.JsonRpcProvider(opts.rpc);
-  await provider.getBlockNumber();
-  const nowTs = Number((await provider.getBlock("latest")).timestamp);
-  const [bwMinMult, bwMaxMult] = parseBwRange(opts.bwRange);
-
-  const contracts = JSON.parse(fs.readFileSync(opts.contracts, "utf8"));
-  const build = new ethers.Contract(contracts.buildNFT, BUILD_ABI, provider);
-  const dist = new ethers.Contract(contracts.distributor, DIST_ABI_WITH_USAGE, provider);
-
+async function loadTokenRows(build, dist, nowTs) {
   const next = Number(await build.nextTokenId());
   const tokenRows = [];
   for (let id = 1; id < next; id++) {
@@ -118,6 +97,51 @@ async function main() {
       daysSinceUse,
     });
   }
+  return tokenRows;
+}
+
+// Token ownership/kind/lock come from the local event index; only the
+// Distributor usage fields are read from chain, as one batched round of calls.
+async function loadTokenRowsFromIndex(provider, contracts, indexPath, dist, nowTs) {
+  const { index } = await syncIndex({ provider, manifest: contracts, indexPath: indexPath || undefined });
+  const tokens = liveTokens(index);
+  const usage = await Promise.all(
+    tokens.map((t) =>
+      Promise.all([
+        dist.bwScore(t.tokenId).catch(() => 0n),
+        dist.lastUsedAt(t.tokenId).catch(() => 0n),
+      ]),
+    ),
+  );
+  return tokens.map((t, i) => {
+    const [bwRaw, lastUsedRaw] = usage[i];
+    const lastUsedAt = Number(lastUsedRaw);
+    return {
+      tokenId: t.tokenId,
+      owner: t.owner.toLowerCase(),
+      kind: t.kind,
+      lockedBlox: Number(ethers.formatEther(t.lockedBlox)),
+      bwScore: Number(bwRaw > 0n ? bwRaw : 0n),
+      lastUsedAt,
+      daysSinceUse: lastUsedAt > 0 ? (nowTs - lastUsedAt) / 86400 : 3650,
+    };
+  });
+}
+
+async function main() {
+  const opts = parseArgs();
+  const contracts = loadDeployment(opts.contracts || opts.network);
+  opts.rpc ||= deploymentRpcUrl(contracts);
+  const provider = new ethers.JsonRpcProvider(opts.rpc);
+  await provider.getBlockNumber();
+  const nowTs = Number((await provider.getBlock("latest")).timestamp);
+  const [bwMinMult, bwMaxMult] = parseBwRange(opts.bwRange);
+
+  const { buildNFT: build, distributor: dist } = connect(contracts, provider);
+
+  const tokenRows = opts.useIndex
+    ? await loadTokenRowsFromIndex(provider, contracts, opts.indexPath, dist, nowTs)
+    : await loadTokenRows(build, dist, nowTs);
 
   const byOwner = new Map();
   for (const t of tokenRows) {
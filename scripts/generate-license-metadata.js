@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+const fs = require("fs");
+const path = require("path");
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const out = {
+    // Options set by flag (or FROM_BLOCK), which --network does not override.
+    explicit: new Set(process.env.FROM_BLOCK ? ["fromBlock"] : []),
+    ids: [],
+    outDir: "metadata/licenses",
+    imageBase: "ipns://IMAGES_IPNS",
+    rpcUrl: process.env.BASE_SEPOLIA_RPC_URL || "",
+    registry: process.env.LICENSE_REGISTRY_ADDRESS || "",
+    network: process.env.NETWORK || "",
+    batchSize: 100,
+    reportPath: "",
+    indexPath: process.env.INDEX_PATH || "",
+    fromBlock: Number(process.env.FROM_BLOCK || "0")
+  };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--ids") {
+      out.ids = args[++i]
+        .split(",")
+        .map((v) => Number(v.trim()))
+        .filter((v) => Number.isFinite(v) && v > 0);
+    } else if (a === "--out") {
+      out.outDir = args[++i];
+    } else if (a === "--image-base") {
+      out.imageBase = args[++i];
+    } else if (a === "--rpc") {
+      out.rpcUrl = args[++i];
+      out.explicit.add("rpcUrl");
+    } else if (a === "--registry") {
+      out.registry = args[++i];
+      out.explicit.add("registry");
+    } else if (a === "--network") {
+      out.network = args[++i];
+    } else if (a === "--batch-size") {
+      out.batchSize = Number(args[++i]);
+    } else if (a === "--report") {
+      out.reportPath = args[++i];
+    } else if (a === "--index") {
+      out.indexPath = args[++i];
+    } else if (a === "--from-block") {
+      out.fromBlock = Number(args[++i]);
+      out.explicit.add("fromBlock");
+    }
+  }
+  return out;
+}
+
+// ERC1155 clients substitute {id} with the lowercase hex id, zero-padded to
+// 64 characters, so that is the only filename LicenseNFT.uri() resolves to.
+function licenseFileName(licenseId) {
+  return `${BigInt(licenseId).toString(16).padStart(64, "0")}.json`;
+}
+
+// Supply thresholds of LicenseRegistry._pricingForMaxSupply, largest first.
+// Tier 1 is the cheapest curve (0.0005 -> 0.01 ETH), tier 10 the dearest.
+const PRICING_TIER_MIN_SUPPLY = [1_000_000, 500_000, 250_000, 100_000, 50_000, 25_000, 10_000, 5_000, 1_000, 0];
+
+function pricingTier(maxSupply) {
+  return PRICING_TIER_MIN_SUPPLY.findIndex((min) => Number(maxSupply) >= min) + 1;
+}
+
+function buildLicenseMetadata(entry, imageBase, formatEther) {
+  const { licenseId, buildId, geometryHash, pricing, maxSupply, supply, buildBurned } = entry;
+  const tier = pricingTier(pricing.maxSupply);
+  return {
+    name: `ETHBLOX License #${licenseId} · Build #${buildId}`,
+    description: `License for ETHBLOX build #${buildId}. Builds that use #${buildId} as a component escrow one license per use. Priced on a linear bonding curve (tier ${tier}).`,
+    image: `${imageBase}/${buildId}.png`,
+    external_url: "https://ethblox.art",
+    decimals: 0,
+    properties: {
+      licenseId,
+      buildId,
+      geometryHash,
+      buildBurned,
+      pricing: {
+        tier,
+        startPrice: pricing.startPrice.toString(),
+        step: pricing.step.toString(),
+        maxSupply: pricing.maxSupply.toString(),
+        maxPrice: pricing.maxPrice.toString()
+      },
+      maxSupply: maxSupply.toString(),
+      supply: supply.toString()
+    },
+    attributes: [
+      { trait_type: "buildId", value: buildId },
+      { trait_type: "geometryHash", value: geometryHash },
+      { trait_type: "pricingTier", value: tier },
+      { trait_type: "startPrice (ETH)", value: formatEther(pricing.startPrice) },
+      { trait_type: "maxPrice (ETH)", value: formatEther(pricing.maxPrice) },
+      { trait_type: "maxSupply", display_type: "number", value: Number(maxSupply) },
+      { trait_type: "supply", display_type: "number", value: Number(supply) },
+      ...(buildBurned ? [{ trait_type: "buildBurned", value: true }] : [])
+    ]
+  };
+}
+
+// licenseId -> buildId, from the BuildRegistered events in a synced index, or
+// by reading licenseIdForBuild for every minted build.
+async function licenseToBuild({ rpcUrl, registry, build, indexPath, batchSize, blockTag, batchRead }) {
+  const map = new Map();
+  if (indexPath) {
+    const { eventsNamed, loadIndex } = await import("./lib/indexer.mjs");
+    const index = loadIndex(indexPath);
+    if (!index) throw new Error(`No event index at ${indexPath}; run npm run index:sync first`);
+    for (const e of eventsNamed(index, "BuildRegistered", "licenseRegistry")) {
+      map.set(Number(e.args.licenseId), Number(e.args.buildId));
+    }
+    return map;
+  }
+  const [next] = await batchRead(rpcUrl, build, [{ fn: "nextTokenId", args: [] }], { blockTag });
+  if (next.error) throw new Error(`Could not read nextTokenId: ${next.error}`);
+  const buildIds = [];
+  for (let id = 1; id < Number(next.value); id++) buildIds.push(id);
+  const results = await batchRead(
+    rpcUrl,
+    registry,
+    buildIds.map((id) => ({ fn: "licenseIdForBuild", args: [id] })),
+    { batchSize, blockTag }
+  );
+  results.forEach((res, i) => {
+    if (res.error) throw new Error(`licenseIdForBuild(${buildIds[i]}) failed: ${res.error}`);
+    if (res.value !== 0n) map.set(Number(res.value), buildIds[i]);
+  });
+  return map;
+}
+
+// --network reads the RPC URL, LicenseRegistry address and deploy block (where
+// log lookups start) from deployments/<network>.contracts.json; explicit
+// --rpc / --registry / --from-block still win.
+async function applyNetwork(opts) {
+  if (!opts.network) return;
+  const { deploymentRpcUrl, loadDeployment } = await import("./lib/deployments.mjs");
+  const deployment = loadDeployment(opts.network);
+  if (!opts.explicit.has("rpcUrl")) opts.rpcUrl = deploymentRpcUrl(deployment);
+  if (!opts.explicit.has("registry")) opts.registry = deployment.licenseRegistry;
+  if (!opts.explicit.has("fromBlock")) opts.fromBlock = deployment.deployBlock ?? 0;
+}
+
+async function main() {
+  const opts = parseArgs();
+  await applyNetwork(opts);
+  const { outDir, imageBase, rpcUrl, batchSize, reportPath, indexPath, fromBlock } = opts;
+  if (!rpcUrl || !opts.registry) {
+    console.error("Usage: node scripts/generate-license-metadata.js (--network NAME | --rpc RPC_URL --registry LICENSE_REGISTRY) [--ids 1,2,3] [--out metadata/licenses] [--image-base ipns://IMAGES_IPNS] [--batch-size 100] [--report report.json] [--index .index/<file>.json] [--from-block N]");
+    process.exit(1);
+  }
+
+  const { ethers } = await import("ethers");
+  const { BUILD_NFT_ABI, LICENSE_NFT_ABI, LICENSE_REGISTRY_ABI } = await import("./lib/contracts.mjs");
+  const { batchRead, rpcBatch } = await import("./lib/rpc.mjs");
+  const { burnsFromChain, burnsFromIndex } = await import("./lib/history.mjs");
+
+  const [head] = await rpcBatch(rpcUrl, [{ method: "eth_blockNumber", params: [] }]);
+  if (head.error) throw new Error(`RPC unavailable at ${rpcUrl}: ${head.error}`);
+  const blockTag = head.result;
+
+  const registry = new ethers.Contract(opts.registry, LICENSE_REGISTRY_ABI);
+  const wiring = await batchRead(
+    rpcUrl,
+    registry,
+    [{ fn: "buildNFT", args: [] }, { fn: "licenseNFT", args: [] }, { fn: "nextLicenseId", args: [] }],
+    { blockTag }
+  );
+  const wiringError = wiring.find((r) => r.error);
+  if (wiringError) throw new Error(`Could not read LicenseRegistry at ${opts.registry}: ${wiringError.error}`);
+  const build = new ethers.Contract(wiring[0].value, BUILD_NFT_ABI);
+  const licenseNft = new ethers.Contract(wiring[1].value, LICENSE_NFT_ABI);
+  const nextLicenseId = Number(wiring[2].value);
+
+  const buildFor = await licenseToBuild({ rpcUrl, registry, build, indexPath, batchSize, blockTag, batchRead });
+  let ids = [...opts.ids];
+  if (!ids.length) {
+    for (let id = 1; id < nextLicenseId; id++) ids.push(id);
+  }
+  const requested = ids.length;
+  const failures = [];
+  for (const id of ids) {
+    if (id >= nextLicenseId) failures.push({ id, field: "licenseId", error: "license not registered" });
+    else if (!buildFor.has(id)) failures.push({ id, field: "buildId", error: "no build maps to this license" });
+  }
+  ids = ids.filter((id) => !failures.some((f) => f.id === id));
+
+  const read = async (contract, fn, argsOf) => {
+    const results = await batchRead(rpcUrl, contract, ids.map((id) => ({ fn, args: argsOf(id) })), { batchSize, blockTag });
+    return new Map(ids.map((id, i) => [id, results[i]]));
+  };
+  const fields = {
+    pricing: await read(registry, "pricingForLicense", (id) => [id]),
+    maxSupply: await read(licenseNft, "maxSupply", (id) => [id]),
+    supply: await read(licenseNft, "totalSupply(uint256)", (id) => [id]),
+    geometryHash: await read(build, "geometryOf", (id) => [buildFor.get(id)]),
+    buildBurned: await read(build, "burned", (id) => [buildFor.get(id)])
+  };
+
+  // burn() clears geometryOf, so burned builds keep the hash from their burn record.
+  const burnedBuilds = ids.filter((id) => fields.buildBurned.get(id).value).map((id) => buildFor.get(id));
+  let burns = { data: {}, failures: [] };
+  if (burnedBuilds.length) {
+    if (indexPath) {
+      const { loadIndex } = await import("./lib/indexer.mjs");
+      burns = burnsFromIndex(loadIndex(indexPath), burnedBuilds);
+    } else {
+      burns = await burnsFromChain(rpcUrl, String(build.target), burnedBuilds, { fromBlock, batchSize });
+    }
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  let written = 0;
+  for (const id of ids) {
+    const buildId = buildFor.get(id);
+    const entry = { licenseId: id, buildId };
+    let failed = false;
+    for (const [field, results] of Object.entries(fields)) {
+      const res = results.get(id);
+      if (res.error) {
+        failures.push({ id, field, error: res.error });
+        failed = true;
+      } else {
+        entry[field] = res.value;
+      }
+    }
+    if (failed) continue;
+    entry.buildBurned = Boolean(entry.buildBurned);
+    if (entry.buildBurned) {
+      const burn = burns.data[buildId];
+      if (!burn) {
+        const why = burns.failures.find((f) => f.id === buildId);
+        failures.push({ id, field: "geometryHash", error: `build #${buildId} is burned: ${why ? why.error : "no burn record"}` });
+        continue;
+      }
+      entry.geometryHash = burn.geometryHash;
+    }
+    if (entry.pricing.maxSupply === 0n) {
+      failures.push({ id, field: "pricing", error: "no pricing stored for license" });
+      continue;
+    }
+    const json = buildLicenseMetadata(entry, imageBase, ethers.formatEther);
+    const outPath = path.join(outDir, licenseFileName(id));
+    fs.writeFileSync(outPath, JSON.stringify(json, null, 2));
+    written += 1;
+    console.log(`Wrote ${outPath} (license #${id}, build #${buildId})`);
+  }
+
+  const skipped = [...new Set(failures.map((f) => f.id))];
+  const report = { blockNumber: Number(blockTag), requested, written, skipped, failures };
+  if (reportPath) fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  console.log(`${written} license file(s) written at block ${Number(blockTag)}, ${skipped.length} skipped`);
+  if (failures.length) {
+    console.error(`Skipped ${skipped.length} license(s); nothing was written for them:`);
+    for (const f of failures) console.error(`  #${f.id} ${f.field}: ${f.error}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
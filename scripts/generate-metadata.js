@@ -1,12 +1,15 @@
 #!/usr/bin/env node
 /* eslint-disable no-console */
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
-const { execSync } = require("child_process");
 
 function parseArgs() {
   const args = process.argv.slice(2);
   const out = {
+    // Options set by flag (or FROM_BLOCK), which --network does not override.
+    explicit: new Set(process.env.FROM_BLOCK ? ["fromBlock"] : []),
+    command: "generate",
     ids: [],
     outDir: "metadata",
     base: "ipfs://CID",
@@ -14,8 +17,22 @@ function parseArgs() {
     dataPath: "",
     onchain: false,
     rpcUrl: process.env.BASE_SEPOLIA_RPC_URL || "",
-    buildNft: process.env.BUILDNFT_ADDRESS || ""
+    buildNft: process.env.BUILDNFT_ADDRESS || "",
+    network: process.env.NETWORK || "",
+    batchSize: 100,
+    reportPath: "",
+    indexPath: process.env.INDEX_PATH || "",
+    fromBlock: Number(process.env.FROM_BLOCK || "0"),
+    all: false,
+    range: null,
+    force: false,
+    statePath: "",
+    imagesDir: "",
+    geometryDir: ""
   };
+  if (args[0] === "verify") {
+    out.command = args.shift();
+  }
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
     if (a === "--ids") {
@@ -23,7 +40,7 @@ function parseArgs() {
         .split(",")
         .map((v) => Number(v.trim()))
         .filter((v) => Number.isFinite(v) && v >= 0);
-    } else if (a === "--out") {
+    } else if (a === "--out" || a === "--dir") {
       out.outDir = args[++i];
     } else if (a === "--base") {
       out.base = args[++i];
@@ -35,39 +52,194 @@ function parseArgs() {
       out.onchain = true;
     } else if (a === "--rpc") {
       out.rpcUrl = args[++i];
+      out.explicit.add("rpcUrl");
     } else if (a === "--buildnft") {
       out.buildNft = args[++i];
+      out.explicit.add("buildNft");
+    } else if (a === "--network") {
+      out.network = args[++i];
+    } else if (a === "--batch-size") {
+      out.batchSize = Number(args[++i]);
+    } else if (a === "--report") {
+      out.reportPath = args[++i];
+    } else if (a === "--index") {
+      out.indexPath = args[++i];
+    } else if (a === "--from-block") {
+      out.fromBlock = Number(args[++i]);
+      out.explicit.add("fromBlock");
+    } else if (a === "--all") {
+      out.all = true;
+    } else if (a === "--range") {
+      out.range = parseRange(args[++i]);
+    } else if (a === "--force") {
+      out.force = true;
+    } else if (a === "--state") {
+      out.statePath = args[++i];
+    } else if (a === "--images") {
+      out.imagesDir = args[++i];
+    } else if (a === "--geometry") {
+      out.geometryDir = args[++i];
     }
   }
   return out;
 }
 
+// "10-50" (inclusive) or "10-" (up to the last minted id).
+function parseRange(value) {
+  const m = /^(\d+)-(\d*)$/.exec(String(value || "").trim());
+  if (!m) throw new Error(`--range expects FROM-TO or FROM-, got ${value}`);
+  const range = { from: Number(m[1]), to: m[2] ? Number(m[2]) : Infinity };
+  if (range.to < range.from) throw new Error(`--range ${value} is empty`);
+  return range;
+}
+
+// Explicit --ids win; --all / --range enumerate 1..nextTokenId-1 on chain.
+async function resolveIds({ ids, all, range, buildNft, rpcUrl }) {
+  if (!all && !range) return ids;
+  if (!buildNft || !rpcUrl) {
+    throw new Error("--all / --range need --network, or --rpc and --buildnft (or BASE_SEPOLIA_RPC_URL / BUILDNFT_ADDRESS)");
+  }
+  const { ethers } = await import("ethers");
+  const { BUILD_NFT_ABI } = await import("./lib/contracts.mjs");
+  const { batchRead } = await import("./lib/rpc.mjs");
+  const [next] = await batchRead(rpcUrl, new ethers.Contract(buildNft, BUILD_NFT_ABI), [{ fn: "nextTokenId", args: [] }]);
+  if (next.error) throw new Error(`Could not read nextTokenId: ${next.error}`);
+  const last = Number(next.value) - 1;
+  const from = range ? Math.max(1, range.from) : 1;
+  const to = range ? Math.min(last, range.to) : last;
+  const out = [];
+  for (let id = from; id <= to; id++) out.push(id);
+  return out;
+}
+
 function loadData(dataPath) {
   if (!dataPath) return {};
   const raw = fs.readFileSync(dataPath, "utf8");
   return JSON.parse(raw);
 }
 
-function buildMetadata(id, base, imageBase, data) {
-  const defaults = {
+// Mirrors BuildNFT.KIND_*.
+const KIND_BRICK = 0;
+const KIND_BUILD = 1;
+const KIND_COLLECTOR = 2;
+
+// Truth anchors must come from chain (or an explicit data file); they are
+// never defaulted. specKey is only meaningful for bricks (kind 0).
+const REQUIRED_ANCHORS = ["geometryHash", "kind", "mass", "density"];
+
+function missingAnchors(entry) {
+  const missing = REQUIRED_ANCHORS.filter((k) => entry[k] === undefined || entry[k] === null);
+  if (entry.geometryHash !== undefined && !/^0x[0-9a-fA-F]{64}$/.test(String(entry.geometryHash))) {
+    missing.push("geometryHash");
+  }
+  if (Number(entry.kind) === KIND_BRICK) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(String(entry.specKey || ""))) missing.push("specKey");
+    for (const dim of ["width", "depth"]) if (!(Number(entry[dim]) > 0)) missing.push(dim);
+  }
+  return [...new Set(missing)];
+}
+
+// Allowed densities are cubes (1, 8, 27, 64, 125); the tier is the edge.
+function densityTier(density) {
+  return Math.round(Math.cbrt(Number(density)));
+}
+
+function componentTotals(components) {
+  if (!components) return [];
+  return [
+    { trait_type: "componentTypes", value: components.length },
+    { trait_type: "componentCount", value: components.reduce((sum, c) => sum + c.count, 0) }
+  ];
+}
+
+// Per-kind name, description and descriptive traits. The truth anchors are
+// appended by buildMetadata for every kind.
+const TEMPLATES = {
+  [KIND_BRICK]: (id, e) => ({
+    name: `${e.width}x${e.depth} Brick \u00b7 density ${e.density}`,
+    description: `A ${e.width}x${e.depth} ETHBLOX brick at density ${e.density}. Each width, depth and density combination can be minted once.`,
+    traits: [
+      { trait_type: "type", value: "Brick" },
+      { trait_type: "width", value: Number(e.width) },
+      { trait_type: "depth", value: Number(e.depth) },
+      { trait_type: "area", value: Number(e.width) * Number(e.depth) },
+      { trait_type: "densityTier", value: densityTier(e.density) }
+    ]
+  }),
+  [KIND_BUILD]: (id, e) => ({
+    name: `ETHBLOX Build #${id}`,
+    description: e.components
+      ? `An ETHBLOX build of mass ${e.mass} assembled from ${e.components.length} component type(s) at density ${e.density}.`
+      : `An ETHBLOX build of mass ${e.mass} at density ${e.density}.`,
+    traits: [
+      { trait_type: "type", value: "Build" },
+      { trait_type: "densityTier", value: densityTier(e.density) },
+      ...componentTotals(e.components)
+    ]
+  }),
+  [KIND_COLLECTOR]: (id, e) => {
+    const source = e.components && e.components.length === 1 ? e.components[0].tokenId : null;
+    return {
+      name: source ? `ETHBLOX Collector Edition #${id} of Build #${source}` : `ETHBLOX Collector Edition #${id}`,
+      description: source
+        ? `A collector edition of ETHBLOX build #${source}, sharing its geometry (mass ${e.mass}, density ${e.density}).`
+        : `An ETHBLOX collector edition of mass ${e.mass} at density ${e.density}.`,
+      traits: [
+        { trait_type: "type", value: "Collector Edition" },
+        { trait_type: "densityTier", value: densityTier(e.density) },
+        ...(source ? [{ trait_type: "editionOf", value: source }] : [])
+      ]
+    };
+  }
+};
+
+function genericTemplate(id, e) {
+  return {
     name: `ETHBLOX #${id}`,
     description: "ETHBLOX build/brick",
+    traits: [{ trait_type: "type", value: `Kind ${e.kind}` }]
+  };
+}
+
+// Burned tokens keep their last anchors so marketplaces and indexers still
+// see what was destroyed; the burn itself is recorded as extra traits.
+function tombstoneMetadata(id, base, imageBase, entry) {
+  const json = buildMetadata(id, base, imageBase, { [id]: entry });
+  return {
+    ...json,
+    name: `${json.name} (burned)`,
+    description: `Burned at block ${entry.burnBlock}. Attributes are the token's values at burn time.`,
+    burned: true,
+    burnBlock: entry.burnBlock,
+    attributes: [
+      ...json.attributes,
+      { trait_type: "burned", value: true },
+      { trait_type: "burnBlock", display_type: "number", value: entry.burnBlock }
+    ]
+  };
+}
+
+function buildMetadata(id, base, imageBase, data) {
+  const entry = data[id] || {};
+  const template = (TEMPLATES[Number(entry.kind)] || genericTemplate)(id, entry);
+  const defaults = {
+    name: template.name,
+    description: template.description,
     image: `${imageBase}/${id}.png`,
     external_url: "https://ethblox.art",
-    geometryHash: "0x",
-    kind: 1,
-    mass: 1,
-    density: 1,
     specKey: "",
     componentsHash: ""
   };
-  const merged = { ...defaults, ...(data[id] || {}) };
+  const merged = { ...defaults, ...entry };
+  if (Number(merged.kind) !== KIND_BRICK) merged.specKey = "";
   return {
     name: merged.name,
     description: merged.description,
     image: merged.image,
     external_url: merged.external_url,
+    ...(merged.components ? { components: merged.components } : {}),
     attributes: [
+      ...template.traits,
       { trait_type: "kind", value: merged.kind },
       { trait_type: "mass", value: merged.mass },
       { trait_type: "density", value: merged.density },
@@ -78,62 +250,494 @@ function buildMetadata(id, base, imageBase, data) {
   };
 }
 
-function castCall(buildNft, rpcUrl, sig, arg) {
-  const cmd = [
-    "cast",
-    "call",
-    buildNft,
-    `"${sig}"`,
-    String(arg),
-    "--rpc-url",
-    rpcUrl
-  ].join(" ");
-  try {
-    const out = execSync(cmd, { encoding: "utf8" }).trim();
-    return out.replace(/^\"|\"$/g, "");
-  } catch {
-    return null;
+const ONCHAIN_FIELDS = [
+  ["kind", "kindOf", Number],
+  ["mass", "massOf", Number],
+  ["density", "densityOf", Number],
+  ["geometryHash", "geometryOf", String],
+  ["specKey", "brickSpecKeyOf", String]
+];
+
+// Reads every anchor for every id through batched eth_calls pinned to one
+// block. Returns the decoded data plus a list of { id, field, error } for
+// anything that could not be read; callers must not fill those in.
+async function loadOnchainData(ids, buildNft, rpcUrl, batchSize) {
+  if (!buildNft || !rpcUrl) {
+    throw new Error("--onchain needs --network, or --rpc and --buildnft (or BASE_SEPOLIA_RPC_URL / BUILDNFT_ADDRESS)");
   }
-}
+  const { ethers } = await import("ethers");
+  const { BUILD_NFT_ABI } = await import("./lib/contracts.mjs");
+  const { batchRead, rpcBatch } = await import("./lib/rpc.mjs");
+  const build = new ethers.Contract(buildNft, BUILD_NFT_ABI);
+
+  const [head] = await rpcBatch(rpcUrl, [{ method: "eth_blockNumber", params: [] }]);
+  if (head.error) throw new Error(`RPC unavailable at ${rpcUrl}: ${head.error}`);
+  const blockTag = head.result;
+
+  const reads = [];
+  for (const id of ids) {
+    reads.push({ id, field: "exists", fn: "exists", args: [id] });
+    reads.push({ id, field: "burned", fn: "burned", args: [id] });
+    reads.push({ id, field: "brickSpec", fn: "brickSpecOf", args: [id] });
+    for (const [field, fn] of ONCHAIN_FIELDS) reads.push({ id, field, fn, args: [id] });
+  }
+  const results = await batchRead(rpcUrl, build, reads, { batchSize, blockTag });
 
-function loadOnchainData(ids, buildNft, rpcUrl) {
-  if (!buildNft || !rpcUrl) return {};
   const data = {};
+  const exists = {};
+  let failures = [];
+  reads.forEach((r, i) => {
+    const res = results[i];
+    data[r.id] ||= {};
+    if (res.error) {
+      failures.push({ id: r.id, field: r.field, error: res.error });
+      return;
+    }
+    if (r.field === "exists") {
+      exists[r.id] = res.value;
+      return;
+    }
+    if (r.field === "burned") {
+      data[r.id].burned = res.value;
+      return;
+    }
+    if (r.field === "brickSpec") {
+      data[r.id].width = Number(res.value[0]);
+      data[r.id].depth = Number(res.value[1]);
+      return;
+    }
+    const cast = ONCHAIN_FIELDS.find(([field]) => field === r.field)[2];
+    data[r.id][r.field] = cast(res.value);
+  });
   for (const id of ids) {
-    const kind = castCall(buildNft, rpcUrl, "kindOf(uint256)(uint8)", id);
-    const mass = castCall(buildNft, rpcUrl, "massOf(uint256)(uint256)", id);
-    const density = castCall(buildNft, rpcUrl, "densityOf(uint256)(uint16)", id);
-    const geometryHash = castCall(buildNft, rpcUrl, "geometryOf(uint256)(bytes32)", id);
-    const specKey = castCall(buildNft, rpcUrl, "brickSpecKeyOf(uint256)(bytes32)", id);
-    data[id] = {
-      ...(kind !== null ? { kind: Number(kind) } : {}),
-      ...(mass !== null ? { mass: Number(mass) } : {}),
-      ...(density !== null ? { density: Number(density) } : {}),
-      ...(geometryHash !== null ? { geometryHash } : {}),
-      ...(specKey !== null ? { specKey } : {})
-    };
+    if (data[id].burned) {
+      // burn() clears the getters; history comes from the burn record instead.
+      data[id] = { burned: true };
+      failures = failures.filter((f) => f.id !== id);
+      continue;
+    }
+    if (exists[id] === false) failures.push({ id, field: "exists", error: "token was never minted" });
+    if (data[id].kind !== KIND_BRICK) {
+      delete data[id].width;
+      delete data[id].depth;
+    }
+  }
+  return { data, failures, blockNumber: Number(blockTag) };
+}
+
+// Composition is not stored on-chain, and burned tokens lose their getters,
+// so both are recovered from events and mint transactions (or a synced event
+// index). Returns { mints, burns }, each { data, failures }.
+async function loadHistory(ids, burnedIds, { buildNft, rpcUrl, indexPath, fromBlock, batchSize }) {
+  const history = await import("./lib/history.mjs");
+  if (indexPath) {
+    const { loadIndex } = await import("./lib/indexer.mjs");
+    const index = loadIndex(indexPath);
+    if (!index) throw new Error(`No event index at ${indexPath}; run npm run index:sync first`);
+    return { mints: history.mintCallsFromIndex(index, ids), burns: history.burnsFromIndex(index, burnedIds) };
+  }
+  const opts = { fromBlock, batchSize };
+  return {
+    mints: await history.mintCallsFromChain(rpcUrl, buildNft, ids, opts),
+    burns: await history.burnsFromChain(rpcUrl, buildNft, burnedIds, opts)
+  };
+}
+
+function compositionOf(call) {
+  return call ? { componentBuildIds: call.componentBuildIds, componentCounts: call.componentCounts } : {};
+}
+
+async function withComposition(entry) {
+  const { componentsHash, componentsList } = await import("./lib/components.mjs");
+  if (!entry.componentBuildIds || !entry.componentCounts) return entry;
+  const { componentBuildIds, componentCounts, ...rest } = entry;
+  return {
+    ...rest,
+    componentsHash: componentsHash(componentBuildIds, componentCounts),
+    components: componentsList(componentBuildIds, componentCounts)
+  };
+}
+
+const REQUIRED_FIELDS = ["name", "description", "image", "external_url", "attributes"];
+const PLACEHOLDER_PATTERNS = [/ipfs:\/\/CID\b/, /IMAGES_IPNS/, /PLACEHOLDER/];
+const BYTES32 = /^0x[0-9a-fA-F]{64}$/;
+
+function attributeMap(json) {
+  const map = {};
+  for (const attr of Array.isArray(json.attributes) ? json.attributes : []) {
+    if (attr && typeof attr.trait_type === "string") map[attr.trait_type] = attr.value;
+  }
+  return map;
+}
+
+// Schema checks that need no chain access.
+function schemaIssues(json) {
+  const issues = [];
+  for (const field of REQUIRED_FIELDS) {
+    if (json[field] === undefined || json[field] === "") issues.push({ field, problem: "missing required field" });
+  }
+  if (json.attributes !== undefined && !Array.isArray(json.attributes)) {
+    issues.push({ field: "attributes", problem: "must be an array" });
+  }
+  for (const field of ["image", "external_url"]) {
+    if (typeof json[field] === "string" && PLACEHOLDER_PATTERNS.some((re) => re.test(json[field]))) {
+      issues.push({ field, problem: "placeholder link", actual: json[field] });
+    }
+  }
+  const attrs = attributeMap(json);
+  for (const anchor of REQUIRED_ANCHORS) {
+    if (attrs[anchor] === undefined) issues.push({ field: anchor, problem: "missing anchor attribute" });
+  }
+  if (attrs.geometryHash !== undefined && !BYTES32.test(String(attrs.geometryHash))) {
+    issues.push({ field: "geometryHash", problem: "not a bytes32", actual: attrs.geometryHash });
+  }
+  if (Number(attrs.kind) === KIND_BRICK && !BYTES32.test(String(attrs.specKey || ""))) {
+    issues.push({ field: "specKey", problem: "bricks need a bytes32 specKey", actual: attrs.specKey });
+  }
+  if (attrs.componentsHash && !BYTES32.test(String(attrs.componentsHash))) {
+    issues.push({ field: "componentsHash", problem: "not a bytes32", actual: attrs.componentsHash });
+  }
+  return issues;
+}
+
+function sameValue(field, expected, actual) {
+  if (field === "geometryHash" || field === "specKey") {
+    return String(expected).toLowerCase() === String(actual ?? "").toLowerCase();
+  }
+  return Number(expected) === Number(actual);
+}
+
+function readMetadataDir(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((f) => /^\d+\.json$/.test(f))
+    .map((f) => Number(f.slice(0, -5)))
+    .sort((a, b) => a - b)
+    .map((id) => {
+      const file = path.join(dir, `${id}.json`);
+      try {
+        return { id, file, json: JSON.parse(fs.readFileSync(file, "utf8")) };
+      } catch (err) {
+        return { id, file, parseError: err.message };
+      }
+    });
+}
+
+// Checks every <id>.json in the folder against the schema and against the
+// BuildNFT getters; prints a per-token diff and exits non-zero on any issue.
+async function verify(opts) {
+  const { outDir, rpcUrl, buildNft, batchSize, reportPath, indexPath, fromBlock } = opts;
+  if (!fs.existsSync(outDir)) throw new Error(`Metadata folder not found: ${outDir}`);
+  const ids = await resolveIds(opts);
+  let files = readMetadataDir(outDir);
+  const missingFiles = opts.all || opts.range ? ids.filter((id) => !files.some((f) => f.id === id)) : [];
+  if (ids.length) files = files.filter((f) => ids.includes(f.id));
+  const fileIds = files.map((f) => f.id);
+  const chain = await loadOnchainData(fileIds, buildNft, rpcUrl, batchSize);
+  const burnedIds = fileIds.filter((id) => chain.data[id] && chain.data[id].burned);
+  const history = await loadHistory(fileIds, burnedIds, { buildNft, rpcUrl, indexPath, fromBlock, batchSize });
+  const compositions = history.mints;
+  const { brickSpecKey } = await import("./lib/components.mjs");
+
+  const tokens = missingFiles.map((id) => ({
+    id,
+    file: path.join(outDir, `${id}.json`),
+    ok: false,
+    issues: [{ field: "(file)", problem: "no metadata file for minted token" }]
+  }));
+  for (const f of files) {
+    const issues = [];
+    if (f.parseError) {
+      issues.push({ field: "(file)", problem: `invalid JSON: ${f.parseError}` });
+    } else {
+      issues.push(...schemaIssues(f.json));
+      const attrs = attributeMap(f.json);
+      for (const failure of chain.failures.filter((x) => x.id === f.id)) {
+        issues.push({ field: failure.field, problem: `chain read failed: ${failure.error}` });
+      }
+      const onchainEntry = chain.data[f.id] || {};
+      for (const [field] of ONCHAIN_FIELDS) {
+        if (onchainEntry[field] === undefined) continue;
+        if (field === "specKey" && Number(onchainEntry.kind) !== KIND_BRICK) {
+          if (attrs.specKey) issues.push({ field, problem: "builds carry no specKey", expected: "", actual: attrs.specKey });
+          continue;
+        }
+        if (!sameValue(field, onchainEntry[field], attrs[field])) {
+          issues.push({ field, problem: "differs from chain", expected: onchainEntry[field], actual: attrs[field] ?? null });
+        }
+      }
+      if (Number(attrs.kind) === KIND_BRICK) {
+        for (const dim of ["width", "depth"]) {
+          if (onchainEntry[dim] !== undefined && !sameValue(dim, onchainEntry[dim], attrs[dim])) {
+            issues.push({ field: dim, problem: "differs from brickSpecOf", expected: onchainEntry[dim], actual: attrs[dim] ?? null });
+          }
+        }
+        if (Number(attrs.width) > 0 && Number(attrs.depth) > 0 && BYTES32.test(String(attrs.specKey || ""))) {
+          const expected = brickSpecKey(attrs.width, attrs.depth, attrs.density);
+          if (!sameValue("specKey", expected, attrs.specKey)) {
+            issues.push({ field: "specKey", problem: "not the canonical key for width/depth/density", expected, actual: attrs.specKey });
+          }
+        }
+      }
+      if (onchainEntry.burned) {
+        if (attrs.burned !== true) {
+          issues.push({ field: "burned", problem: "token is burned on-chain but metadata is not a tombstone", expected: true, actual: attrs.burned ?? null });
+        }
+        const burn = history.burns.data[f.id];
+        if (!burn) {
+          const why = history.burns.failures.find((x) => x.id === f.id);
+          issues.push({ field: "burnBlock", problem: `cannot check: ${why ? why.error : "burn record unknown"}` });
+        }
+        for (const field of burn ? ["mass", "geometryHash", "burnBlock"] : []) {
+          if (!sameValue(field, burn[field], attrs[field])) {
+            issues.push({ field, problem: "differs from burn record", expected: burn[field], actual: attrs[field] ?? null });
+          }
+        }
+      } else if (attrs.burned) {
+        issues.push({ field: "burned", problem: "marked burned but token is live on-chain", expected: false, actual: attrs.burned });
+      }
+      const composition = compositions.data[f.id];
+      if (composition) {
+        const expected = (await withComposition(compositionOf(composition))).componentsHash;
+        if (!sameValue("geometryHash", expected, attrs.componentsHash)) {
+          issues.push({ field: "componentsHash", problem: "differs from mint composition", expected, actual: attrs.componentsHash ?? null });
+        }
+      } else if (attrs.componentsHash) {
+        const why = compositions.failures.find((x) => x.id === f.id);
+        issues.push({ field: "componentsHash", problem: `cannot check: ${why ? why.error : "composition unknown"}` });
+      }
+    }
+    tokens.push({ id: f.id, file: f.file, ok: issues.length === 0, issues });
+  }
+
+  tokens.sort((a, b) => a.id - b.id);
+  const failed = tokens.filter((t) => !t.ok);
+  const report = { dir: outDir, blockNumber: chain.blockNumber, checked: tokens.length, failed: failed.length, tokens };
+  if (reportPath) fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  for (const t of failed) {
+    console.error(`#${t.id} (${t.file})`);
+    for (const issue of t.issues) {
+      const diff = "expected" in issue
+        ? ` expected=${JSON.stringify(issue.expected)} actual=${JSON.stringify(issue.actual)}`
+        : "actual" in issue ? ` actual=${JSON.stringify(issue.actual)}` : "";
+      console.error(`  ${issue.field}: ${issue.problem}${diff}`);
+    }
   }
-  return data;
+  console.log(`Verified ${tokens.length} file(s) at block ${chain.blockNumber}: ${tokens.length - failed.length} ok, ${failed.length} with issues`);
+  if (failed.length) process.exitCode = 1;
 }
 
-function main() {
-  const { ids, outDir, base, imageBase, dataPath, onchain, rpcUrl, buildNft } = parseArgs();
+// Per-output-folder state: what each token was last generated from, so
+// unchanged tokens are not rewritten and burned tokens keep the anchors they
+// had while live.
+const STATE_VERSION = 1;
+
+function defaultStatePath(outDir) {
+  const dir = path.resolve(outDir);
+  return path.join(path.dirname(dir), `.${path.basename(dir)}-state.json`);
+}
+
+function loadState(statePath, buildNft) {
+  const empty = { version: STATE_VERSION, buildNft: buildNft || null, tokens: {} };
+  if (!fs.existsSync(statePath)) return empty;
+  const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  if (state.version !== STATE_VERSION) return empty;
+  if (buildNft && state.buildNft && state.buildNft.toLowerCase() !== buildNft.toLowerCase()) return empty;
+  return state;
+}
+
+function saveState(statePath, state) {
+  const tmp = `${statePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, statePath);
+}
+
+function fingerprint(json) {
+  return `0x${crypto.createHash("sha256").update(JSON.stringify(json)).digest("hex")}`;
+}
+
+function anchorsOf(entry) {
+  const out = {};
+  for (const [field] of ONCHAIN_FIELDS) if (entry[field] !== undefined) out[field] = entry[field];
+  return out;
+}
+
+// Anchors a burned token had while live, best source last: the previous
+// metadata file, the state from the last run, then the mint call and the
+// BuildBurned event themselves.
+function historicalAnchors(outPath, prev, mint, burn) {
+  let fromFile = {};
+  if (fs.existsSync(outPath)) {
+    try {
+      const attrs = attributeMap(JSON.parse(fs.readFileSync(outPath, "utf8")));
+      fromFile = anchorsOf(attrs);
+    } catch {
+      fromFile = {};
+    }
+  }
+  return {
+    ...fromFile,
+    ...(prev ? prev.anchors : {}),
+    ...(mint ? { kind: mint.kind, density: mint.density } : {}),
+    ...(burn ? { mass: burn.mass, geometryHash: burn.geometryHash } : {})
+  };
+}
+
+// Voxels for a token's image: a brick is its width x depth slab; builds come
+// from the data file (`voxels`) or <geometryDir>/<id>.json, and a collector
+// edition falls back to the geometry of the build it copies.
+function loadVoxels(id, entry, geometryDir, brickVoxels) {
+  if (Number(entry.kind) === KIND_BRICK) return brickVoxels(Number(entry.width), Number(entry.depth));
+  if (entry.voxels) return entry.voxels;
+  const candidates = [id];
+  if (Number(entry.kind) === KIND_COLLECTOR && entry.components && entry.components.length === 1) {
+    candidates.push(entry.components[0].tokenId);
+  }
+  for (const candidate of geometryDir ? candidates : []) {
+    const file = path.join(geometryDir, `${candidate}.json`);
+    if (!fs.existsSync(file)) continue;
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(json) ? json : json.voxels;
+  }
+  return null;
+}
+
+async function generate(opts) {
+  const { outDir, base, imageBase, dataPath, onchain, rpcUrl, buildNft, batchSize, reportPath, indexPath, fromBlock, force, imagesDir, geometryDir } = opts;
+  const ids = await resolveIds(opts);
   if (!ids.length) {
-    console.error("Usage: node scripts/generate-metadata.js --ids 1,2,3 [--out metadata] [--base ipfs://CID] [--image-base ipns://IMAGES_IPNS] [--data data.json] [--onchain] [--rpc RPC_URL] [--buildnft ADDRESS]");
+    if (opts.all || opts.range) {
+      console.log("No minted tokens in the selected range.");
+      return;
+    }
+    console.error("Usage: node scripts/generate-metadata.js (--ids 1,2,3 | --all | --range FROM-TO) [--out metadata] [--base ipfs://CID] [--image-base ipns://IMAGES_IPNS] [--data data.json] [--onchain] [--network NAME | --rpc RPC_URL --buildnft ADDRESS] [--batch-size 100] [--report report.json] [--index .index/<file>.json] [--from-block N] [--state .metadata-state.json] [--force] [--images images] [--geometry geometry]");
+    console.error("       node scripts/generate-metadata.js verify [--dir metadata] [--ids 1,2,3 | --all | --range FROM-TO] [--network NAME | --rpc RPC_URL --buildnft ADDRESS] [--report report.json] [--index .index/<file>.json] [--from-block N]");
     process.exit(1);
   }
 
   const data = loadData(dataPath);
-  const chainData = onchain ? loadOnchainData(ids, buildNft, rpcUrl) : {};
-  const mergedData = { ...data, ...chainData };
+  const statePath = opts.statePath || defaultStatePath(outDir);
+  const state = loadState(statePath, buildNft);
+  const onchainRead = onchain || opts.all || opts.range ? await loadOnchainData(ids, buildNft, rpcUrl, batchSize) : null;
+  const failures = onchainRead ? [...onchainRead.failures] : [];
+  const burnedIds = onchainRead ? ids.filter((id) => onchainRead.data[id] && onchainRead.data[id].burned) : [];
+
+  // Mint calls never change, so only tokens without one in state are looked up.
+  const known = (id) => state.tokens[id] && state.tokens[id].mint;
+  const history = onchainRead
+    ? await loadHistory(ids.filter((id) => !known(id)), burnedIds, { buildNft, rpcUrl, indexPath, fromBlock, batchSize })
+    : { mints: { data: {}, failures: [] }, burns: { data: {}, failures: [] } };
+  const warnings = history.mints.failures.map((f) => ({ id: f.id, field: "componentsHash", error: f.error }));
+  for (const f of history.burns.failures) failures.push({ id: f.id, field: "burnBlock", error: f.error });
   fs.mkdirSync(outDir, { recursive: true });
 
+  const { brickSpecKey } = await import("./lib/components.mjs");
+  const render = imagesDir ? await import("./lib/voxel-render.mjs") : null;
+  if (imagesDir) fs.mkdirSync(imagesDir, { recursive: true });
+  const failedIds = new Set(failures.map((f) => f.id));
+  let written = 0;
+  let unchanged = 0;
+  let tombstones = 0;
   for (const id of ids) {
-    const json = buildMetadata(id, base, imageBase, mergedData);
+    if (failedIds.has(id)) continue;
+    const prev = state.tokens[id];
+    const mint = history.mints.data[id] || (prev && prev.mint) || null;
     const outPath = path.join(outDir, `${id}.json`);
+    const chainEntry = onchainRead ? onchainRead.data[id] : {};
+    const burn = chainEntry.burned ? history.burns.data[id] : null;
+
+    const entry = await withComposition({
+      ...(data[id] || {}),
+      ...(burn ? historicalAnchors(outPath, prev, mint, burn) : chainEntry),
+      ...compositionOf(mint)
+    });
+    const missing = missingAnchors(entry);
+    if (missing.length) {
+      for (const field of missing) failures.push({ id, field, error: burn ? "missing historical anchor" : "missing truth anchor" });
+      continue;
+    }
+    if (Number(entry.kind) === KIND_BRICK) {
+      const canonical = brickSpecKey(entry.width, entry.depth, entry.density);
+      if (canonical.toLowerCase() !== String(entry.specKey).toLowerCase()) {
+        failures.push({ id, field: "specKey", error: `does not match canonical key ${canonical} for ${entry.width}x${entry.depth} density ${entry.density}` });
+        continue;
+      }
+    }
+    const json = burn
+      ? tombstoneMetadata(id, base, imageBase, { ...entry, burnBlock: burn.burnBlock })
+      : buildMetadata(id, base, imageBase, { [id]: entry });
+    const voxels = render ? loadVoxels(id, entry, geometryDir, render.brickVoxels) : null;
+    if (render && !voxels) warnings.push({ id, field: "image", error: "no voxel data; image not rendered" });
+    const imagePath = voxels ? path.join(imagesDir, `${id}.png`) : null;
+    const hash = fingerprint(voxels ? { json, voxels } : json);
+    if (!force && prev && prev.fingerprint === hash && fs.existsSync(outPath) && (!imagePath || fs.existsSync(imagePath))) {
+      unchanged += 1;
+      continue;
+    }
     fs.writeFileSync(outPath, JSON.stringify(json, null, 2));
-    console.log(`Wrote ${outPath}`);
+    if (voxels) {
+      fs.writeFileSync(imagePath, render.renderPng(voxels, { density: entry.density }));
+      fs.writeFileSync(path.join(imagesDir, `${id}.svg`), render.renderSvg(voxels, { density: entry.density }));
+    }
+    state.tokens[id] = {
+      fingerprint: hash,
+      anchors: anchorsOf(entry),
+      ...(mint ? { mint } : {}),
+      ...(burn ? { burned: true, burnBlock: burn.burnBlock } : {})
+    };
+    written += 1;
+    if (burn) tombstones += 1;
+    console.log(`Wrote ${outPath}${burn ? " (burned)" : ""}`);
+  }
+  state.buildNft ||= buildNft || null;
+  saveState(statePath, state);
+
+  const skipped = [...new Set(failures.map((f) => f.id))];
+  const report = {
+    blockNumber: onchainRead ? onchainRead.blockNumber : null,
+    requested: ids.length,
+    written,
+    unchanged,
+    tombstones,
+    skipped,
+    failures,
+    warnings
+  };
+  if (reportPath) fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  for (const w of warnings) {
+    console.warn(w.field === "image" ? `  #${w.id} ${w.error}` : `  #${w.id} componentsHash left empty: ${w.error}`);
+  }
+  console.log(`${written} written (${tombstones} burned), ${unchanged} unchanged, ${skipped.length} skipped`);
+  if (failures.length) {
+    console.error(`Skipped ${skipped.length} token(s); nothing was written for them:`);
+    for (const f of failures) console.error(`  #${f.id} ${f.field}: ${f.error}`);
+    process.exitCode = 1;
+  }
+}
+
+// --network reads the RPC URL, BuildNFT address and deploy block (where
+// log lookups start) from deployments/<network>.contracts.json; explicit
+// --rpc / --buildnft / --from-block still win.
+async function applyNetwork(opts) {
+  if (!opts.network) return;
+  const { deploymentRpcUrl, loadDeployment } = await import("./lib/deployments.mjs");
+  const deployment = loadDeployment(opts.network);
+  if (!opts.explicit.has("rpcUrl")) opts.rpcUrl = deploymentRpcUrl(deployment);
+  if (!opts.explicit.has("buildNft")) opts.buildNft = deployment.buildNFT;
+  if (!opts.explicit.has("fromBlock")) opts.fromBlock = deployment.deployBlock ?? 0;
+}
+
+async function main() {
+  const opts = parseArgs();
+  await applyNetwork(opts);
+  if (opts.command === "verify") {
+    await verify(opts);
+  } else {
+    await generate(opts);
   }
 }
 
-main();
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
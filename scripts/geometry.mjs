@@ -0,0 +1,115 @@
+import fs from "node:fs";
+import { KIND_COLLECTOR, connect } from "./lib/contracts.mjs";
+import { DEFAULT_NETWORK, openDeployment } from "./lib/deployments.mjs";
+import { geometryConsumed, loadBuild, validateBuild } from "./lib/geometry.mjs";
+import { bounds } from "./lib/voxel-render.mjs";
+
+// Build files (see scripts/lib/geometry.mjs):
+//   validate <file...>          schema check
+//   normalize <file> [--out F]  canonical form (translated, deduplicated, sorted)
+//   hash <file...>              geometryHash per file
+//   check <file...>             hash, then BuildNFT.geometryConsumed; exits 1 on a duplicate
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    cmd: "",
+    files: [],
+    rpc: process.env.RPC_URL || "",
+    network: process.env.NETWORK || DEFAULT_NETWORK,
+    contracts: process.env.CONTRACTS_JSON || "",
+    out: "",
+    json: false,
+  };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--rpc") opts.rpc = args[++i];
+    else if (a === "--network") opts.network = args[++i];
+    else if (a === "--contracts") opts.contracts = args[++i];
+    else if (a === "--out") opts.out = args[++i];
+    else if (a === "--json") opts.json = true;
+    else if (a.startsWith("--")) throw new Error(`Unknown option ${a}`);
+    else positional.push(a);
+  }
+  opts.cmd = (positional[0] || "").toLowerCase();
+  opts.files = positional.slice(1);
+  return opts;
+}
+
+function describe({ file, build, geometryHash }) {
+  return { file, geometryHash, density: build.density, voxels: build.voxels.length, size: bounds(build.voxels).max.map((m) => m + 1).join("x") };
+}
+
+async function check(opts, builds) {
+  const { manifest, rpcUrl, provider } = openDeployment(opts);
+  try {
+    const { buildNFT } = connect(manifest, provider);
+    const consumed = await geometryConsumed(rpcUrl, buildNFT, builds.map((b) => b.geometryHash));
+    const firstFile = new Map();
+    const rows = builds.map((b, i) => {
+      const row = { ...describe(b), consumed: consumed[i], duplicateOf: firstFile.get(b.geometryHash) ?? null };
+      if (!firstFile.has(b.geometryHash)) firstFile.set(b.geometryHash, b.file);
+      // Collector editions share their source's geometry by design.
+      row.ok = b.build.kind === KIND_COLLECTOR || (!row.consumed && !row.duplicateOf);
+      return row;
+    });
+    if (opts.json) {
+      console.log(JSON.stringify({ network: manifest.network, buildNFT: manifest.buildNFT, rows }, null, 2));
+    } else {
+      for (const r of rows) {
+        const why = r.consumed ? "geometry consumed on chain" : r.duplicateOf ? `same geometry as ${r.duplicateOf}` : "free";
+        console.log(`${r.ok ? "ok  " : "FAIL"} ${r.file}: ${r.geometryHash} (${r.voxels} voxels, ${r.size}, density ${r.density}) ${why}`);
+      }
+    }
+    if (rows.some((r) => !r.ok)) process.exitCode = 1;
+  } finally {
+    provider.destroy();
+  }
+}
+
+async function main() {
+  const opts = parseArgs();
+  if (!opts.files.length) throw new Error("Usage: node scripts/geometry.mjs validate|normalize|hash|check <build.json...> [--out FILE] [--network NAME] [--json]");
+
+  if (opts.cmd === "validate") {
+    let invalid = 0;
+    for (const file of opts.files) {
+      let problems;
+      try {
+        problems = validateBuild(JSON.parse(fs.readFileSync(file, "utf8")));
+      } catch (err) {
+        problems = [err.message];
+      }
+      if (problems.length) invalid++;
+      console.log(problems.length ? `FAIL ${file}\n  ${problems.join("\n  ")}` : `ok   ${file}`);
+    }
+    if (invalid) process.exitCode = 1;
+    return;
+  }
+
+  const builds = opts.files.map(loadBuild);
+  if (opts.cmd === "normalize") {
+    if (builds.length !== 1) throw new Error("normalize takes one file");
+    const text = `${JSON.stringify(builds[0].build)}\n`;
+    if (opts.out) fs.writeFileSync(opts.out, text);
+    else process.stdout.write(text);
+    return;
+  }
+  if (opts.cmd === "hash") {
+    const rows = builds.map(describe);
+    if (opts.json) console.log(JSON.stringify(rows, null, 2));
+    else for (const r of rows) console.log(`${r.geometryHash} ${r.file} (${r.voxels} voxels, ${r.size}, density ${r.density})`);
+    return;
+  }
+  if (opts.cmd === "check") {
+    await check(opts, builds);
+    return;
+  }
+  throw new Error(`Unknown command: ${opts.cmd}. Use validate|normalize|hash|check`);
+}
+
+main().catch((err) => {
+  console.error(err.shortMessage || err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+import { ethers } from "ethers";
+import { DEFAULT_NETWORK, deploymentRpcUrl, loadDeployment } from "./lib/deployments.mjs";
+import { defaultIndexPath, licenseBalances, liveTokens, loadIndex, syncIndex, tokenStates } from "./lib/indexer.mjs";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    cmd: "sync",
+    rpc: process.env.RPC_URL || "",
+    network: process.env.NETWORK || DEFAULT_NETWORK,
+    contracts: process.env.CONTRACTS_JSON || "",
+    indexPath: process.env.INDEX_PATH || "",
+    startBlock: process.env.START_BLOCK ? Number(process.env.START_BLOCK) : undefined,
+    confirmations: Number(process.env.CONFIRMATIONS || "0"),
+    intervalMs: Number(process.env.INDEX_INTERVAL_MS || "2000"),
+  };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--rpc") opts.rpc = args[++i];
+    else if (a === "--network") opts.network = args[++i];
+    else if (a === "--contracts") opts.contracts = args[++i];
+    else if (a === "--index") opts.indexPath = args[++i];
+    else if (a === "--start-block") opts.startBlock = Number(args[++i]);
+    else if (a === "--confirmations") opts.confirmations = Number(args[++i]);
+    else if (a === "--interval") opts.intervalMs = Number(args[++i]);
+    else if (!a.startsWith("--")) opts.cmd = a.toLowerCase();
+  }
+  return opts;
+}
+
+function summarize(index, indexPath) {
+  const tokens = [...tokenStates(index).values()];
+  return {
+    indexPath,
+    chainId: index.chainId,
+    startBlock: index.startBlock,
+    checkpoint: index.checkpoint,
+    events: index.events.length,
+    tokens: tokens.length,
+    liveTokens: liveTokens(index).length,
+    burnedTokens: tokens.filter((t) => t.burned).length,
+    licenses: licenseBalances(index).size,
+  };
+}
+
+async function main() {
+  const opts = parseArgs();
+  const manifest = loadDeployment(opts.contracts || opts.network);
+  const provider = new ethers.JsonRpcProvider(opts.rpc || deploymentRpcUrl(manifest));
+  const syncOpts = {
+    provider,
+    manifest,
+    indexPath: opts.indexPath || undefined,
+    startBlock: opts.startBlock,
+    confirmations: opts.confirmations,
+    log: (msg) => console.log(`[indexer] ${msg}`),
+  };
+
+  if (opts.cmd === "sync" || opts.cmd === "tokens") {
+    const { index, indexPath } = await syncIndex(opts.cmd === "sync" ? syncOpts : { ...syncOpts, log: () => {} });
+    if (opts.cmd === "tokens") {
+      console.log(JSON.stringify([...tokenStates(index).values()], null, 2));
+    } else {
+      console.log(JSON.stringify(summarize(index, indexPath), null, 2));
+    }
+    provider.destroy();
+    return;
+  }
+
+  if (opts.cmd === "status") {
+    const indexPath = opts.indexPath || defaultIndexPath(manifest, Number((await provider.getNetwork()).chainId));
+    provider.destroy();
+    const index = loadIndex(indexPath);
+    console.log(JSON.stringify(index ? summarize(index, indexPath) : { indexPath, exists: false }, null, 2));
+    return;
+  }
+
+  if (opts.cmd === "follow") {
+    let stopped = false;
+    process.on("SIGINT", () => {
+      stopped = true;
+    });
+    process.on("SIGTERM", () => {
+      stopped = true;
+    });
+    while (!stopped) {
+      try {
+        const { added } = await syncIndex(syncOpts);
+        if (added) console.log(`[indexer] +${added} events`);
+      } catch (err) {
+        console.error(`[indexer] sync failed: ${err.shortMessage || err.message}`);
+      }
+      await new Promise((r) => setTimeout(r, opts.intervalMs));
+    }
+    provider.destroy();
+    return;
+  }
+
+  throw new Error(`Unknown command: ${opts.cmd}. Use sync|follow|status|tokens`);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
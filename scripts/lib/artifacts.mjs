@@ -0,0 +1,74 @@
+import fs from "node:fs";
+import path from "node:path";
+import { ethers } from "ethers";
+import { CONTRACTS_ROOT } from "./contracts.mjs";
+
+// Forge artifacts (out/<Name>.sol/<Name>.json) and the hashes the deployment
+// manifest records per contract, so a deployment can be compared with what is
+// compiled now.
+
+/** Manifest key -> contract name. */
+export const MANIFEST_CONTRACTS = {
+  blox: "BLOX",
+  distributor: "Distributor",
+  licenseNFT: "LicenseNFT",
+  licenseRegistry: "LicenseRegistry",
+  buildNFT: "BuildNFT",
+};
+
+export const OUT_DIR = path.join(CONTRACTS_ROOT, "out");
+
+/**
+ * @param {string} name contract name, e.g. "BuildNFT"
+ * @param {string} [outDir]
+ * @param {string} [source] source file, when it is not `<name>.sol` (e.g. test contracts)
+ */
+export function artifactPath(name, outDir = OUT_DIR, source = `${name}.sol`) {
+  return path.join(outDir, source, `${name}.json`);
+}
+
+export function readArtifact(name, outDir = OUT_DIR, source = `${name}.sol`) {
+  const p = artifactPath(name, outDir, source);
+  if (!fs.existsSync(p)) throw new Error(`Missing artifact ${p}; run forge build`);
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+// Zeroes immutable slots (filled in at deploy time) and drops the trailing
+// CBOR metadata, whose hash changes with comments and paths but not with the
+// code that runs.
+function normalizeRuntime(code, immutableReferences = {}) {
+  const bytes = ethers.getBytesCopy(code);
+  for (const refs of Object.values(immutableReferences)) {
+    for (const { start, length } of refs) bytes.fill(0, start, start + length);
+  }
+  if (bytes.length >= 2) {
+    const metaLength = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+    if (metaLength + 2 <= bytes.length) return bytes.subarray(0, bytes.length - metaLength - 2);
+  }
+  return bytes;
+}
+
+/**
+ * Hash of runtime bytecode with immutables and metadata masked out, using the
+ * artifact's immutable offsets. The same for deployed code and the artifact's
+ * deployedBytecode when they come from the same source.
+ * @param {string} code hex runtime code
+ * @param {object} artifact
+ */
+export function runtimeCodeHash(code, artifact) {
+  return ethers.keccak256(normalizeRuntime(code, artifact.deployedBytecode.immutableReferences));
+}
+
+/** Hash of the ABI's sorted human-readable signatures. */
+export function abiHash(abi) {
+  const signatures = new ethers.Interface(abi).format().slice().sort();
+  return ethers.id(JSON.stringify(signatures));
+}
+
+/** `{ codeHash, abiHash }` for what is compiled now. */
+export function compiledHashes(artifact) {
+  return {
+    codeHash: runtimeCodeHash(artifact.deployedBytecode.object, artifact),
+    abiHash: abiHash(artifact.abi),
+  };
+}
@@ -0,0 +1,159 @@
+import { ethers } from "ethers";
+import { KIND_BRICK } from "./contracts.mjs";
+import { brickGeometryHash } from "./lattice.mjs";
+import { batchRead } from "./rpc.mjs";
+
+// Component sets for a brick mint. _validateCompositionRules only checks
+// that every component is a live brick of the target's density, that ids are
+// sorted and that the component areas (width * depth * count) add up to the
+// target's width * depth; it does not check a tiling. Brick mints escrow no
+// licenses and do not check who owns the components, so every live brick at
+// the density is a free component. A plan is any multiset of them with the
+// right total area, using at most MAX_COMPONENT_TYPES distinct tokens.
+
+/** BuildNFT.MAX_COMPONENT_TYPES. */
+export const MAX_COMPONENT_TYPES = 32;
+
+/**
+ * Plan orderings: fewest component types, or lowest license cost. The cost is
+ * an optional policy of buying one license from the author of each component
+ * the account does not own; the mint does not require it.
+ */
+export const OBJECTIVES = {
+  types: (a, b) => a.types - b.types || cmp(a.cost, b.cost) || a.count - b.count,
+  cost: (a, b) => cmp(a.cost, b.cost) || a.types - b.types || a.count - b.count,
+};
+
+function cmp(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * @typedef {object} BrickCandidate
+ * @property {number} tokenId
+ * @property {number} width
+ * @property {number} depth
+ * @property {number} density
+ * @property {boolean} owned whether the account owns it (informational: the mint does not check)
+ * @property {bigint} cost optional license purchase: one license's quote for a brick someone
+ *   else owns, 0 when the account owns it or no license is on sale
+ */
+
+/**
+ * Valid component sets for `target`, best first under `objective`: for each
+ * number of component types the cheapest set (then the fewest bricks). Each
+ * plan's composition is sorted by token id and ready for `mint`.
+ * @param {{ width: number, depth: number, density: number }} target
+ * @param {BrickCandidate[]} candidates
+ * @param {{ objective?: keyof typeof OBJECTIVES, maxTypes?: number, limit?: number }} [opts]
+ */
+export function planBrickComposition(target, candidates, { objective = "types", maxTypes = MAX_COMPONENT_TYPES, limit = 5 } = {}) {
+  if (!OBJECTIVES[objective]) throw new Error(`Unknown objective "${objective}". Use ${Object.keys(OBJECTIVES).join("|")}`);
+  const area = target.width * target.depth;
+  // Nothing is smaller than 1x1: it is the genesis mint, with no components.
+  if (area === 1) return [{ types: 0, count: 0, cost: 0n, components: [], componentBuildIds: [], componentCounts: [] }];
+  const usable = candidates
+    .filter((c) => c.density === target.density && c.width * c.depth <= area)
+    .filter((c) => !(Math.min(c.width, c.depth) === Math.min(target.width, target.depth) && Math.max(c.width, c.depth) === Math.max(target.width, target.depth)))
+    .sort((a, b) => a.tokenId - b.tokenId);
+
+  // Knapsack over candidates: best[s][t] is the cheapest way (then fewest
+  // bricks) to cover area s with t component types. Cost is per type: the
+  // policy buys one license per component, whatever its count.
+  const better = (a, b) => !b || cmp(a.cost, b.cost) < 0 || (a.cost === b.cost && a.count < b.count);
+  let best = Array.from({ length: area + 1 }, () => new Array(maxTypes + 1).fill(null));
+  best[0][0] = { cost: 0n, count: 0, picks: [] };
+  for (const c of usable) {
+    const a = c.width * c.depth;
+    const next = best.map((row) => row.slice());
+    for (let s = 0; s < area; s++) {
+      for (let t = 0; t < maxTypes; t++) {
+        const from = best[s][t];
+        if (!from) continue;
+        for (let k = 1; s + k * a <= area; k++) {
+          const cand = { cost: from.cost + c.cost, count: from.count + k, picks: [...from.picks, [c, k]] };
+          if (better(cand, next[s + k * a][t + 1])) next[s + k * a][t + 1] = cand;
+        }
+      }
+    }
+    best = next;
+  }
+
+  const plans = [];
+  for (let t = 1; t <= maxTypes; t++) {
+    const p = best[area][t];
+    if (!p) continue;
+    plans.push({
+      types: t,
+      count: p.count,
+      cost: p.cost,
+      components: p.picks.map(([c, k]) => ({ tokenId: c.tokenId, width: c.width, depth: c.depth, count: k, owned: c.owned, cost: c.cost })),
+      componentBuildIds: p.picks.map(([c]) => BigInt(c.tokenId)),
+      componentCounts: p.picks.map(([, k]) => BigInt(k)),
+    });
+  }
+  return plans.sort(OBJECTIVES[objective]).slice(0, limit);
+}
+
+/**
+ * `mint` parameters for a brick from a plan, named like the lattice's bricks.
+ * @param {{ width: number, depth: number, density: number }} target
+ * @param {{ componentBuildIds: bigint[], componentCounts: bigint[] }} plan
+ * @returns {import("./contracts.mjs").MintParams}
+ */
+export function brickMintParams(target, plan, { uri } = {}) {
+  const { width, depth, density } = target;
+  return {
+    geometryHash: brickGeometryHash(density, width, depth),
+    mass: width * depth,
+    uri: uri ?? `ipfs://brick/${density}/${width}x${depth}`,
+    componentBuildIds: plan.componentBuildIds,
+    componentCounts: plan.componentCounts,
+    kind: KIND_BRICK,
+    width,
+    depth,
+    density,
+  };
+}
+
+/**
+ * Every live brick at `density`, each usable as a component. `owned` and
+ * `cost` only feed the optional license-cost objective: a brick `account`
+ * does not own costs its one-license quote when it is registered and not
+ * sold out. Reads are pinned to one block.
+ * @param {string} rpcUrl
+ * @param {import("./contracts.mjs").Client} client
+ * @param {number} density
+ * @param {string} account
+ * @returns {Promise<{ blockNumber: number, candidates: BrickCandidate[] }>}
+ */
+export async function brickCandidates(rpcUrl, client, density, account) {
+  const blockNumber = await client.buildNFT.runner.provider.getBlockNumber();
+  const opts = { blockTag: ethers.toQuantity(blockNumber) };
+  const read = async (contract, reads) => {
+    const values = await batchRead(rpcUrl, contract, reads, opts);
+    const failed = values.find((v) => v.error);
+    if (failed) throw new Error(`Cannot read ${reads[values.indexOf(failed)].fn}: ${failed.error}`);
+    return values.map((v) => v.value);
+  };
+
+  const [next] = await read(client.buildNFT, [{ fn: "nextTokenId", args: [] }]);
+  const ids = Array.from({ length: Math.max(0, Number(next) - 1) }, (_, i) => i + 1);
+  const kinds = await read(client.buildNFT, ids.flatMap((id) => [{ fn: "exists", args: [id] }, { fn: "kindOf", args: [id] }]));
+  const bricks = ids.filter((_, i) => kinds[i * 2] && Number(kinds[i * 2 + 1]) === KIND_BRICK);
+  const specs = await read(client.buildNFT, bricks.map((id) => ({ fn: "brickSpecOf", args: [id] })));
+  const atDensity = bricks
+    .map((id, i) => ({ tokenId: id, width: Number(specs[i].width), depth: Number(specs[i].depth), density: Number(specs[i].density) }))
+    .filter((b) => b.density === density);
+
+  const owners = await read(client.buildNFT, atDensity.map((b) => ({ fn: "ownerOf", args: [b.tokenId] })));
+  const owned = owners.map((o) => o.toLowerCase() === account.toLowerCase());
+  const licenseIds = await read(client.licenseRegistry, atDensity.map((b) => ({ fn: "licenseIdForBuild", args: [b.tokenId] })));
+  const forSale = atDensity.filter((b, i) => licenseIds[i] > 0n && !owned[i]);
+  // quote reverts once a license is sold out; there is nothing to buy then.
+  const quotes = await batchRead(rpcUrl, client.licenseRegistry, forSale.map((b) => ({ fn: "quote", args: [b.tokenId, 1] })), opts);
+  const price = new Map(forSale.map((b, i) => [b.tokenId, quotes[i].error ? 0n : quotes[i].value]));
+
+  const candidates = atDensity.map((b, i) => ({ ...b, owned: owned[i], cost: price.get(b.tokenId) ?? 0n }));
+  return { blockNumber, candidates };
+}
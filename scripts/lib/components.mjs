@@ -0,0 +1,60 @@
+import { ethers } from "ethers";
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/** keccak256(abi.encode(uint256[])) — same as MintReservation.componentBuildIdsHash. */
+export function componentBuildIdsHash(ids) {
+  return ethers.keccak256(coder.encode(["uint256[]"], [ids.map((v) => BigInt(v))]));
+}
+
+/** keccak256(abi.encode(uint256[])) — same as MintReservation.componentCountsHash. */
+export function componentCountsHash(counts) {
+  return ethers.keccak256(coder.encode(["uint256[]"], [counts.map((v) => BigInt(v))]));
+}
+
+/**
+ * Sorts a composition by component id (the order BuildNFT requires).
+ * @returns {{ componentBuildIds: bigint[], componentCounts: bigint[] }}
+ */
+export function canonicalComposition(componentBuildIds, componentCounts) {
+  if (componentBuildIds.length !== componentCounts.length) {
+    throw new Error("componentBuildIds and componentCounts differ in length");
+  }
+  const pairs = componentBuildIds
+    .map((id, i) => [BigInt(id), BigInt(componentCounts[i])])
+    .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  for (let i = 1; i < pairs.length; i++) {
+    if (pairs[i][0] === pairs[i - 1][0]) throw new Error(`component ${pairs[i][0]} listed twice`);
+  }
+  return { componentBuildIds: pairs.map((p) => p[0]), componentCounts: pairs.map((p) => p[1]) };
+}
+
+/**
+ * Metadata componentsHash: keccak256(abi.encode(componentBuildIdsHash, componentCountsHash))
+ * over the sorted composition. A build with no components still hashes
+ * (the two empty-array hashes), so "" always means "unknown".
+ */
+export function componentsHash(componentBuildIds, componentCounts) {
+  const c = canonicalComposition(componentBuildIds, componentCounts);
+  return ethers.keccak256(
+    coder.encode(
+      ["bytes32", "bytes32"],
+      [componentBuildIdsHash(c.componentBuildIds), componentCountsHash(c.componentCounts)],
+    ),
+  );
+}
+
+/** Readable list for metadata: [{ tokenId, count }] sorted by tokenId. */
+export function componentsList(componentBuildIds, componentCounts) {
+  const c = canonicalComposition(componentBuildIds, componentCounts);
+  return c.componentBuildIds.map((id, i) => ({ tokenId: Number(id), count: Number(c.componentCounts[i]) }));
+}
+
+/**
+ * BuildNFT._brickSpecKey: keccak256(abi.encodePacked(uint8 w, uint8 d, uint16 density))
+ * with the dimensions ordered so that w <= d (a 4x2 brick is a 2x4 brick).
+ */
+export function brickSpecKey(width, depth, density) {
+  const [w, d] = Number(width) <= Number(depth) ? [width, depth] : [depth, width];
+  return ethers.solidityPackedKeccak256(["uint8", "uint8", "uint16"], [w, d, density]);
+}
@@ -0,0 +1,445 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { ethers } from "ethers";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CONTRACTS_ROOT = path.resolve(__dirname, "..", "..");
+export const DEFAULT_MANIFEST_PATH = path.join(CONTRACTS_ROOT, "deployments", "anvil.contracts.json");
+
+export const KIND_BRICK = 0;
+export const KIND_BUILD = 1;
+export const KIND_COLLECTOR = 2;
+
+// Single source of truth for the protocol ABIs used by scripts and the app.
+// Keep these in sync with src/*.sol; every consumer should import from here.
+
+const MINT_RESERVATION_TUPLE =
+  "(address author,address reservedFor,bytes32 geometryHash,uint256 mass,bytes32 uriHash,bytes32 componentBuildIdsHash,bytes32 componentCountsHash,uint8 kind,uint8 width,uint8 depth,uint16 density,uint256 nonce,uint256 expiry)";
+
+export const BUILD_NFT_ABI = [
+  "function FEE_PER_MINT() view returns (uint256)",
+  "function BLOX_PER_MASS() view returns (uint256)",
+  "function RESERVATION_MAX_TTL() view returns (uint256)",
+  "function LIQUIDITY_BPS() view returns (uint256)",
+  "function TREASURY_BPS() view returns (uint256)",
+  "function OWNERS_BPS() view returns (uint256)",
+  "function MAX_COMPONENT_TYPES() view returns (uint256)",
+  "function TOTAL_BRICK_SIZES() view returns (uint16)",
+  "function KIND_BRICK() view returns (uint8)",
+  "function KIND_BUILD() view returns (uint8)",
+  "function KIND_COLLECTOR() view returns (uint8)",
+  "function MINT_RESERVATION_TYPEHASH() view returns (bytes32)",
+  "function blox() view returns (address)",
+  "function baseTokenURI() view returns (string)",
+  "function distributor() view returns (address)",
+  "function liquidityReceiver() view returns (address)",
+  "function protocolTreasury() view returns (address)",
+  "function licenseRegistry() view returns (address)",
+  "function licenseNFT() view returns (address)",
+  "function maxMass() view returns (uint256)",
+  "function nextTokenId() view returns (uint256)",
+  "function massOf(uint256) view returns (uint256)",
+  "function geometryOf(uint256) view returns (bytes32)",
+  "function lockedBloxOf(uint256) view returns (uint256)",
+  "function creatorOf(uint256) view returns (address)",
+  "function kindOf(uint256) view returns (uint8)",
+  "function densityOf(uint256) view returns (uint16)",
+  "function bwAnchorOf(uint256) view returns (uint256)",
+  "function brickSpecOf(uint256) view returns (uint8 width, uint8 depth, uint16 density)",
+  "function brickSpecKeyOf(uint256) view returns (bytes32)",
+  "function brickSizeCovered(uint16) view returns (bool)",
+  "function coveredBrickSizes() view returns (uint16)",
+  "function geometryConsumed(bytes32) view returns (bool)",
+  "function brickSpecConsumed(bytes32) view returns (bool)",
+  "function kindEnabled(uint16) view returns (bool)",
+  "function burned(uint256) view returns (bool)",
+  "function reservationConsumed(bytes32) view returns (bool)",
+  "function reservationDigest(" + MINT_RESERVATION_TUPLE + " r) view returns (bytes32)",
+  "function isActive(uint256) view returns (bool)",
+  "function isBurned(uint256) view returns (bool)",
+  "function exists(uint256) view returns (bool)",
+  "function ownerOfSafe(uint256) view returns (address)",
+  "function isKindUnlocked() view returns (bool)",
+  "function mint(bytes32 geometryHash,uint256 mass,string uri,uint256[] componentBuildIds,uint256[] componentCounts,uint8 kind,uint8 width,uint8 depth,uint16 density) payable returns (uint256 tokenId)",
+  "function mintWithReservation(" + MINT_RESERVATION_TUPLE + " reservation,string uri,uint256[] componentBuildIds,uint256[] componentCounts,bytes signature) payable returns (uint256 tokenId)",
+  "function burn(uint256 tokenId)",
+  "function setMaxMass(uint256 newMaxMass)",
+  "function setLiquidityReceiver(address a)",
+  "function setProtocolTreasury(address a)",
+  "function setDistributor(address a)",
+  "function setKindEnabled(uint16 kind,bool enabled)",
+  "function setBaseTokenURI(string newBase)",
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function tokenURI(uint256) view returns (string)",
+  "function ownerOf(uint256) view returns (address)",
+  "function balanceOf(address) view returns (uint256)",
+  "function getApproved(uint256) view returns (address)",
+  "function isApprovedForAll(address,address) view returns (bool)",
+  "function approve(address,uint256)",
+  "function setApprovalForAll(address,bool)",
+  "function transferFrom(address,address,uint256)",
+  "function safeTransferFrom(address,address,uint256)",
+  "function owner() view returns (address)",
+  "function transferOwnership(address)",
+  "event BuildMinted(uint256 indexed tokenId,address indexed creator,uint256 mass,bytes32 indexed geometryHash,string tokenURI)",
+  "event BuildBurned(uint256 indexed tokenId,address indexed owner,uint256 mass,bytes32 indexed geometryHash,uint256 lockedBloxAmount,uint256 returnedToOwner,uint256 recycledToDistributor)",
+  "event KindEnabled(uint16 indexed kind,bool enabled)",
+  "event BrickSizeCovered(uint8 indexed width,uint8 indexed depth,uint16 coveredSizes)",
+  "event ReservationConsumed(bytes32 indexed reservationDigest,address indexed author,address indexed minter)",
+  "event Transfer(address indexed from,address indexed to,uint256 indexed tokenId)",
+  "event Approval(address indexed owner,address indexed approved,uint256 indexed tokenId)",
+  "event ApprovalForAll(address indexed owner,address indexed operator,bool approved)",
+  "event OwnershipTransferred(address indexed previousOwner,address indexed newOwner)",
+];
+
+export const LICENSE_REGISTRY_ABI = [
+  "function buildNFT() view returns (address)",
+  "function licenseNFT() view returns (address)",
+  "function treasury() view returns (address)",
+  "function lpBudgetBalance() view returns (uint256)",
+  "function minRebalanceInterval() view returns (uint256)",
+  "function minLpBudgetAmount() view returns (uint256)",
+  "function maxSlippageBps() view returns (uint256)",
+  "function maxDeadlineWindow() view returns (uint256)",
+  "function lastRebalanceAt() view returns (uint256)",
+  "function keepers(address) view returns (bool)",
+  "function routerWhitelist(address) view returns (bool)",
+  "function nextLicenseId() view returns (uint256)",
+  "function licenseIdForBuild(uint256) view returns (uint256)",
+  "function pricingForLicense(uint256) view returns (uint256 startPrice, uint256 step, uint256 maxSupply, uint256 maxPrice)",
+  "function quote(uint256 buildId,uint256 qty) view returns (uint256)",
+  "function registerBuild(uint256 buildId,bytes32 expectedGeometryHash)",
+  "function mintLicenseForBuild(uint256 buildId,uint256 qty) payable",
+  "function executeRebalance(address router,uint256 amount,uint256 slippageBps,uint256 deadline,bytes data) returns (bool ok, bytes result)",
+  "function setTreasury(address treasury_)",
+  "function setKeeper(address keeper,bool allowed)",
+  "function setRouterWhitelist(address router,bool allowed)",
+  "function setRebalanceGuards(uint256 minRebalanceInterval_,uint256 minLpBudgetAmount_,uint256 maxSlippageBps_,uint256 maxDeadlineWindow_)",
+  "function owner() view returns (address)",
+  "function transferOwnership(address)",
+  "event TreasurySet(address indexed treasury)",
+  "event KeeperSet(address indexed keeper,bool allowed)",
+  "event RouterWhitelistSet(address indexed router,bool allowed)",
+  "event RebalanceGuardsSet(uint256 minRebalanceInterval,uint256 minLpBudgetAmount,uint256 maxSlippageBps,uint256 maxDeadlineWindow)",
+  "event RebalanceExecuted(address indexed keeper,address indexed router,uint256 amount,bool ok)",
+  "event BuildRegistered(uint256 indexed buildId,uint256 indexed licenseId,uint256 maxSupply,uint256 startPrice,uint256 step)",
+  "event LicenseMinted(uint256 indexed licenseId,address indexed buyer,uint256 qty,uint256 price)",
+  "event OwnershipTransferred(address indexed previousOwner,address indexed newOwner)",
+];
+
+export const LICENSE_NFT_ABI = [
+  "function registry() view returns (address)",
+  "function maxSupply(uint256) view returns (uint256)",
+  "function totalSupply(uint256) view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+  "function exists(uint256) view returns (bool)",
+  "function uri(uint256) view returns (string)",
+  "function balanceOf(address,uint256) view returns (uint256)",
+  "function balanceOfBatch(address[],uint256[]) view returns (uint256[])",
+  "function isApprovedForAll(address,address) view returns (bool)",
+  "function setApprovalForAll(address,bool)",
+  "function safeTransferFrom(address,address,uint256,uint256,bytes)",
+  "function setRegistry(address newRegistry)",
+  "function setMaxSupply(uint256 id,uint256 max)",
+  "function setURI(string newUri)",
+  "function owner() view returns (address)",
+  "function transferOwnership(address)",
+  "event RegistrySet(address indexed registry)",
+  "event MaxSupplySet(uint256 indexed id,uint256 max)",
+  "event LicenseMinted(address indexed to,uint256 indexed id,uint256 qty)",
+  "event LicenseBurned(address indexed from,uint256 indexed id,uint256 qty)",
+  "event BaseURISet(string newUri)",
+  "event TransferSingle(address indexed operator,address indexed from,address indexed to,uint256 id,uint256 value)",
+  "event TransferBatch(address indexed operator,address indexed from,address indexed to,uint256[] ids,uint256[] values)",
+  "event ApprovalForAll(address indexed account,address indexed operator,bool approved)",
+  "event URI(string value,uint256 indexed id)",
+  "event OwnershipTransferred(address indexed previousOwner,address indexed newOwner)",
+];
+
+export const DISTRIBUTOR_ABI = [
+  "function blox() view returns (address)",
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function rules(uint256) view returns (address to, uint16 bps)",
+  "function rulesLength() view returns (uint256)",
+  "function rulesFrozen() view returns (bool)",
+  "function forwardTo() view returns (address)",
+  "function buildNFT() view returns (address)",
+  "function protocolTreasury() view returns (address)",
+  "function bwScore(uint256) view returns (int256)",
+  "function hasUsed(uint256,address) view returns (bool)",
+  "function hasBuiltWith(uint256,address) view returns (bool)",
+  "function uniqueUsers(uint256) view returns (uint256)",
+  "function uniqueBuilders(uint256) view returns (uint256)",
+  "function uses(uint256) view returns (uint256)",
+  "function lastUsedAt(uint256) view returns (uint256)",
+  "function lastNonOwnerUseAt(uint256) view returns (uint256)",
+  "function firstSeenAt(uint256) view returns (uint256)",
+  "function ethOwed(address) view returns (uint256)",
+  "function transferOwnership(address newOwner)",
+  "function acceptOwnership()",
+  "function setRules((address to,uint16 bps)[] newRules)",
+  "function freezeRules()",
+  "function setForwardTo(address forwardTo_)",
+  "function setBuildNFT(address buildNFT_)",
+  "function setProtocolTreasury(address protocolTreasury_)",
+  "function distribute()",
+  "function claim()",
+  "function claimTo(address to)",
+  "event OwnershipTransferStarted(address indexed previousOwner,address indexed newOwner)",
+  "event OwnershipTransferred(address indexed previousOwner,address indexed newOwner)",
+  "event RulesSet(uint256 count)",
+  "event RulesFrozen()",
+  "event ForwardToSet(address indexed forwardTo)",
+  "event Distributed(uint256 balanceBefore,uint256 sentTotal)",
+  "event Forwarded(address indexed forwardTo,uint256 amount)",
+  "event BuildNFTSet(address indexed buildNFT)",
+  "event ProtocolTreasurySet(address indexed protocolTreasury)",
+  "event UsageAccrued(uint256 indexed buildId,address indexed payer,address indexed owner,uint256 amount,bool selfBlocked)",
+  "event Claimed(address indexed owner,address indexed to,uint256 amount)",
+];
+
+export const BLOX_ABI = [
+  "function MAX_SUPPLY() view returns (uint256)",
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address,address) view returns (uint256)",
+  "function transfer(address,uint256) returns (bool)",
+  "function transferFrom(address,address,uint256) returns (bool)",
+  "function approve(address,uint256) returns (bool)",
+  "function burn(uint256 amount)",
+  "event Transfer(address indexed from,address indexed to,uint256 value)",
+  "event Approval(address indexed owner,address indexed spender,uint256 value)",
+];
+
+const MANIFEST_KEYS = ["blox", "distributor", "licenseNFT", "licenseRegistry", "buildNFT"];
+
+/**
+ * @typedef {object} Manifest
+ * @property {string} blox
+ * @property {string} distributor
+ * @property {string} licenseNFT
+ * @property {string} licenseRegistry
+ * @property {string} buildNFT
+ * @property {number} [chainId]
+ * @property {string} [rpcUrl]
+ */
+
+/**
+ * @typedef {object} Client
+ * @property {Manifest} manifest
+ * @property {ethers.Contract} blox
+ * @property {ethers.Contract} buildNFT
+ * @property {ethers.Contract} licenseRegistry
+ * @property {ethers.Contract} licenseNFT
+ * @property {ethers.Contract} distributor
+ */
+
+/**
+ * Reads a deployment manifest (e.g. deployments/anvil.contracts.json) and
+ * checks that every protocol address is present.
+ * @param {string} [manifestPath]
+ * @returns {Manifest}
+ */
+export function loadManifest(manifestPath = DEFAULT_MANIFEST_PATH) {
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  const missing = MANIFEST_KEYS.filter((k) => !ethers.isAddress(manifest[k]));
+  if (missing.length) {
+    throw new Error(`Manifest ${manifestPath} is missing addresses for: ${missing.join(", ")}`);
+  }
+  return manifest;
+}
+
+/**
+ * @param {Manifest} manifest
+ * @param {ethers.ContractRunner} runner provider or signer
+ * @returns {Client}
+ */
+export function connect(manifest, runner) {
+  return {
+    manifest,
+    blox: new ethers.Contract(manifest.blox, BLOX_ABI, runner),
+    buildNFT: new ethers.Contract(manifest.buildNFT, BUILD_NFT_ABI, runner),
+    licenseRegistry: new ethers.Contract(manifest.licenseRegistry, LICENSE_REGISTRY_ABI, runner),
+    licenseNFT: new ethers.Contract(manifest.licenseNFT, LICENSE_NFT_ABI, runner),
+    distributor: new ethers.Contract(manifest.distributor, DISTRIBUTOR_ABI, runner),
+  };
+}
+
+/**
+ * Decodes every `eventName` log in `receipt` emitted by `contract`.
+ * @param {ethers.Contract} contract
+ * @param {ethers.TransactionReceipt} receipt
+ * @param {string} eventName
+ * @returns {ethers.Result[]}
+ */
+export function parseEvents(contract, receipt, eventName) {
+  const target = String(contract.target).toLowerCase();
+  const out = [];
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== target) continue;
+    let parsed;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch {
+      continue;
+    }
+    if (parsed?.name === eventName) out.push(parsed.args);
+  }
+  return out;
+}
+
+function parseOne(contract, receipt, eventName) {
+  const [args] = parseEvents(contract, receipt, eventName);
+  if (!args) throw new Error(`${eventName} event not found`);
+  return args;
+}
+
+/** @returns {{ tokenId: bigint, creator: string, mass: bigint, geometryHash: string, tokenURI: string }} */
+export function parseBuildMinted(client, receipt) {
+  const a = parseOne(client.buildNFT, receipt, "BuildMinted");
+  return { tokenId: a.tokenId, creator: a.creator, mass: a.mass, geometryHash: a.geometryHash, tokenURI: a.tokenURI };
+}
+
+/** @returns {{ tokenId: bigint, owner: string, mass: bigint, geometryHash: string, lockedBloxAmount: bigint, returnedToOwner: bigint, recycledToDistributor: bigint }} */
+export function parseBuildBurned(client, receipt) {
+  const a = parseOne(client.buildNFT, receipt, "BuildBurned");
+  return {
+    tokenId: a.tokenId,
+    owner: a.owner,
+    mass: a.mass,
+    geometryHash: a.geometryHash,
+    lockedBloxAmount: a.lockedBloxAmount,
+    returnedToOwner: a.returnedToOwner,
+    recycledToDistributor: a.recycledToDistributor,
+  };
+}
+
+/** @returns {{ buildId: bigint, payer: string, owner: string, amount: bigint, selfBlocked: boolean }[]} */
+export function parseUsageAccrued(client, receipt) {
+  return parseEvents(client.distributor, receipt, "UsageAccrued").map((a) => ({
+    buildId: a.buildId,
+    payer: a.payer,
+    owner: a.owner,
+    amount: a.amount,
+    selfBlocked: a.selfBlocked,
+  }));
+}
+
+/** @returns {{ licenseId: bigint, buyer: string, qty: bigint, price: bigint }} */
+export function parseLicenseMinted(client, receipt) {
+  const a = parseOne(client.licenseRegistry, receipt, "LicenseMinted");
+  return { licenseId: a.licenseId, buyer: a.buyer, qty: a.qty, price: a.price };
+}
+
+/**
+ * @typedef {object} MintParams
+ * @property {string} geometryHash
+ * @property {bigint|number} mass
+ * @property {string} [uri]
+ * @property {(bigint|number)[]} [componentBuildIds]
+ * @property {(bigint|number)[]} [componentCounts]
+ * @property {number} kind
+ * @property {number} [width]
+ * @property {number} [depth]
+ * @property {number} density
+ */
+
+/**
+ * Mints a brick/build, paying FEE_PER_MINT unless `overrides.value` is set.
+ * @param {Client} client
+ * @param {ethers.Signer} signer
+ * @param {MintParams} params
+ * @param {ethers.Overrides} [overrides]
+ */
+export async function mint(client, signer, params, overrides = {}) {
+  const value = overrides.value ?? (await client.buildNFT.FEE_PER_MINT());
+  const tx = await client.buildNFT.connect(signer).mint(
+    params.geometryHash,
+    params.mass,
+    params.uri ?? "",
+    params.componentBuildIds ?? [],
+    params.componentCounts ?? [],
+    params.kind,
+    params.width ?? 0,
+    params.depth ?? 0,
+    params.density,
+    { ...overrides, value },
+  );
+  const receipt = await tx.wait();
+  const event = parseBuildMinted(client, receipt);
+  return { tokenId: event.tokenId, event, receipt, fee: value };
+}
+
+/**
+ * @param {Client} client
+ * @param {ethers.Signer} signer
+ * @param {bigint|number} tokenId
+ */
+export async function burn(client, signer, tokenId, overrides = {}) {
+  const receipt = await (await client.buildNFT.connect(signer).burn(tokenId, overrides)).wait();
+  return { event: parseBuildBurned(client, receipt), receipt };
+}
+
+/**
+ * Registers a build for licensing (no-op if already registered) and returns its license id.
+ * @param {Client} client
+ * @param {ethers.Signer} signer
+ * @param {bigint|number} buildId
+ * @returns {Promise<bigint>}
+ */
+export async function registerBuild(client, signer, buildId, overrides = {}) {
+  const existing = await client.licenseRegistry.licenseIdForBuild(buildId);
+  if (existing > 0n) return existing;
+  const geometryHash = await client.buildNFT.geometryOf(buildId);
+  await (await client.licenseRegistry.connect(signer).registerBuild(buildId, geometryHash, overrides)).wait();
+  return client.licenseRegistry.licenseIdForBuild(buildId);
+}
+
+/**
+ * @param {Client} client
+ * @param {bigint|number} buildId
+ * @param {bigint|number} qty
+ * @returns {Promise<bigint>}
+ */
+export async function quote(client, buildId, qty) {
+  return client.licenseRegistry.quote(buildId, qty);
+}
+
+/**
+ * Buys `qty` licenses for `buildId` at the current bonding-curve quote.
+ * @param {Client} client
+ * @param {ethers.Signer} signer
+ * @param {bigint|number} buildId
+ * @param {bigint|number} qty
+ */
+export async function mintLicenseForBuild(client, signer, buildId, qty, overrides = {}) {
+  const price = await quote(client, buildId, qty);
+  const tx = await client.licenseRegistry.connect(signer).mintLicenseForBuild(buildId, qty, {
+    ...overrides,
+    value: price,
+  });
+  const receipt = await tx.wait();
+  return { price, event: parseLicenseMinted(client, receipt), receipt };
+}
+
+/**
+ * Claims accrued ETH from the Distributor, optionally to another address.
+ * @param {Client} client
+ * @param {ethers.Signer} signer
+ * @param {string} [to]
+ */
+export async function claim(client, signer, to, overrides = {}) {
+  const distributor = client.distributor.connect(signer);
+  const tx = to ? await distributor.claimTo(to, overrides) : await distributor.claim(overrides);
+  const receipt = await tx.wait();
+  const [event] = parseEvents(client.distributor, receipt, "Claimed");
+  return { amount: event?.amount ?? 0n, to: event?.to, receipt };
+}
@@ -0,0 +1,171 @@
+import fs from "node:fs";
+import path from "node:path";
+import { ethers } from "ethers";
+import { CONTRACTS_ROOT, loadManifest } from "./contracts.mjs";
+import { MANIFEST_CONTRACTS } from "./artifacts.mjs";
+
+// Per-network deployment registry. Every deploy writes
+// deployments/<network>.contracts.json: the flat addresses loadManifest()
+// reads, plus a `contracts` record per contract with its deploy tx, block and
+// constructor arguments. Scripts and the app resolve addresses through
+// loadDeployment(<network>) rather than hard-coded paths.
+
+export const DEPLOYMENTS_DIR = path.join(CONTRACTS_ROOT, "deployments");
+export const DEFAULT_NETWORK = "anvil";
+
+/** Known networks: chain id, and the env var holding an RPC URL for it. */
+export const NETWORKS = {
+  anvil: { chainId: 31337, rpcEnv: "", rpcUrl: "http://127.0.0.1:8545" },
+  "base-sepolia": { chainId: 84532, rpcEnv: "BASE_SEPOLIA_RPC_URL" },
+  base: { chainId: 8453, rpcEnv: "BASE_RPC_URL" },
+};
+
+/** @param {string} network e.g. "base-sepolia", or "anvil-<stack>" for extra local stacks */
+export function deploymentPath(network) {
+  return path.join(DEPLOYMENTS_DIR, `${network}.contracts.json`);
+}
+
+/** Networks that have a deployment file, sorted. */
+export function listDeployments() {
+  if (!fs.existsSync(DEPLOYMENTS_DIR)) return [];
+  return fs
+    .readdirSync(DEPLOYMENTS_DIR)
+    .filter((f) => f.endsWith(".contracts.json"))
+    .map((f) => f.slice(0, -".contracts.json".length))
+    .sort();
+}
+
+export function networkForChainId(chainId) {
+  return Object.keys(NETWORKS).find((n) => NETWORKS[n].chainId === Number(chainId)) || null;
+}
+
+/**
+ * Loads a deployment by network name, or from a manifest path (anything
+ * ending in .json). The result carries `network` and `path`.
+ * @param {string} [target] defaults to CONTRACTS_JSON, then NETWORK, then "anvil"
+ * @returns {import("./contracts.mjs").Manifest & { network: string, path: string }}
+ */
+export function loadDeployment(target = process.env.CONTRACTS_JSON || process.env.NETWORK || DEFAULT_NETWORK) {
+  const isPath = target.endsWith(".json");
+  const file = isPath ? path.resolve(target) : deploymentPath(target);
+  if (!fs.existsSync(file)) {
+    if (isPath) throw new Error(`No deployment manifest at ${file}`);
+    const known = listDeployments();
+    throw new Error(`No deployment for network "${target}" (${path.relative(process.cwd(), file)}); deployed: ${known.join(", ") || "none"}`);
+  }
+  const manifest = loadManifest(file);
+  return { ...manifest, network: manifest.network || (isPath ? networkForChainId(manifest.chainId) : target), path: file };
+}
+
+/**
+ * RPC URL for a deployment: the network's env var if set, then the URL
+ * recorded in the manifest, then the network's default.
+ * @param {{ network?: string, rpcUrl?: string }} deployment
+ */
+export function deploymentRpcUrl(deployment) {
+  const net = NETWORKS[deployment.network] || (deployment.network?.startsWith("anvil") ? NETWORKS.anvil : null);
+  const url = (net?.rpcEnv && process.env[net.rpcEnv]) || deployment.rpcUrl || net?.rpcUrl;
+  if (!url) throw new Error(`No RPC URL for network "${deployment.network}"${net?.rpcEnv ? `; set ${net.rpcEnv}` : ""}`);
+  return url;
+}
+
+/**
+ * The deployment a CLI's `--contracts`/`--network`/`--rpc` options point at,
+ * with a provider for it. The caller destroys the provider.
+ * @param {{ contracts?: string, network?: string, rpc?: string }} opts
+ */
+export function openDeployment(opts) {
+  const manifest = loadDeployment(opts.contracts || opts.network);
+  const rpcUrl = opts.rpc || deploymentRpcUrl(manifest);
+  return { manifest, rpcUrl, provider: new ethers.JsonRpcProvider(rpcUrl) };
+}
+
+/**
+ * Signers for the keys in `env` (each may hold a comma-separated list), then
+ * PRIVATE_KEY. With no key set, local anvil deployments fall back to the
+ * node's unlocked accounts, the first being the deployer; other networks
+ * throw `missing`.
+ * @param {ethers.Provider} provider
+ * @param {{ network?: string }} manifest
+ * @param {{ env?: string[], missing: string }} opts
+ * @returns {Promise<ethers.Signer[]>}
+ */
+export async function deploymentSigners(provider, manifest, { env = [], missing }) {
+  const keys = [...env, "PRIVATE_KEY"].flatMap((name) => (process.env[name] || "").split(",")).map((k) => k.trim()).filter(Boolean);
+  if (keys.length) return [...new Set(keys)].map((k) => new ethers.Wallet(k, provider));
+  if (manifest.network?.startsWith("anvil")) return provider.listAccounts();
+  throw new Error(missing);
+}
+
+/** The first of `deploymentSigners`: the first key set, else the node's first account. */
+export async function deploymentSigner(provider, manifest, opts) {
+  return (await deploymentSigners(provider, manifest, opts))[0];
+}
+
+/** JSON for CLI output: bigints as decimal strings, Maps as objects. */
+export function toJson(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v instanceof Map ? Object.fromEntries(v) : v), 2);
+}
+
+/** Prints rows of strings as a left-aligned table under `head`. */
+export function printTable(head, body) {
+  const widths = head.map((h, i) => body.reduce((w, b) => Math.max(w, b[i].length), h.length));
+  const line = (cols) => cols.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd();
+  console.log(line(head));
+  console.log(line(widths.map((w) => "-".repeat(w))));
+  for (const b of body) console.log(line(b));
+}
+
+/**
+ * Per-contract records from a forge broadcast (broadcast/<script>/<chainId>/run-latest.json),
+ * keyed like the manifest. Only contracts listed in MANIFEST_CONTRACTS are kept.
+ * @param {object} runJson
+ * @returns {Record<string, { name: string, address: string, txHash: string, blockNumber: number | null, constructorArgs: string[] }>}
+ */
+export function contractsFromBroadcast(runJson) {
+  const keyOf = Object.fromEntries(Object.entries(MANIFEST_CONTRACTS).map(([k, name]) => [name, k]));
+  const blockOf = Object.fromEntries(
+    (runJson.receipts || []).map((r) => [r.transactionHash.toLowerCase(), Number(r.blockNumber)]),
+  );
+  const out = {};
+  for (const t of runJson.transactions || []) {
+    const key = keyOf[t.contractName];
+    if (!key || !t.contractAddress || !/^CREATE2?$/.test(t.transactionType)) continue;
+    out[key] = {
+      name: t.contractName,
+      address: t.contractAddress,
+      txHash: t.hash,
+      blockNumber: blockOf[t.hash?.toLowerCase()] ?? null,
+      constructorArgs: t.arguments || [],
+    };
+  }
+  return out;
+}
+
+/**
+ * Writes a deployment manifest. Flat addresses come from `contracts`, and
+ * `deployBlock` (where indexers start) is the earliest recorded block.
+ * @param {string} file
+ * @param {{ network: string, chainId: number, rpcUrl?: string, contracts: Record<string, { address: string, blockNumber?: number | null }> } & object} record
+ *   anything else in `record` (e.g. `version`, `seed`) is written after the contracts
+ * @param {string} [updatedAt]
+ */
+export function writeDeployment(file, { network, chainId, rpcUrl, contracts, ...rest }, updatedAt = new Date().toISOString()) {
+  const blocks = Object.values(contracts).map((c) => c.blockNumber).filter(Number.isFinite);
+  const addresses = Object.fromEntries(Object.keys(MANIFEST_CONTRACTS).map((k) => [k, contracts[k]?.address ?? null]));
+  const { version, ...extra } = rest;
+  const manifest = {
+    ...(version ? { version } : {}),
+    network,
+    chainId,
+    ...(rpcUrl ? { rpcUrl } : {}),
+    ...(blocks.length ? { deployBlock: Math.min(...blocks) } : {}),
+    ...addresses,
+    contracts,
+    ...extra,
+    updatedAt,
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
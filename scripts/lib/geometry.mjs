@@ -0,0 +1,141 @@
+import fs from "node:fs";
+import { ethers } from "ethers";
+import { canonicalComposition } from "./components.mjs";
+import { batchRead } from "./rpc.mjs";
+import { bounds, normalizeVoxels } from "./voxel-render.mjs";
+
+// Canonical build files and content-derived geometryHash. A build file holds
+// the voxels, the density and the declared components:
+//   { "version": 1, "density": 8, "voxels": [[x, y, z], ...], "components": [{ "tokenId": 3, "count": 2 }] }
+// Normalising translates the voxels so each axis starts at 0, drops
+// duplicates and sorts them by (x, y, z), so the same shape always hashes
+// the same wherever and in whatever order it was drawn. Rotations and
+// mirror images are different shapes. The schema is geometry.schema.json.
+
+export const GEOMETRY_VERSION = 1;
+export const GEOMETRY_TAG = "ethblox.geometry.v1";
+/** Largest coordinate after normalisation; each axis is packed as a uint16. */
+export const MAX_COORDINATE = 0xffff;
+
+const isUint = (v, max) => Number.isInteger(v) && v >= 0 && v <= max;
+
+/**
+ * Checks a parsed build file against the schema. Returns the problems
+ * (empty when the file is valid); each names the offending path.
+ * @param {unknown} build
+ * @returns {string[]}
+ */
+export function validateBuild(build) {
+  const problems = [];
+  if (!build || typeof build !== "object" || Array.isArray(build)) return ["build file must be a JSON object"];
+  const known = new Set(["$schema", "version", "name", "kind", "density", "voxels", "components"]);
+  for (const k of Object.keys(build)) if (!known.has(k)) problems.push(`${k}: unknown field`);
+  if (build.version !== GEOMETRY_VERSION) problems.push(`version: must be ${GEOMETRY_VERSION}`);
+  if (build.name !== undefined && typeof build.name !== "string") problems.push("name: must be a string");
+  if (build.kind !== undefined && !(isUint(build.kind, 255) && build.kind > 0)) problems.push("kind: must be an integer from 1 to 255 (bricks use the lattice)");
+  if (!(isUint(build.density, 0xffff) && build.density > 0)) problems.push("density: must be an integer from 1 to 65535");
+  if (!Array.isArray(build.voxels) || !build.voxels.length) {
+    problems.push("voxels: must be a non-empty array of [x, y, z]");
+  } else {
+    build.voxels.forEach((v, i) => {
+      if (!Array.isArray(v) || v.length !== 3 || !v.every(Number.isInteger)) problems.push(`voxels[${i}]: must be [x, y, z] integers`);
+    });
+    if (!problems.some((p) => p.startsWith("voxels["))) {
+      const { min, max } = bounds(build.voxels);
+      for (const axis of [0, 1, 2]) {
+        if (max[axis] - min[axis] > MAX_COORDINATE) problems.push(`voxels: extent along ${"xyz"[axis]} exceeds ${MAX_COORDINATE + 1}`);
+      }
+    }
+  }
+  if (build.components !== undefined) {
+    if (!Array.isArray(build.components)) {
+      problems.push("components: must be an array of { tokenId, count }");
+    } else {
+      const seen = new Set();
+      build.components.forEach((c, i) => {
+        if (!c || !(isUint(c.tokenId, Number.MAX_SAFE_INTEGER) && c.tokenId > 0)) problems.push(`components[${i}].tokenId: must be a positive integer`);
+        if (!c || !(isUint(c.count, Number.MAX_SAFE_INTEGER) && c.count > 0)) problems.push(`components[${i}].count: must be a positive integer`);
+        if (c && seen.has(c.tokenId)) problems.push(`components[${i}].tokenId: ${c.tokenId} is listed twice`);
+        seen.add(c?.tokenId);
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Voxels translated to start at 0 on each axis, deduplicated and sorted by
+ * (x, y, z), as [x, y, z] triples.
+ * @param {(number[] | { x: number, y: number, z: number })[]} voxels
+ * @returns {number[][]}
+ */
+export function canonicalVoxels(voxels) {
+  return normalizeVoxels(voxels)
+    .map((v) => [v.x, v.y, v.z])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2]);
+}
+
+/**
+ * The canonical form of a build file: normalised voxels and the components
+ * sorted by token id. Throws on an invalid file.
+ * @param {object} build
+ */
+export function normalizeBuild(build) {
+  const problems = validateBuild(build);
+  if (problems.length) throw new Error(`Invalid build file:\n  ${problems.join("\n  ")}`);
+  const out = { version: GEOMETRY_VERSION };
+  if (build.name !== undefined) out.name = build.name;
+  if (build.kind !== undefined) out.kind = build.kind;
+  out.density = build.density;
+  out.voxels = canonicalVoxels(build.voxels);
+  if (build.components?.length) {
+    const c = canonicalComposition(build.components.map((x) => x.tokenId), build.components.map((x) => x.count));
+    out.components = c.componentBuildIds.map((id, i) => ({ tokenId: Number(id), count: Number(c.componentCounts[i]) }));
+  }
+  return out;
+}
+
+/**
+ * geometryHash of a shape at a density:
+ * keccak256(abi.encodePacked(string GEOMETRY_TAG, uint16 density, uint32 voxelCount, voxels))
+ * where voxels are the canonical voxels packed as uint16 x, y, z each.
+ * Density is part of the hash, like the brick lattice's hashes.
+ * @param {(number[] | { x: number, y: number, z: number })[]} voxels
+ * @param {number} density
+ * @returns {string}
+ */
+export function geometryHash(voxels, density) {
+  const canonical = canonicalVoxels(voxels);
+  if (!canonical.length) throw new Error("geometry has no voxels");
+  const bytes = new Uint8Array(canonical.length * 6);
+  canonical.forEach((v, i) => {
+    v.forEach((c, axis) => {
+      if (c > MAX_COORDINATE) throw new Error(`voxel coordinate ${c} exceeds ${MAX_COORDINATE}`);
+      bytes[i * 6 + axis * 2] = c >> 8;
+      bytes[i * 6 + axis * 2 + 1] = c & 0xff;
+    });
+  });
+  return ethers.solidityPackedKeccak256(["string", "uint16", "uint32", "bytes"], [GEOMETRY_TAG, density, canonical.length, bytes]);
+}
+
+/** Reads and normalises a build file, returning it with its geometryHash. */
+export function loadBuild(file) {
+  const build = normalizeBuild(JSON.parse(fs.readFileSync(file, "utf8")));
+  return { file, build, geometryHash: geometryHash(build.voxels, build.density) };
+}
+
+/**
+ * BuildNFT.geometryConsumed for each hash at one block. A consumed hash
+ * belongs to a live non-collector token; burning frees it again.
+ * @param {string} rpcUrl
+ * @param {ethers.Contract} buildNFT
+ * @param {string[]} hashes
+ * @returns {Promise<boolean[]>}
+ */
+export async function geometryConsumed(rpcUrl, buildNFT, hashes, opts = {}) {
+  const values = await batchRead(rpcUrl, buildNFT, hashes.map((h) => ({ fn: "geometryConsumed", args: [h] })), opts);
+  return values.map((v, i) => {
+    if (v.error) throw new Error(`Cannot read geometryConsumed(${hashes[i]}): ${v.error}`);
+    return v.value;
+  });
+}
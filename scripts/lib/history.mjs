@@ -0,0 +1,148 @@
+import { ethers } from "ethers";
+import { BUILD_NFT_ABI } from "./contracts.mjs";
+import { decodeMintInput, tokenStates } from "./indexer.mjs";
+import { rpcBatch } from "./rpc.mjs";
+
+// Per-token history that BuildNFT no longer (or never) exposes through its
+// getters: the mint call (kind, dimensions, density, composition) and the
+// burn record (block, mass, geometryHash). Each loader returns
+// { data: { [id]: record }, failures: [{ id, error }] }.
+
+const iface = new ethers.Interface(BUILD_NFT_ABI);
+
+// Public RPCs cap the block span of eth_getLogs, so the range is paged like
+// the indexer's sync; each page asks for every id chunk in one batch.
+async function logsByTokenId(rpcUrl, buildNFT, eventName, ids, { fromBlock = 0, toBlock, blockRange = 2_000, batchSize = 100 } = {}) {
+  const topic = iface.getEvent(eventName).topicHash;
+  const found = new Map();
+  const failed = new Map();
+  const chunks = [];
+  for (let start = 0; start < ids.length; start += batchSize) chunks.push(ids.slice(start, start + batchSize));
+  if (toBlock === undefined && chunks.length) {
+    const [head] = await rpcBatch(rpcUrl, [{ method: "eth_blockNumber", params: [] }]);
+    if (head.error) return { found, failures: ids.map((id) => ({ id, error: `blockNumber failed: ${head.error}` })) };
+    toBlock = Number(head.result);
+  }
+  for (let from = fromBlock; chunks.length && from <= toBlock; from += blockRange) {
+    const to = Math.min(toBlock, from + blockRange - 1);
+    const results = await rpcBatch(
+      rpcUrl,
+      chunks.map((chunk) => ({
+        method: "eth_getLogs",
+        params: [
+          {
+            address: buildNFT,
+            fromBlock: ethers.toQuantity(from),
+            toBlock: ethers.toQuantity(to),
+            topics: [topic, chunk.map((id) => ethers.zeroPadValue(ethers.toBeHex(id), 32))],
+          },
+        ],
+      })),
+    );
+    results.forEach((res, i) => {
+      if (res.error) {
+        for (const id of chunks[i]) if (!failed.has(id)) failed.set(id, `getLogs ${from}-${to} failed: ${res.error}`);
+        return;
+      }
+      for (const log of res.result) found.set(Number(BigInt(log.topics[1])), log);
+    });
+    // Each token has one mint and at most one burn; stop once all are found.
+    if (ids.every((id) => found.has(id))) break;
+  }
+  const failures = [];
+  for (const id of ids) {
+    if (found.has(id)) continue;
+    failures.push({ id, error: failed.get(id) ?? `no ${eventName} event found` });
+  }
+  return { found, failures };
+}
+
+/**
+ * Recovers each token's mint call from its transaction: paged eth_getLogs
+ * for the BuildMinted events, then batched tx lookups.
+ * @param {string} rpcUrl
+ * @param {string} buildNFT
+ * @param {number[]} ids
+ * @param {{ fromBlock?: number, toBlock?: number, blockRange?: number, batchSize?: number }} [opts]
+ *   start from the deployment's deployBlock; blockRange is the getLogs page size
+ */
+export async function mintCallsFromChain(rpcUrl, buildNFT, ids, opts = {}) {
+  const { found, failures } = await logsByTokenId(rpcUrl, buildNFT, "BuildMinted", ids, opts);
+  const wanted = ids.filter((id) => found.has(id));
+  const txs = await rpcBatch(
+    rpcUrl,
+    wanted.map((id) => ({ method: "eth_getTransactionByHash", params: [found.get(id).transactionHash] })),
+    { batchSize: opts.batchSize ?? 100 },
+  );
+  const data = {};
+  wanted.forEach((id, i) => {
+    if (txs[i].error || !txs[i].result) {
+      failures.push({ id, error: `mint tx unavailable: ${txs[i].error || "not found"}` });
+      return;
+    }
+    const call = decodeMintInput(iface, txs[i].result, buildNFT);
+    if (!call) {
+      failures.push({ id, error: "mint was not a direct BuildNFT call; composition unknown" });
+      return;
+    }
+    data[id] = call;
+  });
+  return { data, failures };
+}
+
+/**
+ * Burn records for burned tokens: { burnBlock, burnTx, mass, geometryHash }.
+ */
+export async function burnsFromChain(rpcUrl, buildNFT, ids, opts = {}) {
+  const { found, failures } = await logsByTokenId(rpcUrl, buildNFT, "BuildBurned", ids, opts);
+  const data = {};
+  for (const [id, log] of found) {
+    const parsed = iface.parseLog(log);
+    data[id] = {
+      burnBlock: Number(log.blockNumber),
+      burnTx: log.transactionHash,
+      mass: Number(parsed.args.mass),
+      geometryHash: parsed.args.geometryHash,
+    };
+  }
+  return { data, failures };
+}
+
+/** mintCallsFromChain, read from a synced event index instead. */
+export function mintCallsFromIndex(index, ids) {
+  const tokens = tokenStates(index);
+  const data = {};
+  const failures = [];
+  for (const id of ids) {
+    const t = tokens.get(id);
+    if (!t || !t.componentBuildIds) {
+      failures.push({ id, error: t ? "mint was not a direct BuildNFT call; composition unknown" : "token not in index" });
+      continue;
+    }
+    data[id] = {
+      kind: t.kind,
+      width: t.width,
+      depth: t.depth,
+      density: t.density,
+      componentBuildIds: t.componentBuildIds,
+      componentCounts: t.componentCounts,
+    };
+  }
+  return { data, failures };
+}
+
+/** burnsFromChain, read from a synced event index instead. */
+export function burnsFromIndex(index, ids) {
+  const tokens = tokenStates(index);
+  const data = {};
+  const failures = [];
+  for (const id of ids) {
+    const t = tokens.get(id);
+    if (!t || !t.burned) {
+      failures.push({ id, error: "no BuildBurned event in index" });
+      continue;
+    }
+    data[id] = { burnBlock: t.burnBlock, burnTx: t.burnTx, mass: Number(t.mass), geometryHash: t.geometryHash };
+  }
+  return { data, failures };
+}
@@ -0,0 +1,312 @@
+import fs from "node:fs";
+import path from "node:path";
+import { ethers } from "ethers";
+import {
+  BUILD_NFT_ABI,
+  CONTRACTS_ROOT,
+  DISTRIBUTOR_ABI,
+  LICENSE_NFT_ABI,
+  LICENSE_REGISTRY_ABI,
+} from "./contracts.mjs";
+
+export const INDEX_VERSION = 1;
+export const DEFAULT_INDEX_DIR = path.join(CONTRACTS_ROOT, ".index");
+
+// contract key -> [abi, followed events]
+const SOURCES = {
+  buildNFT: [BUILD_NFT_ABI, ["BuildMinted", "BuildBurned", "Transfer"]],
+  licenseRegistry: [LICENSE_REGISTRY_ABI, ["BuildRegistered", "LicenseMinted"]],
+  licenseNFT: [LICENSE_NFT_ABI, ["TransferSingle", "TransferBatch"]],
+  distributor: [DISTRIBUTOR_ABI, ["UsageAccrued", "Claimed"]],
+};
+
+const MINT_CALLS = new Set(["mint", "mintWithReservation"]);
+
+function plain(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(plain);
+  return value;
+}
+
+function argsToObject(fragment, args) {
+  const out = {};
+  fragment.inputs.forEach((input, i) => {
+    out[input.name] = plain(args[i]);
+  });
+  return out;
+}
+
+export function defaultIndexPath(manifest, chainId) {
+  return path.join(DEFAULT_INDEX_DIR, `${chainId}-${manifest.buildNFT.toLowerCase()}.json`);
+}
+
+function emptyIndex(manifest, chainId, startBlock) {
+  return {
+    version: INDEX_VERSION,
+    chainId,
+    contracts: Object.fromEntries(Object.keys(SOURCES).map((k) => [k, manifest[k]])),
+    startBlock,
+    checkpoint: null,
+    recentBlocks: [],
+    events: [],
+  };
+}
+
+/**
+ * Loads an index file, or returns null when it does not exist yet.
+ * @param {string} indexPath
+ */
+export function loadIndex(indexPath) {
+  if (!fs.existsSync(indexPath)) return null;
+  const index = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+  if (index.version !== INDEX_VERSION) {
+    throw new Error(`Index ${indexPath} has version ${index.version}, expected ${INDEX_VERSION}. Delete it to rebuild.`);
+  }
+  return index;
+}
+
+function saveIndex(indexPath, index) {
+  fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  const tmp = `${indexPath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(index));
+  fs.renameSync(tmp, indexPath);
+}
+
+function sameContracts(index, manifest) {
+  return Object.keys(SOURCES).every(
+    (k) => String(index.contracts[k]).toLowerCase() === String(manifest[k]).toLowerCase(),
+  );
+}
+
+// Walks the remembered block hashes from newest to oldest and returns the
+// highest block that is still canonical, or null if none of them is.
+async function findCommonAncestor(provider, recentBlocks) {
+  for (let i = recentBlocks.length - 1; i >= 0; i--) {
+    const { number, hash } = recentBlocks[i];
+    const block = await provider.getBlock(number);
+    if (block && block.hash === hash) return recentBlocks[i];
+  }
+  return null;
+}
+
+function rewind(index, blockNumber) {
+  index.events = index.events.filter((e) => e.blockNumber <= blockNumber);
+  index.recentBlocks = index.recentBlocks.filter((b) => b.number <= blockNumber);
+  index.checkpoint = index.recentBlocks.at(-1) || null;
+}
+
+/**
+ * Brings the index at `indexPath` up to date with the chain.
+ * Detects reorgs (and anvil resets/reverts) by re-checking the last
+ * `reorgDepth` block hashes and rewinds before applying new logs.
+ * @param {object} opts
+ * @param {ethers.JsonRpcProvider} opts.provider
+ * @param {import("./contracts.mjs").Manifest} opts.manifest
+ * @param {string} [opts.indexPath]
+ * @param {number} [opts.startBlock]
+ * @param {number} [opts.confirmations]
+ * @param {number} [opts.reorgDepth]
+ * @param {number} [opts.chunkSize]
+ * @param {(msg: string) => void} [opts.log]
+ */
+export async function syncIndex({
+  provider,
+  manifest,
+  indexPath,
+  startBlock = manifest.deployBlock ?? 0,
+  confirmations = 0,
+  reorgDepth = 64,
+  chunkSize = 2_000,
+  log = () => {},
+}) {
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const file = indexPath || defaultIndexPath(manifest, chainId);
+  let index = loadIndex(file);
+  if (index && (index.chainId !== chainId || !sameContracts(index, manifest))) {
+    log(`Index ${file} belongs to a different deployment; rebuilding.`);
+    index = null;
+  }
+  index ||= emptyIndex(manifest, chainId, startBlock);
+
+  if (index.checkpoint) {
+    const ancestor = await findCommonAncestor(provider, index.recentBlocks);
+    if (!ancestor) {
+      log("No remembered block is canonical any more; resyncing from start block.");
+      index = emptyIndex(manifest, chainId, index.startBlock);
+    } else if (ancestor.number !== index.checkpoint.number) {
+      log(`Reorg detected; rewinding from block ${index.checkpoint.number} to ${ancestor.number}.`);
+      rewind(index, ancestor.number);
+    }
+  }
+
+  const head = (await provider.getBlockNumber()) - confirmations;
+  let from = index.checkpoint ? index.checkpoint.number + 1 : index.startBlock;
+  const parsers = Object.fromEntries(
+    Object.entries(SOURCES).map(([key, [abi, names]]) => {
+      const iface = new ethers.Interface(abi);
+      return [index.contracts[key].toLowerCase(), { key, iface, topics: names.map((n) => iface.getEvent(n).topicHash) }];
+    }),
+  );
+  const addresses = Object.values(index.contracts);
+  const topics = [[...new Set(Object.values(parsers).flatMap((p) => p.topics))]];
+  const buildIface = parsers[index.contracts.buildNFT.toLowerCase()].iface;
+  let added = 0;
+
+  while (from <= head) {
+    const to = Math.min(head, from + chunkSize - 1);
+    const logs = await provider.getLogs({ address: addresses, topics, fromBlock: from, toBlock: to });
+    const calls = new Map();
+    for (const raw of logs) {
+      const parser = parsers[raw.address.toLowerCase()];
+      if (!parser) continue;
+      const parsed = parser.iface.parseLog(raw);
+      if (!parsed) continue;
+      const event = {
+        contract: parser.key,
+        name: parsed.name,
+        blockNumber: raw.blockNumber,
+        blockHash: raw.blockHash,
+        txHash: raw.transactionHash,
+        logIndex: raw.index,
+        args: argsToObject(parsed.fragment, parsed.args),
+      };
+      if (parser.key === "buildNFT" && parsed.name === "BuildMinted") {
+        if (!calls.has(raw.transactionHash)) {
+          calls.set(raw.transactionHash, await decodeMintCall(provider, buildIface, raw.transactionHash, index.contracts.buildNFT));
+        }
+        event.call = calls.get(raw.transactionHash);
+      }
+      index.events.push(event);
+      added += 1;
+    }
+
+    const block = await provider.getBlock(to);
+    index.checkpoint = { number: block.number, hash: block.hash };
+    index.recentBlocks.push(index.checkpoint);
+    if (index.recentBlocks.length > reorgDepth) index.recentBlocks.splice(0, index.recentBlocks.length - reorgDepth);
+    saveIndex(file, index);
+    log(`Indexed blocks ${from}-${to} (${logs.length} logs)`);
+    from = to + 1;
+  }
+
+  if (!index.checkpoint) saveIndex(file, index);
+  return { index, indexPath: file, added };
+}
+
+async function decodeMintCall(provider, iface, txHash, buildNFT) {
+  return decodeMintInput(iface, await provider.getTransaction(txHash), buildNFT);
+}
+
+/**
+ * Recovers the mint parameters that BuildMinted does not carry (kind,
+ * dimensions, density, composition) from a minting transaction's input.
+ * Returns null when the tx did not call BuildNFT directly.
+ * @param {ethers.Interface} iface BuildNFT interface
+ * @param {{ to?: string|null, data: string, value?: bigint }|null} tx
+ * @param {string} buildNFT
+ */
+export function decodeMintInput(iface, tx, buildNFT) {
+  if (!tx || !tx.to || tx.to.toLowerCase() !== buildNFT.toLowerCase()) return null;
+  let parsed;
+  try {
+    parsed = iface.parseTransaction({ data: tx.data ?? tx.input, value: tx.value });
+  } catch {
+    return null;
+  }
+  if (!parsed || !MINT_CALLS.has(parsed.name)) return null;
+  const a = parsed.args;
+  const p = parsed.name === "mint" ? a : a.reservation;
+  return {
+    method: parsed.name,
+    kind: Number(p.kind),
+    width: Number(p.width),
+    depth: Number(p.depth),
+    density: Number(p.density),
+    componentBuildIds: plain(a.componentBuildIds),
+    componentCounts: plain(a.componentCounts),
+  };
+}
+
+/**
+ * Folds indexed events into per-token state.
+ * @returns {Map<number, object>}
+ */
+export function tokenStates(index) {
+  const tokens = new Map();
+  const licenseForBuild = new Map();
+  for (const e of index.events) {
+    if (e.contract === "licenseRegistry" && e.name === "BuildRegistered") {
+      licenseForBuild.set(Number(e.args.buildId), Number(e.args.licenseId));
+    }
+    if (e.contract !== "buildNFT") continue;
+    const id = Number(e.args.tokenId);
+    if (e.name === "BuildMinted") {
+      tokens.set(id, {
+        tokenId: id,
+        creator: e.args.creator,
+        owner: tokens.get(id)?.owner ?? e.args.creator,
+        mass: e.args.mass,
+        lockedBlox: (BigInt(e.args.mass) * 10n ** 18n).toString(),
+        geometryHash: e.args.geometryHash,
+        tokenURI: e.args.tokenURI,
+        mintBlock: e.blockNumber,
+        mintTx: e.txHash,
+        kind: e.call?.kind ?? null,
+        width: e.call?.width ?? null,
+        depth: e.call?.depth ?? null,
+        density: e.call?.density ?? null,
+        componentBuildIds: e.call?.componentBuildIds ?? null,
+        componentCounts: e.call?.componentCounts ?? null,
+        burned: false,
+        burnBlock: null,
+      });
+    } else if (e.name === "Transfer") {
+      // Transfer(0 -> owner) is emitted before BuildMinted in the same tx.
+      const t = tokens.get(id) || { tokenId: id };
+      t.owner = e.args.to === ethers.ZeroAddress ? null : e.args.to;
+      tokens.set(id, t);
+    } else if (e.name === "BuildBurned") {
+      const t = tokens.get(id);
+      if (!t) continue;
+      t.burned = true;
+      t.burnBlock = e.blockNumber;
+      t.burnTx = e.txHash;
+      t.owner = null;
+    }
+  }
+  for (const t of tokens.values()) t.licenseId = licenseForBuild.get(t.tokenId) ?? 0;
+  return tokens;
+}
+
+/** @returns {object[]} tokens that exist and are not burned */
+export function liveTokens(index) {
+  return [...tokenStates(index).values()].filter((t) => t.mass !== undefined && !t.burned && t.owner);
+}
+
+/**
+ * Folds LicenseNFT transfers into balances: licenseId -> holder -> qty.
+ * @returns {Map<number, Map<string, bigint>>}
+ */
+export function licenseBalances(index) {
+  const balances = new Map();
+  const move = (id, from, to, qty) => {
+    const book = balances.get(id) || new Map();
+    if (from !== ethers.ZeroAddress) book.set(from, (book.get(from) || 0n) - qty);
+    if (to !== ethers.ZeroAddress) book.set(to, (book.get(to) || 0n) + qty);
+    balances.set(id, book);
+  };
+  for (const e of index.events) {
+    if (e.contract !== "licenseNFT") continue;
+    if (e.name === "TransferSingle") {
+      move(Number(e.args.id), e.args.from, e.args.to, BigInt(e.args.value));
+    } else if (e.name === "TransferBatch") {
+      e.args.ids.forEach((id, i) => move(Number(id), e.args.from, e.args.to, BigInt(e.args.values[i])));
+    }
+  }
+  return balances;
+}
+
+/** @returns {object[]} events matching `name` (and optionally `contract`) */
+export function eventsNamed(index, name, contract) {
+  return index.events.filter((e) => e.name === name && (!contract || e.contract === contract));
+}
@@ -0,0 +1,111 @@
+import fs from "node:fs";
+import path from "node:path";
+import { ethers } from "ethers";
+import { CONTRACTS_ROOT } from "./contracts.mjs";
+import { batchRead, rpcBatch } from "./rpc.mjs";
+
+// Rebalance keeper logic for LicenseRegistry.executeRebalance: read the LP
+// budget and guards, decide whether a rebalance is due, and build the router
+// call. The loop, signing and backoff live in scripts/rebalance-keeper.mjs.
+
+export const DEFAULT_KEEPER_DIR = path.join(CONTRACTS_ROOT, ".keeper");
+
+const MOCK_ROUTER_IFACE = new ethers.Interface(["function execute() payable"]);
+
+/**
+ * Router adapters: each turns a planned rebalance into router calldata. The
+ * router receives `amount` as msg.value.
+ * @type {Record<string, { description: string, buildCalldata: (p: { amount: bigint, slippageBps: bigint, deadline: bigint, routerData?: string }) => string }>}
+ */
+export const ROUTER_ADAPTERS = {
+  mock: {
+    description: "RebalanceRouterMock (test/LicenseRegistry.t.sol): execute()",
+    buildCalldata: () => MOCK_ROUTER_IFACE.encodeFunctionData("execute", []),
+  },
+  static: {
+    description: "fixed calldata from --router-data",
+    buildCalldata: ({ routerData }) => {
+      if (!routerData || !ethers.isHexString(routerData)) throw new Error("static adapter needs --router-data <hex>");
+      return routerData;
+    },
+  },
+};
+
+export function defaultKeeperLogPath(registry, chainId) {
+  return path.join(DEFAULT_KEEPER_DIR, `${chainId}-${registry.toLowerCase()}.rebalance.jsonl`);
+}
+
+/**
+ * LP budget, guards and permissions at the latest block.
+ * @param {string} rpcUrl
+ * @param {ethers.Contract} registry
+ * @param {{ keeper: string, router: string }} who
+ */
+export async function readRebalanceState(rpcUrl, registry, { keeper, router }) {
+  const [{ result: block, error }] = await rpcBatch(rpcUrl, [{ method: "eth_getBlockByNumber", params: ["latest", false] }]);
+  if (error) throw new Error(`Cannot read latest block: ${error}`);
+  const fns = ["lpBudgetBalance", "lastRebalanceAt", "minRebalanceInterval", "minLpBudgetAmount", "maxSlippageBps", "maxDeadlineWindow"];
+  const reads = [...fns.map((fn) => ({ fn, args: [] })), { fn: "keepers", args: [keeper] }, { fn: "routerWhitelist", args: [router] }];
+  const values = await batchRead(rpcUrl, registry, reads, { blockTag: block.number });
+  const failed = values.find((v) => v.error);
+  if (failed) throw new Error(`Cannot read LicenseRegistry state: ${failed.error}`);
+  const state = Object.fromEntries(fns.map((fn, i) => [fn, values[i].value]));
+  return {
+    blockNumber: Number(block.number),
+    timestamp: BigInt(block.timestamp),
+    ...state,
+    isKeeper: values[fns.length].value,
+    routerWhitelisted: values[fns.length + 1].value,
+  };
+}
+
+/**
+ * What to do with `state`:
+ * - `blocked`: the keeper or router lacks permission; only the owner can fix it
+ * - `wait`: the interval has not passed (`waitSeconds` until it has) or the budget is under the threshold
+ * - `execute`: with `amount`, `slippageBps` and `deadline` inside the guards
+ * @param {Awaited<ReturnType<typeof readRebalanceState>>} state
+ * @param {{ minAmount?: bigint, maxAmount?: bigint | null, slippageBps: bigint, deadlineSeconds: bigint }} cfg
+ */
+export function planRebalance(state, { minAmount = 0n, maxAmount = null, slippageBps, deadlineSeconds }) {
+  if (!state.isKeeper) return { action: "blocked", reason: "signer is not a LicenseRegistry keeper (setKeeper)" };
+  if (!state.routerWhitelisted) return { action: "blocked", reason: "router is not whitelisted (setRouterWhitelist)" };
+
+  const readyAt = state.lastRebalanceAt + state.minRebalanceInterval;
+  if (state.timestamp < readyAt) {
+    return { action: "wait", reason: `interval: next rebalance at ${readyAt}`, waitSeconds: Number(readyAt - state.timestamp) };
+  }
+  const amount = maxAmount !== null && maxAmount < state.lpBudgetBalance ? maxAmount : state.lpBudgetBalance;
+  const threshold = [state.minLpBudgetAmount, minAmount, 1n].reduce((a, b) => (a > b ? a : b));
+  if (amount < threshold) {
+    return { action: "wait", reason: `budget ${amount} is under the threshold ${threshold}` };
+  }
+  const window = deadlineSeconds < state.maxDeadlineWindow ? deadlineSeconds : state.maxDeadlineWindow;
+  return {
+    action: "execute",
+    amount,
+    slippageBps: slippageBps < state.maxSlippageBps ? slippageBps : state.maxSlippageBps,
+    deadline: state.timestamp + window,
+  };
+}
+
+/** Revert reason from a failed router call's return data. */
+export function routerRevertReason(result) {
+  if (!result || result === "0x") return "reverted without reason";
+  if (result.startsWith("0x08c379a0")) {
+    return ethers.AbiCoder.defaultAbiCoder().decode(["string"], `0x${result.slice(10)}`)[0];
+  }
+  return `reverted with ${result}`;
+}
+
+/** Appends one outcome to the keeper's JSONL log. */
+export function recordOutcome(logPath, entry) {
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  const plain = Object.fromEntries(Object.entries(entry).map(([k, v]) => [k, typeof v === "bigint" ? v.toString() : v]));
+  fs.appendFileSync(logPath, `${JSON.stringify({ at: new Date().toISOString(), ...plain })}\n`);
+}
+
+/** Exponential backoff: `baseMs` after the first failure, doubling up to `maxMs`. */
+export function backoffMs(failures, baseMs, maxMs) {
+  return failures <= 0 ? 0 : Math.min(maxMs, baseMs * 2 ** (failures - 1));
+}
@@ -0,0 +1,112 @@
+import { ethers } from "ethers";
+import { brickSpecKey } from "./components.mjs";
+import { KIND_BRICK, mint } from "./contracts.mjs";
+import { batchRead } from "./rpc.mjs";
+
+// The brick lattice: one brick per size width <= depth <= MAX_SIDE, per
+// density. The 1x1 brick is a genesis mint with no components; every other
+// size is composed from width*depth of it. Covering all UNIQUE_BRICK_SIZES
+// sizes (in any density) unlocks kinds > 0.
+
+export const DENSITIES = [1, 8, 27, 64, 125];
+export const MAX_SIDE = 10;
+export const UNIQUE_BRICK_SIZES = 55;
+export const GAS_MINT = 5_000_000n;
+
+export function sizeKey(width, depth) {
+  return `${width}x${depth}`;
+}
+
+/** Every canonical brick size, 1x1 first. */
+export function brickSizes() {
+  const sizes = [[1, 1]];
+  for (let w = 1; w <= MAX_SIDE; w++) {
+    for (let d = w; d <= MAX_SIDE; d++) {
+      if (w === 1 && d === 1) continue;
+      sizes.push([w, d]);
+    }
+  }
+  return sizes;
+}
+
+export function brickGeometryHash(density, width, depth) {
+  return ethers.id(width === 1 && depth === 1 ? `brick-genesis-${density}` : `brick-${density}-${width}x${depth}`);
+}
+
+/**
+ * Live tokens on chain, for seeding idempotently: bricks by spec key and
+ * everything else by `<kind>:<geometryHash>` (first token wins).
+ * @param {string} rpcUrl
+ * @param {import("./contracts.mjs").Client} client
+ * @returns {Promise<{ bricks: Map<string, number>, builds: Map<string, number> }>}
+ */
+export async function existingTokens(rpcUrl, client) {
+  const last = Number(await client.buildNFT.nextTokenId()) - 1;
+  const ids = Array.from({ length: Math.max(0, last) }, (_, i) => i + 1);
+  const reads = ids.flatMap((id) => [
+    { fn: "exists", args: [id] },
+    { fn: "kindOf", args: [id] },
+    { fn: "geometryOf", args: [id] },
+    { fn: "brickSpecKeyOf", args: [id] },
+  ]);
+  const values = await batchRead(rpcUrl, client.buildNFT, reads);
+  const failed = values.find((v) => v.error);
+  if (failed) throw new Error(`Could not read existing tokens: ${failed.error}`);
+
+  const bricks = new Map();
+  const builds = new Map();
+  ids.forEach((id, i) => {
+    const [exists, kind, geometryHash, specKey] = values.slice(i * 4, i * 4 + 4).map((v) => v.value);
+    if (!exists) return;
+    if (Number(kind) === KIND_BRICK) {
+      if (!bricks.has(specKey)) bricks.set(specKey, id);
+    } else {
+      const key = `${Number(kind)}:${geometryHash}`;
+      if (!builds.has(key)) builds.set(key, id);
+    }
+  });
+  return { bricks, builds };
+}
+
+/**
+ * Mints every brick size for one density, skipping specs already in
+ * `existing` (spec key -> token id). Returns size key ("WxD") -> token id.
+ * @param {import("./contracts.mjs").Client} client
+ * @param {ethers.Signer} signer pays fees and BLOX; must have approved BuildNFT
+ * @param {number} density
+ * @param {{ existing?: Map<string, number>, overrides?: ethers.Overrides, onMint?: (brick: object) => void }} [opts]
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function mintBrickLattice(client, signer, density, { existing = new Map(), overrides = {}, onMint } = {}) {
+  const bySize = new Map();
+  for (const [width, depth] of brickSizes()) {
+    const known = existing.get(brickSpecKey(width, depth, density));
+    if (known !== undefined) {
+      bySize.set(sizeKey(width, depth), known);
+      continue;
+    }
+    const genesis = width === 1 && depth === 1;
+    const mass = width * depth;
+    const components = genesis ? [] : [{ componentId: bySize.get(sizeKey(1, 1)), count: mass }];
+    const geometryHash = brickGeometryHash(density, width, depth);
+    const { tokenId } = await mint(
+      client,
+      signer,
+      {
+        geometryHash,
+        mass,
+        uri: `ipfs://brick/${density}/${width}x${depth}`,
+        componentBuildIds: components.map((c) => c.componentId),
+        componentCounts: components.map((c) => c.count),
+        kind: KIND_BRICK,
+        width,
+        depth,
+        density,
+      },
+      { gasLimit: GAS_MINT, ...overrides },
+    );
+    bySize.set(sizeKey(width, depth), Number(tokenId));
+    onMint?.({ tokenId: Number(tokenId), width, depth, density, mass, components, geometryHash });
+  }
+  return bySize;
+}
@@ -0,0 +1,142 @@
+import { ethers } from "ethers";
+import { eventsNamed } from "./indexer.mjs";
+import { batchRead, rpcBatch } from "./rpc.mjs";
+
+// Distributor payouts: who is owed ETH and how it built up (from indexed
+// UsageAccrued/Claimed events), and what distribute() would send under the
+// current rules. On-chain ethOwed is the balance; the event ledger explains it.
+
+const key = (address) => address.toLowerCase();
+
+function entryFor(ledger, address) {
+  let e = ledger.get(key(address));
+  if (!e) {
+    e = {
+      address: ethers.getAddress(address),
+      accrued: 0n,
+      claimed: 0n,
+      accruals: 0,
+      unowned: 0n,
+      byBuild: new Map(),
+      byPayer: new Map(),
+      claims: [],
+      firstBlock: null,
+      lastBlock: null,
+    };
+    ledger.set(key(address), e);
+  }
+  return e;
+}
+
+function add(map, k, amount) {
+  const row = map.get(k) || { amount: 0n, count: 0 };
+  row.amount += amount;
+  row.count += 1;
+  map.set(k, row);
+}
+
+/**
+ * Folds UsageAccrued and Claimed events into a per-address ledger.
+ * Accruals for burned or unknown components carry owner = 0 and are
+ * credited to the protocol treasury; they are attributed to `treasury`
+ * (the current one; ProtocolTreasurySet is not indexed).
+ * @param {object} index event index from syncIndex
+ * @param {{ treasury: string }} opts
+ * @returns {Map<string, object>} lowercased address -> ledger entry
+ */
+export function payoutLedger(index, { treasury }) {
+  const ledger = new Map();
+  for (const ev of eventsNamed(index, "UsageAccrued", "distributor")) {
+    const amount = BigInt(ev.args.amount);
+    const unowned = ev.args.owner === ethers.ZeroAddress;
+    const e = entryFor(ledger, unowned ? treasury : ev.args.owner);
+    e.accrued += amount;
+    e.accruals += 1;
+    if (unowned) e.unowned += amount;
+    // buildId 0: no live component at all, the whole fee went to the treasury.
+    add(e.byBuild, Number(ev.args.buildId), amount);
+    add(e.byPayer, ethers.getAddress(ev.args.payer), amount);
+    e.firstBlock ??= ev.blockNumber;
+    e.lastBlock = ev.blockNumber;
+  }
+  for (const ev of eventsNamed(index, "Claimed", "distributor")) {
+    const e = entryFor(ledger, ev.args.owner);
+    const amount = BigInt(ev.args.amount);
+    e.claimed += amount;
+    e.claims.push({ to: ev.args.to, amount, blockNumber: ev.blockNumber, txHash: ev.txHash });
+  }
+  return ledger;
+}
+
+/**
+ * Reads ethOwed for `addresses` at one block and lines it up with the
+ * ledger. `expected` is accrued - claimed; a `mismatch` means the index is
+ * behind the chain or the treasury changed since the accruals.
+ * @param {string} rpcUrl
+ * @param {ethers.Contract} distributor
+ * @param {Map<string, object>} ledger
+ * @param {string[]} [extra] addresses to check even without events (e.g. our own keys)
+ */
+export async function owedBalances(rpcUrl, distributor, ledger, extra = []) {
+  const [{ result: head, error }] = await rpcBatch(rpcUrl, [{ method: "eth_blockNumber", params: [] }]);
+  if (error) throw new Error(`Cannot reach ${rpcUrl}: ${error}`);
+  for (const a of extra) entryFor(ledger, a);
+  const entries = [...ledger.values()];
+  const values = await batchRead(rpcUrl, distributor, entries.map((e) => ({ fn: "ethOwed", args: [e.address] })), { blockTag: head });
+  const failed = values.find((v) => v.error);
+  if (failed) throw new Error(`Cannot read Distributor.ethOwed: ${failed.error}`);
+  const rows = entries.map((e, i) => {
+    const owed = values[i].value;
+    const expected = e.accrued - e.claimed;
+    return { ...e, owed, expected, mismatch: owed !== expected };
+  });
+  rows.sort((a, b) => (a.owed === b.owed ? 0 : a.owed < b.owed ? 1 : -1));
+  return { blockNumber: Number(head), rows };
+}
+
+/**
+ * BLOX balance, rules and forwarding target at one block.
+ * @param {string} rpcUrl
+ * @param {import("./contracts.mjs").Client} client
+ */
+export async function readDistributorState(rpcUrl, client) {
+  const [{ result: head, error }] = await rpcBatch(rpcUrl, [{ method: "eth_blockNumber", params: [] }]);
+  if (error) throw new Error(`Cannot reach ${rpcUrl}: ${error}`);
+  const opts = { blockTag: head };
+  const [balance] = await batchRead(rpcUrl, client.blox, [{ fn: "balanceOf", args: [client.manifest.distributor] }], opts);
+  const [length, forwardTo, rulesFrozen] = await batchRead(
+    rpcUrl,
+    client.distributor,
+    [{ fn: "rulesLength", args: [] }, { fn: "forwardTo", args: [] }, { fn: "rulesFrozen", args: [] }],
+    opts,
+  );
+  const failed = [balance, length, forwardTo, rulesFrozen].find((v) => v.error);
+  if (failed) throw new Error(`Cannot read Distributor state: ${failed.error}`);
+  const ruleReads = Array.from({ length: Number(length.value) }, (_, i) => ({ fn: "rules", args: [i] }));
+  const rules = (await batchRead(rpcUrl, client.distributor, ruleReads, opts)).map((r, i) => {
+    if (r.error) throw new Error(`Cannot read Distributor.rules(${i}): ${r.error}`);
+    return { to: r.value.to, bps: BigInt(r.value.bps) };
+  });
+  return { blockNumber: Number(head), balance: balance.value, forwardTo: forwardTo.value, rulesFrozen: rulesFrozen.value, rules };
+}
+
+/**
+ * What distribute() would send, following the contract: forward everything
+ * when forwardTo is set, otherwise pro rata by bps with the rounding dust on
+ * the last rule. `reverts` carries the revert reason when it would revert.
+ * @param {{ balance: bigint, forwardTo: string, rules: { to: string, bps: bigint }[] }} state
+ */
+export function previewDistribution({ balance, forwardTo, rules }) {
+  if (balance === 0n) return { mode: "none", transfers: [], reverts: "no balance" };
+  if (forwardTo !== ethers.ZeroAddress) {
+    return { mode: "forward", transfers: [{ to: forwardTo, bps: 10_000n, amount: balance }], reverts: null };
+  }
+  if (!rules.length) return { mode: "none", transfers: [], reverts: "no rules" };
+  let sent = 0n;
+  const transfers = rules.map((r, i) => {
+    const amount = i === rules.length - 1 ? balance - sent : (balance * r.bps) / 10_000n;
+    sent += amount;
+    return { to: r.to, bps: r.bps, amount };
+  });
+  return { mode: "rules", transfers: transfers.filter((t) => t.amount > 0n), reverts: null };
+}
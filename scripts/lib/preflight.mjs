@@ -0,0 +1,277 @@
+import { ethers } from "ethers";
+import { MAX_COMPONENT_TYPES } from "./brick-planner.mjs";
+import { KIND_BRICK, KIND_COLLECTOR } from "./contracts.mjs";
+import { brickSpecKey } from "./components.mjs";
+import { geometryHash as hashGeometry } from "./geometry.mjs";
+import { DENSITIES, MAX_SIDE } from "./lattice.mjs";
+import { batchRead } from "./rpc.mjs";
+
+// Client-side mirror of BuildNFT.mint's checks (_mintCore,
+// _validateCompositionRules, _handleComponents, _lockBlox), run against one
+// block so a bad mint is caught before the wallet prompt. Each problem names
+// the contract's revert reason where there is one; the BLOX and license
+// transfers revert inside the token contracts, so those carry only a message.
+
+/** What each BuildNFT.mint revert reason means, for reverts seen on chain. */
+export const MINT_REVERT_REASONS = {
+  "bad fee": "msg.value must equal FEE_PER_MINT exactly",
+  "kind locked": "kinds other than bricks unlock once all 55 brick sizes have been minted",
+  "kind disabled": "the owner has not enabled this kind (setKindEnabled)",
+  "mass=0": "mass must be positive",
+  "mass>max": "mass is above BuildNFT.maxMass",
+  "too many components": `at most ${MAX_COMPONENT_TYPES} component types per mint`,
+  "component mismatch": "componentBuildIds and componentCounts differ in length",
+  "geometry=0": "geometryHash must be non-zero",
+  density: "bricks need a density of 1, 8, 27, 64 or 125; other kinds a positive density",
+  width: `brick width must be 1..${MAX_SIDE}`,
+  depth: `brick depth must be 1..${MAX_SIDE}`,
+  "geometry consumed": "a live build already has this geometryHash",
+  "brick spec used": "a brick of this size and density already exists",
+  "collector dims": "collector editions have width and depth 0",
+  "collector component": "a collector edition has exactly one component, its source",
+  "collector count": "a collector edition's component count is 1",
+  "collector geometry": "a collector edition must use its source's geometryHash",
+  "components required": "only a 1x1 brick (the genesis brick) can be minted without components",
+  "components not sorted": "componentBuildIds must be strictly ascending",
+  "component=0": "component ids and counts must be non-zero",
+  "component missing": "a brick's components must all be live tokens",
+  "component density": "every live component must have the mint's density",
+  "component kind": "a brick's components must be bricks",
+  "component spec": "a brick component has no brick spec",
+  "area mismatch": "the components' width * depth * count must add up to the brick's width * depth",
+  "license not registered": "each component of a non-brick mint needs a registered license (LicenseRegistry.registerBuild)",
+};
+
+/**
+ * The readable explanation of a BuildNFT.mint revert, from an error or its
+ * reason string; undefined for reasons this module does not know.
+ * @param {unknown} errOrReason
+ */
+export function explainMintRevert(errOrReason) {
+  const text = typeof errOrReason === "string" ? errOrReason : errOrReason?.reason || errOrReason?.shortMessage || errOrReason?.message || "";
+  const reason = Object.keys(MINT_REVERT_REASONS)
+    .sort((a, b) => b.length - a.length)
+    .find((r) => text === r || text.includes(`"${r}"`) || text.includes(`: ${r}`));
+  return reason && { reason, message: MINT_REVERT_REASONS[reason] };
+}
+
+/**
+ * Mint parameters from JSON: a brick plan's `--out`, or a build description
+ * with `components: [{ tokenId, count }]` and optionally `voxels` for the
+ * geometryHash. The composition is kept as given, so preflight can report
+ * an unsorted one.
+ * @param {object} json
+ * @returns {import("./contracts.mjs").MintParams}
+ */
+export function mintParamsFrom(json) {
+  const ids = json.componentBuildIds ?? (json.components ?? []).map((c) => c.tokenId ?? c.componentId);
+  const counts = json.componentCounts ?? (json.components ?? []).map((c) => c.count);
+  return {
+    geometryHash: json.geometryHash ?? (json.voxels ? hashGeometry(json.voxels, json.density) : ethers.ZeroHash),
+    mass: BigInt(json.mass ?? json.voxels?.length ?? 0),
+    uri: json.uri ?? "",
+    componentBuildIds: ids.map(BigInt),
+    componentCounts: counts.map(BigInt),
+    kind: Number(json.kind ?? 1),
+    width: Number(json.width ?? 0),
+    depth: Number(json.depth ?? 0),
+    density: Number(json.density ?? 0),
+  };
+}
+
+async function readAll(rpcUrl, contract, reads, opts) {
+  const values = await batchRead(rpcUrl, contract, reads, opts);
+  return values.map((v, i) => {
+    if (v.error) throw new Error(`Cannot read ${reads[i].fn}: ${v.error}`);
+    return v.value;
+  });
+}
+
+/**
+ * Checks a mint by `account` against chain state. An empty `problems` means
+ * BuildNFT.mint should succeed with `fee` as msg.value.
+ * @param {string} rpcUrl
+ * @param {import("./contracts.mjs").Client} client
+ * @param {string} account the minter, who pays the fee and BLOX and gives up the licenses
+ * @param {import("./contracts.mjs").MintParams} params
+ * @param {{ value?: bigint }} [opts] msg.value to send; FEE_PER_MINT by default
+ * @returns {Promise<{ blockNumber: number, fee: bigint, bloxRequired: bigint, problems: { check: string, reason?: string, message: string }[] }>}
+ */
+export async function preflightMint(rpcUrl, client, account, params, { value } = {}) {
+  const provider = client.buildNFT.runner.provider;
+  const blockNumber = await provider.getBlockNumber();
+  const readOpts = { blockTag: ethers.toQuantity(blockNumber) };
+  const problems = [];
+  const fail = (check, reason, message) => problems.push(reason ? { check, reason, message } : { check, message });
+
+  const p = { ...params, mass: BigInt(params.mass), componentBuildIds: (params.componentBuildIds ?? []).map(BigInt), componentCounts: (params.componentCounts ?? []).map(BigInt) };
+  const ids = p.componentBuildIds;
+  const isBrick = p.kind === KIND_BRICK;
+  const hasDims = isBrick && p.width >= 1 && p.width <= MAX_SIDE && p.depth >= 1 && p.depth <= MAX_SIDE;
+
+  const [fee, bloxPerMass, maxMass, unlocked, covered, totalSizes, kindEnabled, geometryUsed, specUsed] = await readAll(
+    rpcUrl,
+    client.buildNFT,
+    [
+      { fn: "FEE_PER_MINT", args: [] },
+      { fn: "BLOX_PER_MASS", args: [] },
+      { fn: "maxMass", args: [] },
+      { fn: "isKindUnlocked", args: [] },
+      { fn: "coveredBrickSizes", args: [] },
+      { fn: "TOTAL_BRICK_SIZES", args: [] },
+      { fn: "kindEnabled", args: [p.kind] },
+      { fn: "geometryConsumed", args: [p.geometryHash] },
+      { fn: "brickSpecConsumed", args: [hasDims ? brickSpecKey(p.width, p.depth, p.density) : ethers.ZeroHash] },
+    ],
+    readOpts,
+  );
+  const msgValue = value ?? fee;
+  const bloxRequired = p.mass * bloxPerMass;
+
+  // _mintCore, in the contract's order.
+  if (msgValue !== fee) fail("fee", "bad fee", `msg.value is ${ethers.formatEther(msgValue)} ETH; BuildNFT charges exactly ${ethers.formatEther(fee)} ETH (FEE_PER_MINT)`);
+  if (p.kind > 0) {
+    if (!unlocked) fail("kind", "kind locked", `kind ${p.kind} is locked until every brick size is minted (${covered} of ${totalSizes} covered)`);
+    if (!kindEnabled) fail("kind", "kind disabled", `kind ${p.kind} is not enabled; the owner turns kinds on with setKindEnabled`);
+  }
+  if (p.mass === 0n) fail("mass", "mass=0", "mass must be positive");
+  if (p.mass > maxMass) fail("mass", "mass>max", `mass ${p.mass} is above maxMass ${maxMass}`);
+  if (ids.length > MAX_COMPONENT_TYPES) fail("components", "too many components", `${ids.length} component types; at most ${MAX_COMPONENT_TYPES} are allowed`);
+  if (ids.length !== p.componentCounts.length) fail("components", "component mismatch", `${ids.length} component ids but ${p.componentCounts.length} counts`);
+  if (p.geometryHash === ethers.ZeroHash) fail("geometry", "geometry=0", "geometryHash is zero");
+  if (isBrick) {
+    if (!DENSITIES.includes(p.density)) fail("brick", "density", `density ${p.density} is not a brick density (${DENSITIES.join(", ")})`);
+    if (!(p.width >= 1 && p.width <= MAX_SIDE)) fail("brick", "width", `brick width ${p.width} is outside 1..${MAX_SIDE}`);
+    if (!(p.depth >= 1 && p.depth <= MAX_SIDE)) fail("brick", "depth", `brick depth ${p.depth} is outside 1..${MAX_SIDE}`);
+  } else {
+    if (!(p.density > 0)) fail("geometry", "density", "density must be positive");
+    if (p.kind !== KIND_COLLECTOR && geometryUsed) fail("geometry", "geometry consumed", `geometry ${p.geometryHash} already belongs to a live build`);
+  }
+
+  // _validateCompositionRules.
+  const components = ids.length
+    ? await readAll(
+        rpcUrl,
+        client.buildNFT,
+        ids.flatMap((id) => [
+          { fn: "exists", args: [id] },
+          { fn: "densityOf", args: [id] },
+          { fn: "kindOf", args: [id] },
+          { fn: "brickSpecOf", args: [id] },
+          { fn: "geometryOf", args: [id] },
+        ]),
+        readOpts,
+      )
+    : [];
+  const component = (i) => {
+    const [exists, density, kind, spec, geometry] = components.slice(i * 5, i * 5 + 5);
+    return { exists, density: Number(density), kind: Number(kind), width: Number(spec.width), depth: Number(spec.depth), geometry };
+  };
+  if (p.kind === KIND_COLLECTOR) {
+    if (p.width !== 0 || p.depth !== 0) fail("composition", "collector dims", `collector editions have width and depth 0, not ${p.width}x${p.depth}`);
+    if (ids.length !== 1) fail("composition", "collector component", `a collector edition has one component (its source), not ${ids.length}`);
+    else {
+      const src = component(0);
+      if (p.componentCounts[0] !== 1n) fail("composition", "collector count", `the source's count must be 1, not ${p.componentCounts[0]}`);
+      if (!src.exists) fail("composition", "component missing", `source ${ids[0]} is not a live token`);
+      else if (src.density !== p.density) fail("composition", "component density", `source ${ids[0]} has density ${src.density}, the mint ${p.density}`);
+      if (src.exists && src.geometry !== p.geometryHash) fail("composition", "collector geometry", `the edition's geometryHash must be its source's, ${src.geometry}`);
+    }
+  }
+  if (!ids.length) {
+    if (isBrick && !(p.width === 1 && p.depth === 1 && DENSITIES.includes(p.density))) {
+      fail("composition", "components required", `a ${p.width}x${p.depth} brick needs components; only the 1x1 genesis brick is minted without`);
+    }
+  } else if (ids.length === p.componentCounts.length) {
+    let area = 0n;
+    ids.forEach((id, i) => {
+      if (i > 0 && id <= ids[i - 1]) fail("composition", "components not sorted", `component ${id} follows ${ids[i - 1]}; ids must be strictly ascending`);
+      if (p.componentCounts[i] === 0n) fail("composition", "component=0", `component ${id} has count 0`);
+      if (id === 0n) fail("composition", "component=0", "component id 0 is not a token");
+      const c = component(i);
+      if (!c.exists) {
+        if (isBrick) fail("composition", "component missing", `component ${id} is not a live token; bricks are built from live bricks`);
+        return;
+      }
+      // A collector's source density is checked above, as the contract does.
+      if (p.kind !== KIND_COLLECTOR && c.density !== p.density) fail("composition", "component density", `component ${id} has density ${c.density}, the mint ${p.density}`);
+      if (!isBrick) return;
+      if (c.kind !== KIND_BRICK) fail("composition", "component kind", `component ${id} is kind ${c.kind}; a brick is built from bricks`);
+      else if (!(c.width > 0 && c.depth > 0)) fail("composition", "component spec", `component ${id} has no brick spec`);
+      area += BigInt(c.width * c.depth) * p.componentCounts[i];
+    });
+    if (isBrick && area !== BigInt(p.width * p.depth)) {
+      fail("composition", "area mismatch", `components cover ${area} units but a ${p.width}x${p.depth} brick needs ${p.width * p.depth}`);
+    }
+  }
+  if (isBrick && hasDims && specUsed) fail("brick", "brick spec used", `a ${p.width}x${p.depth} brick at density ${p.density} already exists`);
+
+  // _handleComponents escrows one license per component of a non-brick mint.
+  const needsLicenses = !isBrick && ids.length > 0;
+  const licenseIds = needsLicenses ? await readAll(rpcUrl, client.licenseRegistry, ids.map((id) => ({ fn: "licenseIdForBuild", args: [id] })), readOpts) : [];
+  const registered = ids.map((id, i) => ({ id, licenseId: licenseIds[i] })).filter((c) => c.licenseId > 0n);
+  if (needsLicenses) {
+    ids.forEach((id, i) => {
+      if (licenseIds[i] === 0n) fail("license", "license not registered", `component ${id} has no license; its owner must call LicenseRegistry.registerBuild`);
+    });
+    const [approved, ...held] = await readAll(
+      rpcUrl,
+      client.licenseNFT,
+      [{ fn: "isApprovedForAll", args: [account, client.buildNFT.target] }, ...registered.map((c) => ({ fn: "balanceOf", args: [account, c.licenseId] }))],
+      readOpts,
+    );
+    if (registered.length && !approved) fail("license", undefined, `${account} has not approved BuildNFT for its licenses (LicenseNFT.setApprovalForAll)`);
+    registered.forEach((c, i) => {
+      if (held[i] < 1n) fail("license", undefined, `${account} holds no license ${c.licenseId} for component ${c.id}; buy one with LicenseRegistry.mintLicenseForBuild`);
+    });
+  }
+
+  // _lockBlox pulls mass * BLOX_PER_MASS from the minter.
+  const [bloxBalance, allowance] = await readAll(
+    rpcUrl,
+    client.blox,
+    [
+      { fn: "balanceOf", args: [account] },
+      { fn: "allowance", args: [account, client.buildNFT.target] },
+    ],
+    readOpts,
+  );
+  if (bloxBalance < bloxRequired) fail("blox", undefined, `mass ${p.mass} locks ${ethers.formatEther(bloxRequired)} BLOX but ${account} holds ${ethers.formatEther(bloxBalance)}`);
+  if (allowance < bloxRequired) fail("blox", undefined, `mass ${p.mass} locks ${ethers.formatEther(bloxRequired)} BLOX but BuildNFT may only pull ${ethers.formatEther(allowance)} (BLOX.approve)`);
+  const ethBalance = await provider.getBalance(account, blockNumber);
+  if (ethBalance < msgValue) fail("fee", undefined, `${account} has ${ethers.formatEther(ethBalance)} ETH, less than the ${ethers.formatEther(msgValue)} ETH fee`);
+
+  return { blockNumber, fee, bloxRequired, problems };
+}
+
+/**
+ * preflightMint, then, when every check passes, `mint` simulated with
+ * eth_call from `account` at the same block. The simulation catches anything
+ * the checks do not model; `simulation` is null when a check failed.
+ * @param {string} rpcUrl
+ * @param {import("./contracts.mjs").Client} client
+ * @param {string} account
+ * @param {import("./contracts.mjs").MintParams} params
+ * @param {{ value?: bigint }} [opts]
+ * @returns {Promise<Awaited<ReturnType<typeof preflightMint>> & { value: bigint, ok: boolean, simulation: { ok: boolean, reason?: string | null, message?: string } | null }>}
+ */
+export async function checkMint(rpcUrl, client, account, params, { value } = {}) {
+  const result = await preflightMint(rpcUrl, client, account, params, { value });
+  const msgValue = value ?? result.fee;
+  let simulation = null;
+  if (!result.problems.length) {
+    const p = params;
+    try {
+      await client.buildNFT.mint.staticCall(p.geometryHash, p.mass, p.uri, p.componentBuildIds, p.componentCounts, p.kind, p.width, p.depth, p.density, {
+        from: account,
+        value: msgValue,
+        blockTag: result.blockNumber,
+      });
+      simulation = { ok: true };
+    } catch (err) {
+      const explained = explainMintRevert(err);
+      simulation = { ok: false, reason: explained?.reason ?? err.reason ?? null, message: explained?.message ?? (err.shortMessage || err.message) };
+    }
+  }
+  return { ...result, value: msgValue, ok: !result.problems.length && simulation.ok, simulation };
+}
@@ -0,0 +1,218 @@
+import { ethers } from "ethers";
+import { canonicalComposition, componentBuildIdsHash, componentCountsHash } from "./components.mjs";
+import { batchRead, rpcBatch } from "./rpc.mjs";
+
+// BuildNFT MintReservation: an author pre-signs a mint (EIP-712) that anyone,
+// or only `reservedFor`, submits through mintWithReservation. The minter pays
+// the fee and BLOX; the author is recorded as creator. Field order, hashing
+// and the domain mirror BuildNFT.reservationDigest.
+
+export const RESERVATION_VERSION = 1;
+
+/** Mirrors BuildNFT.RESERVATION_MAX_TTL (7 days); checks read the contract's value. */
+export const RESERVATION_MAX_TTL = 7n * 24n * 3600n;
+
+/** EIP-712 types, in MINT_RESERVATION_TYPEHASH order. */
+export const MINT_RESERVATION_TYPES = {
+  MintReservation: [
+    { name: "author", type: "address" },
+    { name: "reservedFor", type: "address" },
+    { name: "geometryHash", type: "bytes32" },
+    { name: "mass", type: "uint256" },
+    { name: "uriHash", type: "bytes32" },
+    { name: "componentBuildIdsHash", type: "bytes32" },
+    { name: "componentCountsHash", type: "bytes32" },
+    { name: "kind", type: "uint8" },
+    { name: "width", type: "uint8" },
+    { name: "depth", type: "uint8" },
+    { name: "density", type: "uint16" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+/** keccak256 of the encoded MintReservation type, as MINT_RESERVATION_TYPEHASH. */
+export const MINT_RESERVATION_TYPEHASH = ethers.id(ethers.TypedDataEncoder.from(MINT_RESERVATION_TYPES).encodeType("MintReservation"));
+
+/** BuildNFT's EIP712("ETHBLOX Build", "1") domain. */
+export function reservationDomain(chainId, buildNFT) {
+  return { name: "ETHBLOX Build", version: "1", chainId: BigInt(chainId), verifyingContract: ethers.getAddress(buildNFT) };
+}
+
+/** keccak256(bytes(uri)), as MintReservation.uriHash. */
+export function uriHash(uri) {
+  return ethers.keccak256(ethers.toUtf8Bytes(uri));
+}
+
+/**
+ * Builds a MintReservation from a build description (the fields `mint`
+ * takes, with the composition as `components: [{ tokenId, count }]` or as
+ * the two arrays). The composition is sorted the way BuildNFT requires and
+ * the URI and arrays are hashed as mintWithReservation checks them.
+ * @param {object} build `{ geometryHash, mass, uri, kind, width?, depth?, density, components? | componentBuildIds?/componentCounts? }`
+ * @param {{ author: string, reservedFor?: string, nonce?: bigint, expiry: bigint }} terms
+ * @returns {{ reservation: object, uri: string, componentBuildIds: bigint[], componentCounts: bigint[] }}
+ */
+export function buildReservation(build, { author, reservedFor = ethers.ZeroAddress, nonce, expiry }) {
+  if (!ethers.isHexString(build.geometryHash, 32)) throw new Error("geometryHash must be a bytes32 hex string");
+  if (!ethers.isAddress(author) || author === ethers.ZeroAddress) throw new Error("author must be a non-zero address");
+  const ids = build.components ? build.components.map((c) => c.tokenId) : build.componentBuildIds || [];
+  const counts = build.components ? build.components.map((c) => c.count) : build.componentCounts || [];
+  const { componentBuildIds, componentCounts } = canonicalComposition(ids, counts);
+  const uri = build.uri ?? "";
+  const reservation = {
+    author: ethers.getAddress(author),
+    reservedFor: ethers.getAddress(reservedFor || ethers.ZeroAddress),
+    geometryHash: build.geometryHash,
+    mass: BigInt(build.mass),
+    uriHash: uriHash(uri),
+    componentBuildIdsHash: componentBuildIdsHash(componentBuildIds),
+    componentCountsHash: componentCountsHash(componentCounts),
+    kind: Number(build.kind),
+    width: Number(build.width ?? 0),
+    depth: Number(build.depth ?? 0),
+    density: Number(build.density),
+    // Not tracked by the contract; it only keeps otherwise identical
+    // reservations from sharing a digest (and so a consumed flag).
+    nonce: nonce ?? ethers.toBigInt(ethers.randomBytes(32)),
+    expiry: BigInt(expiry),
+  };
+  return { reservation, uri, componentBuildIds, componentCounts };
+}
+
+/** The digest BuildNFT.reservationDigest returns for `reservation`. */
+export function reservationDigest(domain, reservation) {
+  return ethers.TypedDataEncoder.hash(domain, MINT_RESERVATION_TYPES, reservation);
+}
+
+/** Signs `reservation` with `signer` (the author). */
+export function signReservation(signer, domain, reservation) {
+  return signer.signTypedData(domain, MINT_RESERVATION_TYPES, reservation);
+}
+
+/** Address that signed `reservation`, or null when the signature is malformed. */
+export function recoverReservationSigner(domain, reservation, signature) {
+  try {
+    return ethers.recoverAddress(reservationDigest(domain, reservation), signature);
+  } catch {
+    return null;
+  }
+}
+
+/** Reservation tuple as the mintWithReservation argument. */
+export function reservationTuple(r) {
+  return [r.author, r.reservedFor, r.geometryHash, r.mass, r.uriHash, r.componentBuildIdsHash, r.componentCountsHash, r.kind, r.width, r.depth, r.density, r.nonce, r.expiry];
+}
+
+/**
+ * Signed reservation as a JSON-safe file (bigints as strings).
+ * @param {{ chainId: number|bigint, buildNFT: string, reservation: object, uri: string, componentBuildIds: bigint[], componentCounts: bigint[], signature: string }} bundle
+ */
+export function serializeReservation(bundle) {
+  const domain = reservationDomain(bundle.chainId, bundle.buildNFT);
+  const plain = (v) => (typeof v === "bigint" ? v.toString() : v);
+  return {
+    version: RESERVATION_VERSION,
+    chainId: Number(bundle.chainId),
+    buildNFT: domain.verifyingContract,
+    digest: reservationDigest(domain, bundle.reservation),
+    reservation: Object.fromEntries(Object.entries(bundle.reservation).map(([k, v]) => [k, plain(v)])),
+    uri: bundle.uri,
+    componentBuildIds: bundle.componentBuildIds.map(plain),
+    componentCounts: bundle.componentCounts.map(plain),
+    signature: bundle.signature,
+  };
+}
+
+/** Inverse of serializeReservation. */
+export function parseReservation(file) {
+  if (file.version !== RESERVATION_VERSION) throw new Error(`Unsupported reservation version ${file.version}`);
+  const r = file.reservation;
+  return {
+    chainId: Number(file.chainId),
+    buildNFT: ethers.getAddress(file.buildNFT),
+    digest: file.digest,
+    reservation: {
+      ...r,
+      mass: BigInt(r.mass),
+      kind: Number(r.kind),
+      width: Number(r.width),
+      depth: Number(r.depth),
+      density: Number(r.density),
+      nonce: BigInt(r.nonce),
+      expiry: BigInt(r.expiry),
+    },
+    uri: file.uri,
+    componentBuildIds: file.componentBuildIds.map(BigInt),
+    componentCounts: file.componentCounts.map(BigInt),
+    signature: file.signature,
+  };
+}
+
+/**
+ * Off-chain checks, in the order mintWithReservation makes them: author,
+ * expiry and TTL against `now`, minter, hashes, then the signature.
+ * Returns the problems (empty when the reservation would be accepted).
+ * @param {ReturnType<typeof parseReservation>} bundle
+ * @param {{ now: bigint, maxTtl?: bigint, minter?: string }} at
+ */
+export function reservationProblems(bundle, { now, maxTtl = RESERVATION_MAX_TTL, minter }) {
+  const { reservation: r } = bundle;
+  const problems = [];
+  if (r.author === ethers.ZeroAddress) problems.push("author=0: author is the zero address");
+  if (now > r.expiry) problems.push(`reservation expired: expiry ${r.expiry} is before ${now}`);
+  else if (r.expiry - now > maxTtl) problems.push(`reservation ttl: expires ${r.expiry - now}s out, the limit is ${maxTtl}s`);
+  if (r.reservedFor !== ethers.ZeroAddress && minter && minter.toLowerCase() !== r.reservedFor.toLowerCase()) {
+    problems.push(`wrong minter: reserved for ${r.reservedFor}, not ${minter}`);
+  }
+  if (r.uriHash !== uriHash(bundle.uri)) problems.push("uri hash: uriHash does not match uri");
+  if (r.componentBuildIdsHash !== componentBuildIdsHash(bundle.componentBuildIds)) problems.push("component ids hash: does not match componentBuildIds");
+  if (r.componentCountsHash !== componentCountsHash(bundle.componentCounts)) problems.push("component counts hash: does not match componentCounts");
+  const domain = reservationDomain(bundle.chainId, bundle.buildNFT);
+  const digest = reservationDigest(domain, r);
+  if (bundle.digest && bundle.digest !== digest) problems.push(`digest in file ${bundle.digest} does not match the reservation (${digest})`);
+  const signer = recoverReservationSigner(domain, r, bundle.signature);
+  if (!signer || signer.toLowerCase() !== r.author.toLowerCase()) problems.push(`bad reservation sig: signed by ${signer ?? "nobody"}, author is ${r.author}`);
+  return problems;
+}
+
+/**
+ * reservationProblems against the chain: latest block time, the contract's
+ * RESERVATION_MAX_TTL, reservationConsumed and its own reservationDigest.
+ * @param {string} rpcUrl
+ * @param {import("./contracts.mjs").Client} client
+ * @param {ReturnType<typeof parseReservation>} bundle
+ * @param {{ minter?: string }} [opts]
+ */
+export async function checkReservation(rpcUrl, client, bundle, { minter } = {}) {
+  const [{ result: chainIdHex, error: chainError }, { result: block, error: blockError }] = await rpcBatch(rpcUrl, [
+    { method: "eth_chainId", params: [] },
+    { method: "eth_getBlockByNumber", params: ["latest", false] },
+  ]);
+  if (chainError || blockError) throw new Error(`Cannot reach ${rpcUrl}: ${chainError || blockError}`);
+  const problems = [];
+  // A reservation signed for another chain or contract hashes differently.
+  if (Number(chainIdHex) !== bundle.chainId) problems.push(`signed for chain ${bundle.chainId}, connected to ${Number(chainIdHex)}`);
+  if (bundle.buildNFT.toLowerCase() !== String(client.buildNFT.target).toLowerCase()) {
+    problems.push(`signed for BuildNFT ${bundle.buildNFT}, deployment has ${client.buildNFT.target}`);
+  }
+  const digest = reservationDigest(reservationDomain(bundle.chainId, bundle.buildNFT), bundle.reservation);
+  const [maxTtl, consumed, onchainDigest] = await batchRead(
+    rpcUrl,
+    client.buildNFT,
+    [
+      { fn: "RESERVATION_MAX_TTL", args: [] },
+      { fn: "reservationConsumed", args: [digest] },
+      { fn: "reservationDigest", args: [reservationTuple(bundle.reservation)] },
+    ],
+    { blockTag: block.number },
+  );
+  const failed = [maxTtl, consumed, onchainDigest].find((v) => v.error);
+  if (failed) throw new Error(`Cannot read BuildNFT: ${failed.error}`);
+  const now = BigInt(block.timestamp);
+  problems.push(...reservationProblems(bundle, { now, maxTtl: maxTtl.value, minter }));
+  if (consumed.value) problems.push(`reservation used: digest ${digest} is already consumed`);
+  const sameDomain = Number(chainIdHex) === bundle.chainId && bundle.buildNFT.toLowerCase() === String(client.buildNFT.target).toLowerCase();
+  if (sameDomain && onchainDigest.value !== digest) problems.push(`digest mismatch: JS ${digest}, BuildNFT ${onchainDigest.value}`);
+  return { digest, onchainDigest: onchainDigest.value, blockNumber: Number(block.number), now, consumed: consumed.value, problems };
+}
@@ -0,0 +1,82 @@
+// Minimal JSON-RPC batching over fetch, for read-heavy tools that would
+// otherwise make one round trip per eth_call.
+
+/**
+ * Sends `requests` as JSON-RPC batches of at most `batchSize` entries.
+ * Results come back in request order; a failed entry carries `error`.
+ * @param {string} rpcUrl
+ * @param {{ method: string, params: unknown[] }[]} requests
+ * @param {{ batchSize?: number }} [opts]
+ * @returns {Promise<{ result?: any, error?: string }[]>}
+ */
+export async function rpcBatch(rpcUrl, requests, { batchSize = 100 } = {}) {
+  const out = new Array(requests.length);
+  for (let start = 0; start < requests.length; start += batchSize) {
+    const chunk = requests.slice(start, start + batchSize);
+    const body = chunk.map((r, i) => ({ jsonrpc: "2.0", id: start + i, method: r.method, params: r.params }));
+    let json;
+    try {
+      const res = await fetch(rpcUrl, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) throw new Error(`RPC HTTP ${res.status}`);
+      json = await res.json();
+      if (!Array.isArray(json)) {
+        throw new Error(json?.error?.message || "RPC endpoint does not support batch requests");
+      }
+    } catch (err) {
+      for (let i = 0; i < chunk.length; i++) out[start + i] = { error: err.message };
+      continue;
+    }
+    const byId = new Map(json.map((r) => [r.id, r]));
+    for (let i = 0; i < chunk.length; i++) {
+      const r = byId.get(start + i);
+      if (!r) out[start + i] = { error: "missing response" };
+      else if (r.error) out[start + i] = { error: r.error.message || JSON.stringify(r.error) };
+      else out[start + i] = { result: r.result };
+    }
+  }
+  return out;
+}
+
+/**
+ * Batched eth_call for encoded calls: each `{ to, data }` is run at `blockTag`.
+ * @param {string} rpcUrl
+ * @param {{ to: string, data: string }[]} calls
+ * @param {{ batchSize?: number, blockTag?: string }} [opts]
+ */
+export async function batchEthCall(rpcUrl, calls, { batchSize = 100, blockTag = "latest" } = {}) {
+  return rpcBatch(
+    rpcUrl,
+    calls.map((c) => ({ method: "eth_call", params: [{ to: c.to, data: c.data }, blockTag] })),
+    { batchSize },
+  );
+}
+
+/**
+ * Reads view functions through one batched round trip and decodes them.
+ * @param {string} rpcUrl
+ * @param {import("ethers").Contract} contract used for its interface and address
+ * @param {{ fn: string, args: unknown[] }[]} reads
+ * @returns {Promise<{ value?: any, error?: string }[]>}
+ */
+export async function batchRead(rpcUrl, contract, reads, opts = {}) {
+  const to = String(contract.target);
+  const iface = contract.interface;
+  const results = await batchEthCall(
+    rpcUrl,
+    reads.map((r) => ({ to, data: iface.encodeFunctionData(r.fn, r.args) })),
+    opts,
+  );
+  return results.map((res, i) => {
+    if (res.error) return { error: res.error };
+    try {
+      const decoded = iface.decodeFunctionResult(reads[i].fn, res.result);
+      return { value: decoded.length === 1 ? decoded[0] : decoded };
+    } catch (err) {
+      return { error: err.shortMessage || err.message };
+    }
+  });
+}
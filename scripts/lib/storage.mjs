@@ -0,0 +1,191 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { CONTRACTS_ROOT } from "./contracts.mjs";
+import { directoryCid } from "./unixfs.mjs";
+
+// Storage backends for metadata publishing. Every backend implements:
+//   uploadDir(dir)              -> folder CID
+//   generateKey()               -> IPNS name
+//   publishRecord(cid, name)    -> points the IPNS name at /ipfs/<cid>
+//   resolveName(name)           -> CID the name points at, or null
+//   cat(path)                   -> Buffer for /ipfs/<cid>/... or /ipns/<name>/...
+// Selected with STORAGE_BACKEND (lighthouse | kubo | fs).
+
+export const BACKENDS = ["lighthouse", "kubo", "fs"];
+export const DEFAULT_FS_ROOT = path.join(CONTRACTS_ROOT, ".ipfs-local");
+
+/**
+ * Turns ipfs://<cid>/p or ipns://<name>/p into /ipfs/<cid>/p or /ipns/<name>/p.
+ * @param {string} uri
+ */
+export function contentPath(uri) {
+  const m = /^(ipfs|ipns):\/\/(.+)$/.exec(uri);
+  if (!m) throw new Error(`Not an ipfs:// or ipns:// URI: ${uri}`);
+  return `/${m[1]}/${m[2]}`;
+}
+
+/**
+ * Reads /ipfs/... or /ipns/... through an HTTP gateway (path-style).
+ * @param {string} gateway e.g. https://ipfs.io
+ * @param {string} p
+ */
+export async function gatewayCat(gateway, p) {
+  const res = await fetch(`${gateway.replace(/\/$/, "")}${p}`);
+  if (!res.ok) throw new Error(`${gateway}${p}: HTTP ${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+/**
+ * Lighthouse (hosted pinning + IPNS). Needs IPNS_KEY (the Lighthouse API key).
+ * @param {{ apiKey?: string }} [opts]
+ */
+export async function lighthouseBackend({
+  apiKey = process.env.IPNS_KEY,
+  gateway = process.env.LIGHTHOUSE_GATEWAY || "https://gateway.lighthouse.storage",
+} = {}) {
+  if (!apiKey) throw new Error("Missing IPNS_KEY in environment.");
+  const lighthouse = (await import("@lighthouse-web3/sdk")).default;
+  return {
+    name: "lighthouse",
+    async uploadDir(dir) {
+      const res = await lighthouse.upload(dir, apiKey);
+      const cid = res?.data?.Hash;
+      if (!cid) throw new Error("Upload failed: missing CID in response.");
+      return cid;
+    },
+    async generateKey() {
+      const res = await lighthouse.generateKey(apiKey);
+      const ipnsName = res?.data?.ipnsName;
+      if (!ipnsName) throw new Error("Failed to generate IPNS key.");
+      return ipnsName;
+    },
+    async publishRecord(cid, ipnsName) {
+      await lighthouse.publishRecord(cid, ipnsName, apiKey);
+    },
+    async resolveName(ipnsName) {
+      const keys = (await lighthouse.getAllKeys(apiKey))?.data || [];
+      return keys.find((k) => k.ipnsName === ipnsName)?.cid || null;
+    },
+    cat: (p) => gatewayCat(gateway, p),
+  };
+}
+
+/**
+ * A Kubo (go-ipfs) node's HTTP RPC API, e.g. a local daemon.
+ * @param {{ apiUrl?: string, keyName?: string }} [opts]
+ */
+export function kuboBackend({
+  apiUrl = process.env.KUBO_API_URL || "http://127.0.0.1:5001",
+  keyName = process.env.IPNS_KEY_NAME || "ethblox-metadata",
+} = {}) {
+  const request = async (cmd, params = {}, body) => {
+    const url = new URL(`/api/v0/${cmd}`, apiUrl);
+    for (const [k, v] of Object.entries(params)) url.searchParams.append(k, String(v));
+    const res = await fetch(url, { method: "POST", body });
+    const buf = Buffer.from(await res.arrayBuffer());
+    if (!res.ok) throw new Error(`Kubo ${cmd} failed (${res.status}): ${buf.toString("utf8").trim()}`);
+    return buf;
+  };
+  const call = async (...args) => (await request(...args)).toString("utf8");
+
+  return {
+    name: "kubo",
+    async uploadDir(dir) {
+      const form = new FormData();
+      const root = path.basename(path.resolve(dir));
+      const walk = (rel) => {
+        form.append("file", new Blob([], { type: "application/x-directory" }), encodeURIComponent(rel ? `${root}/${rel}` : root));
+        for (const name of fs.readdirSync(path.join(dir, rel)).sort()) {
+          const relPath = rel ? `${rel}/${name}` : name;
+          const full = path.join(dir, relPath);
+          if (fs.statSync(full).isDirectory()) walk(relPath);
+          else form.append("file", new Blob([fs.readFileSync(full)]), encodeURIComponent(`${root}/${relPath}`));
+        }
+      };
+      walk("");
+      const out = await call("add", { "cid-version": 0, pin: true, "wrap-with-directory": false }, form);
+      // NDJSON, one line per entry; the folder itself is listed by its name.
+      const entries = out.trim().split("\n").map((line) => JSON.parse(line));
+      const folder = entries.find((e) => e.Name === root);
+      if (!folder) throw new Error("Upload failed: Kubo did not report the folder CID.");
+      return folder.Hash;
+    },
+    async generateKey() {
+      const keys = JSON.parse(await call("key/list", { l: true })).Keys || [];
+      const existing = keys.find((k) => k.Name === keyName);
+      if (existing) return existing.Id;
+      return JSON.parse(await call("key/gen", { arg: keyName, type: "ed25519" })).Id;
+    },
+    async publishRecord(cid, ipnsName) {
+      await call("name/publish", { arg: `/ipfs/${cid}`, key: ipnsName, "allow-offline": true });
+    },
+    async resolveName(ipnsName) {
+      try {
+        const { Path } = JSON.parse(await call("name/resolve", { arg: ipnsName, nocache: true }));
+        return Path ? Path.replace(/^\/ipfs\//, "") : null;
+      } catch {
+        return null;
+      }
+    },
+    cat: (p) => request("cat", { arg: p }),
+  };
+}
+
+/**
+ * Offline backend: computes real UnixFS CIDs locally, copies each published
+ * folder to <root>/ipfs/<cid>/ and keeps IPNS records as <root>/ipns/<name>.json.
+ * Deterministic, so the same folder always gets the same CID.
+ * @param {{ root?: string, keyName?: string, log?: (msg: string) => void }} [opts]
+ */
+export function fsBackend({
+  root = process.env.STORAGE_FS_ROOT || DEFAULT_FS_ROOT,
+  keyName = process.env.IPNS_KEY_NAME || "ethblox-metadata",
+  log = console.warn,
+} = {}) {
+  const recordPath = (ipnsName) => path.join(root, "ipns", `${ipnsName}.json`);
+  return {
+    name: "fs",
+    root,
+    async uploadDir(dir) {
+      const { cid, oversized } = directoryCid(dir);
+      for (const d of oversized) {
+        log(`[storage:fs] ${d} exceeds Kubo's sharding threshold; ipfs add would give this folder a different (HAMT) CID.`);
+      }
+      const target = path.join(root, "ipfs", cid);
+      if (!fs.existsSync(target)) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.cpSync(dir, target, { recursive: true });
+      }
+      return cid;
+    },
+    async generateKey() {
+      return `fs-${crypto.createHash("sha256").update(keyName).digest("hex").slice(0, 32)}`;
+    },
+    async publishRecord(cid, ipnsName) {
+      fs.mkdirSync(path.dirname(recordPath(ipnsName)), { recursive: true });
+      fs.writeFileSync(recordPath(ipnsName), JSON.stringify({ ipnsName, cid, value: `/ipfs/${cid}` }, null, 2));
+    },
+    async resolveName(ipnsName) {
+      if (!fs.existsSync(recordPath(ipnsName))) return null;
+      return JSON.parse(fs.readFileSync(recordPath(ipnsName), "utf8")).cid;
+    },
+    async cat(p) {
+      const [, ns, name, ...rest] = p.split("/");
+      const cid = ns === "ipns" ? await this.resolveName(name) : name;
+      const file = cid && path.join(root, "ipfs", cid, ...rest);
+      if (!file || !fs.existsSync(file)) throw new Error(`${p} not found under ${root}`);
+      return fs.readFileSync(file);
+    },
+  };
+}
+
+/**
+ * @param {string} [name] defaults to STORAGE_BACKEND, then "lighthouse"
+ */
+export async function createBackend(name = process.env.STORAGE_BACKEND || "lighthouse") {
+  if (name === "lighthouse") return lighthouseBackend();
+  if (name === "kubo") return kuboBackend();
+  if (name === "fs") return fsBackend();
+  throw new Error(`Unknown storage backend "${name}". Use ${BACKENDS.join("|")}.`);
+}
@@ -0,0 +1,176 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+// Offline UnixFS CIDs, matching `ipfs add` defaults (CIDv0, dag-pb, 256 KiB
+// fixed-size chunks, balanced layout, no raw leaves). Lets publish tooling
+// know the CID of every file without asking a gateway.
+
+export const CHUNK_SIZE = 262_144;
+const MAX_LINKS = 174;
+// Kubo switches directories to HAMT shards above this block size.
+const SHARD_THRESHOLD = 262_144;
+
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+
+function varint(n) {
+  const out = [];
+  let v = BigInt(n);
+  while (v >= 0x80n) {
+    out.push(Number((v & 0x7fn) | 0x80n));
+    v >>= 7n;
+  }
+  out.push(Number(v));
+  return Buffer.from(out);
+}
+
+function field(num, wireType) {
+  return varint((num << 3) | wireType);
+}
+
+function bytesField(num, buf) {
+  return Buffer.concat([field(num, 2), varint(buf.length), buf]);
+}
+
+function uintField(num, value) {
+  return Buffer.concat([field(num, 0), varint(value)]);
+}
+
+// unixfs.proto Data message.
+function unixfsData({ type, data, filesize, blocksizes = [] }) {
+  const parts = [uintField(1, type)];
+  if (data && data.length) parts.push(bytesField(2, data));
+  if (filesize !== undefined) parts.push(uintField(3, filesize));
+  for (const size of blocksizes) parts.push(uintField(4, size));
+  return Buffer.concat(parts);
+}
+
+// dag-pb PBNode: links (field 2) are serialised before data (field 1).
+function dagPbNode(links, data) {
+  const parts = links.map((l) =>
+    bytesField(2, Buffer.concat([bytesField(1, l.hash), bytesField(2, Buffer.from(l.name, "utf8")), uintField(3, l.tsize)])),
+  );
+  parts.push(bytesField(1, data));
+  return Buffer.concat(parts);
+}
+
+function multihash(block) {
+  return Buffer.concat([Buffer.from([0x12, 0x20]), crypto.createHash("sha256").update(block).digest()]);
+}
+
+const B58 = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+function base58btc(buf) {
+  let n = BigInt(`0x${buf.toString("hex") || "0"}`);
+  let out = "";
+  while (n > 0n) {
+    out = B58[Number(n % 58n)] + out;
+    n /= 58n;
+  }
+  for (const byte of buf) {
+    if (byte !== 0) break;
+    out = `1${out}`;
+  }
+  return out;
+}
+
+/** CIDv0 string for a multihash buffer. */
+export function cidV0(hash) {
+  return base58btc(hash);
+}
+
+// A node in the file DAG: its multihash, serialised size and the
+// cumulative size link entries report (block plus everything below it).
+function block(bytes) {
+  return { hash: multihash(bytes), size: bytes.length, tsize: bytes.length };
+}
+
+function leaf(chunk) {
+  const b = block(dagPbNode([], unixfsData({ type: UNIXFS_FILE, data: chunk, filesize: chunk.length })));
+  return { ...b, filesize: chunk.length };
+}
+
+function parent(children) {
+  const filesize = children.reduce((s, c) => s + c.filesize, 0);
+  const data = unixfsData({ type: UNIXFS_FILE, filesize, blocksizes: children.map((c) => c.filesize) });
+  const bytes = dagPbNode(
+    children.map((c) => ({ hash: c.hash, name: "", tsize: c.tsize })),
+    data,
+  );
+  const b = block(bytes);
+  return { ...b, tsize: bytes.length + children.reduce((s, c) => s + c.tsize, 0), filesize };
+}
+
+/**
+ * UnixFS DAG root for file content.
+ * @param {Buffer} content
+ * @returns {{ cid: string, hash: Buffer, tsize: number, filesize: number }}
+ */
+export function fileNode(content) {
+  const chunks = [];
+  for (let off = 0; off < content.length; off += CHUNK_SIZE) chunks.push(content.subarray(off, off + CHUNK_SIZE));
+  if (!chunks.length) chunks.push(Buffer.alloc(0));
+
+  let level = chunks.map(leaf);
+  if (level.length === 1) return { ...level[0], cid: cidV0(level[0].hash) };
+  // Balanced layout: fill each parent with up to MAX_LINKS children, level by level.
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += MAX_LINKS) next.push(parent(level.slice(i, i + MAX_LINKS)));
+    level = next;
+  }
+  return { ...level[0], cid: cidV0(level[0].hash) };
+}
+
+/** CIDv0 of file content, as `ipfs add` would report it. */
+export function fileCid(content) {
+  return fileNode(content).cid;
+}
+
+/**
+ * UnixFS directory node over already-built children.
+ * @param {{ name: string, hash: Buffer, tsize: number }[]} entries
+ */
+export function directoryNode(entries) {
+  const links = [...entries].sort((a, b) => Buffer.compare(Buffer.from(a.name), Buffer.from(b.name)));
+  const bytes = dagPbNode(
+    links.map((l) => ({ hash: l.hash, name: l.name, tsize: l.tsize })),
+    unixfsData({ type: UNIXFS_DIRECTORY }),
+  );
+  const b = block(bytes);
+  return {
+    ...b,
+    cid: cidV0(b.hash),
+    tsize: bytes.length + links.reduce((s, l) => s + l.tsize, 0),
+    sharded: bytes.length > SHARD_THRESHOLD,
+  };
+}
+
+/**
+ * CIDs for a folder on disk: the folder itself and every file in it (relative
+ * posix paths). Folders whose node would exceed Kubo's sharding threshold are
+ * flagged in `oversized`: their CID is a valid plain directory, but `ipfs add`
+ * would produce a HAMT shard with a different CID.
+ * @param {string} dir
+ * @returns {{ cid: string, files: Record<string, string>, oversized: string[] }}
+ */
+export function directoryCid(dir) {
+  const files = {};
+  const oversized = [];
+  const walk = (rel) => {
+    const entries = fs.readdirSync(path.join(dir, rel)).map((name) => {
+      const relPath = rel ? `${rel}/${name}` : name;
+      const full = path.join(dir, relPath);
+      if (fs.statSync(full).isDirectory()) return { name, ...walk(relPath) };
+      const node = fileNode(fs.readFileSync(full));
+      files[relPath] = node.cid;
+      return { name, ...node };
+    });
+    const node = directoryNode(entries);
+    if (node.sharded) oversized.push(rel || ".");
+    return node;
+  };
+  const root = walk("");
+  return { cid: root.cid, files, oversized };
+}
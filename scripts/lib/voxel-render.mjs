@@ -0,0 +1,279 @@
+import zlib from "node:zlib";
+
+// Deterministic isometric voxel renderer. The same voxels and options always
+// produce byte-identical SVG and PNG output: no randomness, no fonts, no
+// platform rasteriser. Voxels are { x, y, z } (or [x, y, z]) unit cubes with
+// y pointing up; the viewer looks from +x, +y, +z.
+
+export const DENSITY_COLORS = {
+  1: "#e8c547",
+  8: "#f08a4b",
+  27: "#d64550",
+  64: "#6b4e9b",
+  125: "#1f3a5f",
+};
+const FALLBACK_COLOR = "#8a8a8a";
+const BACKGROUND = "#f5f5f5";
+
+// Face brightness: light comes from above and slightly to the left.
+const SHADE = { top: 1.0, left: 0.78, right: 0.6 };
+const EDGE_SHADE = 0.45;
+
+const COS30 = Math.sqrt(3) / 2;
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function rgbToHex(rgb) {
+  return `#${rgb.map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+}
+
+function shade(rgb, factor) {
+  return rgb.map((c) => Math.max(0, Math.min(255, Math.round(c * factor))));
+}
+
+/**
+ * Per-axis minimum and maximum of points given as [x, y, z] (or [x, y]) or
+ * { x, y, z }; null for no points. A loop, not Math.min(...): spreading a
+ * large build's coordinates overflows the call stack.
+ * @returns {{ min: number[], max: number[] } | null}
+ */
+export function bounds(points) {
+  let min = null;
+  let max = null;
+  for (const v of points) {
+    const p = Array.isArray(v) ? v : [v.x, v.y, v.z];
+    if (!min) {
+      min = [...p];
+      max = [...p];
+      continue;
+    }
+    for (let i = 0; i < p.length; i++) {
+      if (p[i] < min[i]) min[i] = p[i];
+      if (p[i] > max[i]) max[i] = p[i];
+    }
+  }
+  return min && { min, max };
+}
+
+/** Normalises voxels to unique { x, y, z } integers, translated so the minimum is 0. */
+export function normalizeVoxels(voxels) {
+  const list = voxels.map((v) => (Array.isArray(v) ? { x: v[0], y: v[1], z: v[2] } : { x: v.x, y: v.y, z: v.z }));
+  for (const v of list) {
+    if (![v.x, v.y, v.z].every(Number.isInteger)) throw new Error(`voxel ${JSON.stringify(v)} is not integral`);
+  }
+  if (!list.length) return [];
+  const { min } = bounds(list);
+  const seen = new Set();
+  const out = [];
+  for (const v of list) {
+    const p = { x: v.x - min[0], y: v.y - min[1], z: v.z - min[2] };
+    const key = `${p.x},${p.y},${p.z}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(p);
+  }
+  return out;
+}
+
+/** A single-layer width x depth slab: the voxel shape of a brick. */
+export function brickVoxels(width, depth) {
+  const out = [];
+  for (let x = 0; x < width; x++) for (let z = 0; z < depth; z++) out.push({ x, y: 0, z });
+  return out;
+}
+
+function colorFor(density) {
+  return hexToRgb(DENSITY_COLORS[Number(density)] || FALLBACK_COLOR);
+}
+
+// Visible faces in back-to-front order, projected and fitted to a size x size
+// canvas. Faces touching another voxel are culled.
+function projectFaces(voxels, { density, size, padding }) {
+  const cubes = normalizeVoxels(voxels);
+  const occupied = new Set(cubes.map((v) => `${v.x},${v.y},${v.z}`));
+  const has = (x, y, z) => occupied.has(`${x},${y},${z}`);
+  const base = colorFor(density);
+  const iso = ([x, y, z]) => [(x - z) * COS30, (x + z) * 0.5 - y];
+
+  cubes.sort((a, b) => a.x + a.y + a.z - (b.x + b.y + b.z) || a.y - b.y || a.x - b.x || a.z - b.z);
+  const faces = [];
+  for (const { x, y, z } of cubes) {
+    if (!has(x, y + 1, z)) {
+      faces.push({ kind: "top", corners: [[x, y + 1, z], [x + 1, y + 1, z], [x + 1, y + 1, z + 1], [x, y + 1, z + 1]] });
+    }
+    if (!has(x, y, z + 1)) {
+      faces.push({ kind: "left", corners: [[x, y, z + 1], [x + 1, y, z + 1], [x + 1, y + 1, z + 1], [x, y + 1, z + 1]] });
+    }
+    if (!has(x + 1, y, z)) {
+      faces.push({ kind: "right", corners: [[x + 1, y, z], [x + 1, y + 1, z], [x + 1, y + 1, z + 1], [x + 1, y, z + 1]] });
+    }
+  }
+
+  const projected = faces.map((f) => ({ ...f, points: f.corners.map(iso) }));
+  const box = bounds(projected.flatMap((f) => f.points));
+  const [minX, maxX, minY, maxY] = box ? [box.min[0], box.max[0], box.min[1], box.max[1]] : [0, 1, 0, 1];
+  const inner = size - 2 * padding;
+  const scale = inner / Math.max(maxX - minX, maxY - minY, 1);
+  const offX = padding + (inner - (maxX - minX) * scale) / 2;
+  const offY = padding + (inner - (maxY - minY) * scale) / 2;
+
+  return {
+    scale,
+    faces: projected.map((f) => ({
+      points: f.points.map(([px, py]) => [offX + (px - minX) * scale, offY + (py - minY) * scale]),
+      fill: shade(base, SHADE[f.kind]),
+      edge: shade(base, EDGE_SHADE),
+    })),
+  };
+}
+
+function defaults(opts) {
+  return { density: 1, size: 512, padding: 32, ...opts };
+}
+
+/**
+ * Renders voxels as an isometric SVG.
+ * @param {Array<{x:number,y:number,z:number}|number[]>} voxels
+ * @param {{ density?: number, size?: number, padding?: number }} [opts]
+ * @returns {string}
+ */
+export function renderSvg(voxels, opts = {}) {
+  const o = defaults(opts);
+  const { faces, scale } = projectFaces(voxels, o);
+  const strokeWidth = Math.max(0.5, Math.min(2, scale / 24)).toFixed(2);
+  const polygons = faces
+    .map((f) => {
+      const pts = f.points.map(([x, y]) => `${x.toFixed(2)},${y.toFixed(2)}`).join(" ");
+      return `<polygon points="${pts}" fill="${rgbToHex(f.fill)}" stroke="${rgbToHex(f.edge)}" stroke-width="${strokeWidth}" stroke-linejoin="round" />`;
+    })
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="${o.size}" height="${o.size}" viewBox="0 0 ${o.size} ${o.size}">\n<rect width="100%" height="100%" fill="${BACKGROUND}" />\n${polygons}\n</svg>\n`;
+}
+
+// Scanline fill of a simple polygon, sampling at pixel centres.
+function fillPolygon(pixels, width, height, points, rgb) {
+  const ys = points.map((p) => p[1]);
+  const y0 = Math.max(0, Math.floor(Math.min(...ys)));
+  const y1 = Math.min(height - 1, Math.ceil(Math.max(...ys)));
+  for (let py = y0; py <= y1; py++) {
+    const cy = py + 0.5;
+    const xs = [];
+    for (let i = 0; i < points.length; i++) {
+      const [ax, ay] = points[i];
+      const [bx, by] = points[(i + 1) % points.length];
+      if ((ay <= cy && by > cy) || (by <= cy && ay > cy)) xs.push(ax + ((cy - ay) / (by - ay)) * (bx - ax));
+    }
+    xs.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+      const from = Math.max(0, Math.ceil(xs[i] - 0.5));
+      const to = Math.min(width - 1, Math.floor(xs[i + 1] - 0.5));
+      for (let px = from; px <= to; px++) {
+        const o = (py * width + px) * 3;
+        pixels[o] = rgb[0];
+        pixels[o + 1] = rgb[1];
+        pixels[o + 2] = rgb[2];
+      }
+    }
+  }
+}
+
+// Shrinks a polygon towards its centroid by `by` pixels (approximately), to
+// leave an outline of the edge colour around the face.
+function inset(points, by) {
+  const cx = points.reduce((s, p) => s + p[0], 0) / points.length;
+  const cy = points.reduce((s, p) => s + p[1], 0) / points.length;
+  return points.map(([x, y]) => {
+    const dx = cx - x;
+    const dy = cy - y;
+    const len = Math.hypot(dx, dy) || 1;
+    return [x + (dx / len) * by, y + (dy / len) * by];
+  });
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+/** Encodes an RGB8 pixel buffer as a PNG. */
+export function encodePng(pixels, width, height) {
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width * 3 + 1)] = 0; // filter: none
+    pixels.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 2; // colour type: RGB
+  ihdr[10] = 0;
+  ihdr[11] = 0;
+  ihdr[12] = 0;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Renders voxels as an isometric PNG, drawn at `supersample`x and box-filtered
+ * down for anti-aliasing.
+ * @param {Array<{x:number,y:number,z:number}|number[]>} voxels
+ * @param {{ density?: number, size?: number, padding?: number, supersample?: number }} [opts]
+ * @returns {Buffer}
+ */
+export function renderPng(voxels, opts = {}) {
+  const o = defaults({ supersample: 2, ...opts });
+  const ss = o.supersample;
+  const big = o.size * ss;
+  const { faces, scale } = projectFaces(voxels, { ...o, size: big, padding: o.padding * ss });
+  const pixels = Buffer.alloc(big * big * 3);
+  const bg = hexToRgb(BACKGROUND);
+  for (let i = 0; i < big * big; i++) pixels.set(bg, i * 3);
+  const edge = Math.max(0.5, Math.min(2, scale / 24));
+  for (const f of faces) {
+    fillPolygon(pixels, big, big, f.points, f.edge);
+    fillPolygon(pixels, big, big, inset(f.points, edge), f.fill);
+  }
+  if (ss === 1) return encodePng(pixels, o.size, o.size);
+
+  const out = Buffer.alloc(o.size * o.size * 3);
+  for (let y = 0; y < o.size; y++) {
+    for (let x = 0; x < o.size; x++) {
+      for (let c = 0; c < 3; c++) {
+        let sum = 0;
+        for (let dy = 0; dy < ss; dy++) {
+          for (let dx = 0; dx < ss; dx++) sum += pixels[((y * ss + dy) * big + x * ss + dx) * 3 + c];
+        }
+        out[(y * o.size + x) * 3 + c] = Math.round(sum / (ss * ss));
+      }
+    }
+  }
+  return encodePng(out, o.size, o.size);
+}
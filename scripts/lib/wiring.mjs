@@ -0,0 +1,140 @@
+import { ethers } from "ethers";
+import { batchRead, rpcBatch } from "./rpc.mjs";
+
+// Post-deploy wiring: what Deploy.s.sol sets up across the protocol
+// contracts, read back from chain. Addresses are checked against the
+// manifest; configuration (treasuries, maxMass, enabled kinds, rebalance
+// guards) against the constructor arguments recorded at deploy time, with
+// explicit overrides on top.
+
+/** LicenseRegistry constructor values for the rebalance guards. */
+export const DEFAULT_REBALANCE_GUARDS = {
+  minRebalanceInterval: 3600n,
+  minLpBudgetAmount: 0n,
+  maxSlippageBps: 1000n,
+  maxDeadlineWindow: 1800n,
+};
+
+/** Kinds Deploy.s.sol enables (kind 0, bricks, is always allowed). */
+export const DEPLOY_KINDS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+/**
+ * @typedef {object} WiringExpectations
+ * @property {string | null} protocolTreasury BuildNFT and Distributor; null = any non-zero address
+ * @property {string | null} registryTreasury LicenseRegistry.treasury
+ * @property {string | null} liquidityReceiver
+ * @property {bigint | null} maxMass null = any non-zero value
+ * @property {number[]} kinds kinds that must be enabled
+ * @property {typeof DEFAULT_REBALANCE_GUARDS} guards
+ */
+
+/**
+ * Expected configuration for a deployment: `overrides` first, then the
+ * constructor arguments recorded in the manifest, then `fallback` (e.g. the
+ * env Deploy.s.sol read).
+ * @param {object} manifest
+ * @param {Partial<WiringExpectations>} [overrides]
+ * @param {Partial<WiringExpectations>} [fallback]
+ * @returns {WiringExpectations}
+ */
+export function expectedWiring(manifest, overrides = {}, fallback = {}) {
+  // BuildNFT(blox, distributor, liquidityReceiver, protocolTreasury, licenseRegistry, licenseNFT, maxMass)
+  const buildArgs = manifest.contracts?.buildNFT?.constructorArgs || [];
+  // LicenseRegistry(buildNFT, licenseNFT, treasury)
+  const registryArgs = manifest.contracts?.licenseRegistry?.constructorArgs || [];
+  const pick = (key, recorded) => overrides[key] ?? recorded ?? fallback[key] ?? null;
+  return {
+    protocolTreasury: pick("protocolTreasury", buildArgs[3]),
+    registryTreasury: pick("registryTreasury", registryArgs[2]),
+    liquidityReceiver: pick("liquidityReceiver", buildArgs[2]),
+    maxMass: pick("maxMass", buildArgs[6] !== undefined ? BigInt(buildArgs[6]) : undefined),
+    kinds: overrides.kinds ?? DEPLOY_KINDS,
+    guards: { ...DEFAULT_REBALANCE_GUARDS, ...overrides.guards },
+  };
+}
+
+function same(actual, expected) {
+  if (typeof expected === "bigint") return BigInt(actual) === expected;
+  if (typeof expected === "string" && ethers.isAddress(expected)) {
+    return typeof actual === "string" && actual.toLowerCase() === expected.toLowerCase();
+  }
+  return actual === expected;
+}
+
+/**
+ * Reads every wiring value at one block and compares it with `expected`.
+ * Each row says which setter would fix it; `fix` is null for values that are
+ * immutable or constructor-only, which need a redeploy.
+ * @param {string} rpcUrl
+ * @param {import("./contracts.mjs").Client} client
+ * @param {WiringExpectations} expected
+ * @returns {Promise<{ blockNumber: number, rows: { contract: string, check: string, expected: string, actual: string, ok: boolean, fix: { contract: string, fn: string, args: unknown[] } | null }[] }>}
+ */
+export async function checkWiring(rpcUrl, client, expected) {
+  const m = client.manifest;
+  const [{ result: head, error: headError }] = await rpcBatch(rpcUrl, [{ method: "eth_blockNumber", params: [] }]);
+  if (headError) throw new Error(`Cannot reach ${rpcUrl}: ${headError}`);
+  const blockTag = head;
+  const rows = [];
+
+  const names = ["blox", "distributor", "licenseNFT", "licenseRegistry", "buildNFT"];
+  const codes = await rpcBatch(rpcUrl, names.map((k) => ({ method: "eth_getCode", params: [m[k], blockTag] })));
+  names.forEach((k, i) => {
+    const code = codes[i].result;
+    rows.push({
+      contract: k,
+      check: "code",
+      expected: `deployed at ${m[k]}`,
+      actual: codes[i].error ? `error: ${codes[i].error}` : code && code !== "0x" ? `${(code.length - 2) / 2} bytes` : "no code",
+      ok: Boolean(code && code !== "0x"),
+      fix: null,
+    });
+  });
+
+  // [contract, check, read, expected, fix(expected) | null]; a null expected
+  // value only requires something non-zero.
+  const specs = [
+    ["licenseRegistry", "buildNFT", { fn: "buildNFT", args: [] }, m.buildNFT, null],
+    ["licenseRegistry", "licenseNFT", { fn: "licenseNFT", args: [] }, m.licenseNFT, null],
+    ["licenseRegistry", "treasury", { fn: "treasury", args: [] }, expected.registryTreasury, (v) => ["setTreasury", [v]]],
+    ["licenseNFT", "registry", { fn: "registry", args: [] }, m.licenseRegistry, (v) => ["setRegistry", [v]]],
+    ["distributor", "blox", { fn: "blox", args: [] }, m.blox, null],
+    ["distributor", "buildNFT", { fn: "buildNFT", args: [] }, m.buildNFT, (v) => ["setBuildNFT", [v]]],
+    ["distributor", "protocolTreasury", { fn: "protocolTreasury", args: [] }, expected.protocolTreasury, (v) => ["setProtocolTreasury", [v]]],
+    ["buildNFT", "blox", { fn: "blox", args: [] }, m.blox, null],
+    ["buildNFT", "distributor", { fn: "distributor", args: [] }, m.distributor, (v) => ["setDistributor", [v]]],
+    ["buildNFT", "licenseRegistry", { fn: "licenseRegistry", args: [] }, m.licenseRegistry, null],
+    ["buildNFT", "licenseNFT", { fn: "licenseNFT", args: [] }, m.licenseNFT, null],
+    ["buildNFT", "protocolTreasury", { fn: "protocolTreasury", args: [] }, expected.protocolTreasury, (v) => ["setProtocolTreasury", [v]]],
+    ["buildNFT", "liquidityReceiver", { fn: "liquidityReceiver", args: [] }, expected.liquidityReceiver, (v) => ["setLiquidityReceiver", [v]]],
+    ["buildNFT", "maxMass", { fn: "maxMass", args: [] }, expected.maxMass, (v) => ["setMaxMass", [v]]],
+    ...expected.kinds.map((k) => ["buildNFT", `kindEnabled(${k})`, { fn: "kindEnabled", args: [k] }, true, (v) => ["setKindEnabled", [k, v]]]),
+  ];
+  const g = expected.guards;
+  const guardsFix = () => ["setRebalanceGuards", [g.minRebalanceInterval, g.minLpBudgetAmount, g.maxSlippageBps, g.maxDeadlineWindow]];
+  for (const key of Object.keys(DEFAULT_REBALANCE_GUARDS)) {
+    specs.push(["licenseRegistry", key, { fn: key, args: [] }, g[key], guardsFix]);
+  }
+
+  for (const contract of ["licenseRegistry", "licenseNFT", "distributor", "buildNFT"]) {
+    const mine = specs.filter((s) => s[0] === contract);
+    const values = await batchRead(rpcUrl, client[contract], mine.map((s) => s[2]), { blockTag });
+    mine.forEach(([, check, , want, fixFor], i) => {
+      const { value, error } = values[i];
+      let ok;
+      if (error) ok = false;
+      else if (want === null) ok = typeof value === "bigint" ? value > 0n : value !== ethers.ZeroAddress;
+      else ok = same(value, want);
+      const fix = fixFor && want !== null ? fixFor(want) : null;
+      rows.push({
+        contract,
+        check,
+        expected: want === null ? "non-zero" : String(want),
+        actual: error ? `error: ${error}` : String(value),
+        ok,
+        fix: fix ? { contract, fn: fix[0], args: fix[1] } : null,
+      });
+    });
+  }
+  return { blockNumber: Number(head), rows };
+}
@@ -3,53 +3,252 @@
 const fs = require("fs");
 const path = require("path");
 
-async function main() {
-  const apiKey = process.env.IPNS_KEY;
-  const ipnsNameEnv = process.env.IPNS_NAME || "";
-  const targetDir = process.env.METADATA_DIR || "metadata";
-
-  if (!apiKey) {
-    console.error("Missing IPNS_KEY in environment.");
-    process.exit(1);
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const out = {
+    command: "publish",
+    dryRun: false,
+    force: false,
+    to: "",
+    backend: process.env.STORAGE_BACKEND || "lighthouse",
+    dir: process.env.METADATA_DIR || "metadata",
+    manifestPath: process.env.PUBLISH_MANIFEST || "publish-manifest.json"
+  };
+  if (args[0] && !args[0].startsWith("--")) {
+    out.command = args.shift();
+  }
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--dry-run") {
+      out.dryRun = true;
+    } else if (a === "--force") {
+      out.force = true;
+    } else if (a === "--to") {
+      out.to = args[++i];
+    } else if (a === "--dir") {
+      out.dir = args[++i];
+    } else if (a === "--manifest") {
+      out.manifestPath = args[++i];
+    } else if (a === "--backend") {
+      out.backend = args[++i];
+    }
   }
+  return out;
+}
 
-  const fullPath = path.resolve(process.cwd(), targetDir);
-  if (!fs.existsSync(fullPath)) {
-    console.error(`Metadata folder not found: ${fullPath}`);
-    process.exit(1);
+// The publish manifest records every folder CID pointed at by IPNS, with the
+// CID of each file in it, so publishes can be diffed and rolled back.
+function loadManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) return { version: 1, ipnsName: null, current: null, history: [] };
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+function saveManifest(manifestPath, manifest) {
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+function currentEntry(manifest) {
+  for (let i = manifest.history.length - 1; i >= 0; i--) {
+    if (manifest.history[i].cid === manifest.current) return manifest.history[i];
   }
+  return null;
+}
+
+// relative path (posix) -> CID, for every file under dir.
+function snapshot(dir, fileCid) {
+  const files = {};
+  const walk = (rel) => {
+    for (const name of fs.readdirSync(path.join(dir, rel)).sort()) {
+      const relPath = rel ? `${rel}/${name}` : name;
+      const full = path.join(dir, relPath);
+      if (fs.statSync(full).isDirectory()) walk(relPath);
+      else files[relPath] = fileCid(fs.readFileSync(full));
+    }
+  };
+  walk("");
+  return files;
+}
 
-  const lighthouse = (await import("@lighthouse-web3/sdk")).default;
+function diffFiles(before, after) {
+  const added = Object.keys(after).filter((f) => !(f in before));
+  const removed = Object.keys(before).filter((f) => !(f in after));
+  const changed = Object.keys(after).filter((f) => f in before && before[f] !== after[f]);
+  return { added, changed, removed };
+}
 
-  console.log(`Uploading ${fullPath} to Lighthouse...`);
-  const uploadRes = await lighthouse.upload(fullPath, apiKey);
-  const cid = uploadRes?.data?.Hash;
-  if (!cid) {
-    console.error("Upload failed: missing CID in response.");
-    process.exit(1);
+function printDiff(diff, against) {
+  console.log(against ? `Compared with published folder ${against}:` : "Nothing published yet; every file is new:");
+  for (const [label, sign] of [["added", "+"], ["changed", "~"], ["removed", "-"]]) {
+    console.log(`  ${label}: ${diff[label].length}`);
+    for (const f of diff[label]) console.log(`    ${sign} ${f}`);
   }
+}
 
-  let ipnsName = ipnsNameEnv;
+async function resolveIpnsName(backend, manifest) {
+  if (manifest.backend && manifest.backend !== backend.name) {
+    console.error(`This publish manifest belongs to the ${manifest.backend} backend; use --manifest to keep a separate one for ${backend.name}.`);
+    process.exit(1);
+  }
+  let ipnsName = process.env.IPNS_NAME || manifest.ipnsName || "";
   if (!ipnsName) {
-    const keyRes = await lighthouse.generateKey(apiKey);
-    ipnsName = keyRes?.data?.ipnsName;
-    if (!ipnsName) {
-      console.error("Failed to generate IPNS key.");
-      process.exit(1);
-    }
+    ipnsName = await backend.generateKey();
     fs.writeFileSync(
       "ipns.json",
-      JSON.stringify({ ipnsName }, null, 2)
+      JSON.stringify({ ipnsName, backend: backend.name }, null, 2)
     );
     console.log("Generated IPNS key. Saved ipns.json with ipnsName.");
   }
+  return ipnsName;
+}
+
+// Refuses to move an IPNS record that no longer points where the manifest
+// says it does (someone published outside this script) unless --force.
+async function checkIpnsUnchanged(backend, manifest, ipnsName, force) {
+  if (!manifest.current) return;
+  const cid = await backend.resolveName(ipnsName);
+  if (!cid || cid === manifest.current) return;
+  const msg = `IPNS ${ipnsName} points at ${cid}, but the manifest's current publish is ${manifest.current}.`;
+  if (!force) {
+    console.error(`${msg} Re-run with --force to overwrite it.`);
+    process.exit(1);
+  }
+  console.warn(`${msg} Overwriting (--force).`);
+}
+
+async function publish(opts, manifest, fileCid) {
+  const fullPath = path.resolve(process.cwd(), opts.dir);
+  if (!fs.existsSync(fullPath)) {
+    console.error(`Metadata folder not found: ${fullPath}`);
+    process.exit(1);
+  }
+
+  const files = snapshot(fullPath, fileCid);
+  const current = currentEntry(manifest);
+  const diff = diffFiles(current ? current.files : {}, files);
+  printDiff(diff, current && current.cid);
+  const changes = diff.added.length + diff.changed.length + diff.removed.length;
+  if (opts.dryRun) return;
+  if (current && !changes && !opts.force) {
+    console.log("Nothing changed since the last publish; not uploading (use --force to republish).");
+    return;
+  }
+
+  const backend = await opts.createBackend(opts.backend);
+  const ipnsName = await resolveIpnsName(backend, manifest);
+  await checkIpnsUnchanged(backend, manifest, ipnsName, opts.force);
+
+  console.log(`Uploading ${fullPath} to ${backend.name}...`);
+  const cid = await backend.uploadDir(fullPath);
 
   console.log(`Publishing CID ${cid} to IPNS ${ipnsName}...`);
-  await lighthouse.publishRecord(cid, ipnsName, apiKey);
+  await backend.publishRecord(cid, ipnsName);
+
+  manifest.ipnsName = ipnsName;
+  manifest.backend = backend.name;
+  manifest.current = cid;
+  manifest.history.push({
+    action: "publish",
+    backend: backend.name,
+    cid,
+    publishedAt: new Date().toISOString(),
+    dir: opts.dir,
+    changes: { added: diff.added.length, changed: diff.changed.length, removed: diff.removed.length },
+    files
+  });
+  saveManifest(opts.manifestPath, manifest);
 
   console.log("Done.");
   console.log(`CID: ${cid}`);
   console.log(`Base URI: ipns://${ipnsName}`);
+  console.log("Run `npm run metadata:wire` to point the contracts at it.");
+}
+
+// The versions IPNS has stepped through, oldest first, without the ones a
+// rollback abandoned: publishes push, a rollback pops back to its target (or
+// pushes it, for a --to outside the stack). Rolling back from A,B,C to B
+// leaves A,B, so the next rollback goes to A rather than forward to C.
+function versionStack(manifest) {
+  const stack = [];
+  for (const h of manifest.history) {
+    const at = h.action === "rollback" ? stack.map((e) => e.cid).lastIndexOf(h.cid) : -1;
+    if (at >= 0) stack.splice(at + 1);
+    else stack.push(h);
+  }
+  return stack;
+}
+
+// Re-points IPNS at an earlier folder CID: --to <cid>, or the version before
+// the current one.
+async function rollback(opts, manifest) {
+  const stack = versionStack(manifest);
+  const target = opts.to
+    ? manifest.history.find((h) => h.cid === opts.to)
+    : stack[stack.length - 2];
+  if (!target) {
+    console.error(opts.to ? `CID ${opts.to} is not in the publish history.` : "No earlier publish to roll back to.");
+    process.exit(1);
+  }
+  if (target.cid === manifest.current) {
+    console.log(`IPNS already points at ${target.cid}.`);
+    return;
+  }
+  const diff = diffFiles(currentEntry(manifest)?.files || {}, target.files);
+  printDiff(diff, manifest.current);
+  if (opts.dryRun) return;
+
+  const backend = await opts.createBackend(opts.backend);
+  const ipnsName = await resolveIpnsName(backend, manifest);
+  await checkIpnsUnchanged(backend, manifest, ipnsName, opts.force);
+  console.log(`Rolling IPNS ${ipnsName} back from ${manifest.current} to ${target.cid}...`);
+  await backend.publishRecord(target.cid, ipnsName);
+
+  manifest.history.push({
+    action: "rollback",
+    backend: backend.name,
+    cid: target.cid,
+    publishedAt: new Date().toISOString(),
+    from: manifest.current,
+    dir: target.dir,
+    changes: { added: diff.added.length, changed: diff.changed.length, removed: diff.removed.length },
+    files: target.files
+  });
+  manifest.current = target.cid;
+  saveManifest(opts.manifestPath, manifest);
+  console.log("Done.");
+  console.log(`Base URI: ipns://${ipnsName}`);
+}
+
+function history(manifest) {
+  if (!manifest.history.length) {
+    console.log("No publishes recorded.");
+    return;
+  }
+  for (const h of manifest.history) {
+    const marker = h.cid === manifest.current ? "*" : " ";
+    const c = h.changes || {};
+    const from = h.action === "rollback" ? ` (from ${h.from})` : "";
+    console.log(`${marker} ${h.publishedAt} ${h.action.padEnd(8)} ${h.cid} files=${Object.keys(h.files).length} +${c.added} ~${c.changed} -${c.removed}${from}`);
+  }
+}
+
+async function main() {
+  const opts = parseArgs();
+  const manifest = loadManifest(opts.manifestPath);
+  const { fileCid } = await import("./lib/unixfs.mjs");
+  opts.createBackend = (await import("./lib/storage.mjs")).createBackend;
+
+  if (opts.command === "publish") {
+    await publish(opts, manifest, fileCid);
+  } else if (opts.command === "rollback") {
+    await rollback(opts, manifest);
+  } else if (opts.command === "history") {
+    history(manifest);
+  } else {
+    console.error("Usage: node scripts/lighthouse-ipns.js [publish] [--dry-run] [--force] [--dir metadata] [--manifest publish-manifest.json] [--backend lighthouse|kubo|fs]");
+    console.error("       node scripts/lighthouse-ipns.js rollback [--to <cid>] [--dry-run] [--force]");
+    console.error("       node scripts/lighthouse-ipns.js history");
+    process.exit(1);
+  }
 }
 
 main().catch((err) => {
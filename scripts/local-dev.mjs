@@ -1,21 +1,89 @@
 import fs from "node:fs";
 import path from "node:path";
+import zlib from "node:zlib";
 import { spawn, spawnSync } from "node:child_process";
+import { ethers } from "ethers";
+import { MANIFEST_CONTRACTS, artifactPath, compiledHashes, readArtifact, runtimeCodeHash } from "./lib/artifacts.mjs";
+import { KIND_BUILD, KIND_COLLECTOR, connect, mint, mintLicenseForBuild, registerBuild } from "./lib/contracts.mjs";
+import { contractsFromBroadcast, deploymentPath, writeDeployment } from "./lib/deployments.mjs";
+import { DENSITIES, GAS_MINT, existingTokens, mintBrickLattice } from "./lib/lattice.mjs";
 
-const cmd = (process.argv[2] || "up").toLowerCase();
-const RPC_URL = process.env.LOCAL_RPC_URL || "http://127.0.0.1:8545";
-const CHAIN_ID = 31337;
-const ANVIL_HOST = "127.0.0.1";
-const ANVIL_PORT = "8545";
-const ANVIL_STATE_PATH = path.resolve(process.cwd(), ".anvil/state.json");
-const ANVIL_PID_PATH = path.resolve(process.cwd(), ".anvil/anvil.pid");
-const ANVIL_LOG_PATH = path.resolve(process.cwd(), ".anvil/anvil.log");
-const MANIFEST_PATH = path.resolve(process.cwd(), "deployments/anvil.contracts.json");
-const BROADCAST_PATH = path.resolve(process.cwd(), "broadcast/Deploy.s.sol/31337/run-latest.json");
-const ANVIL_PK = process.env.ANVIL_PRIVATE_KEY
-  || "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
-const ANVIL_DEPLOYER = process.env.ANVIL_DEPLOYER
-  || "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const MANIFEST_VERSION = 3;
+const DEFAULT_MNEMONIC = "test test test test test test test test test test test junk";
+const STACKS_PATH = path.resolve(process.cwd(), "local-stacks.json");
+const STACK_FLAGS = ["stack", "port", "chain-id", "block-time", "accounts", "state-dir"];
+
+function parseCli() {
+  const args = process.argv.slice(2);
+  const out = { positional: [], flags: {} };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (!a.startsWith("--")) {
+      out.positional.push(a);
+      continue;
+    }
+    const flag = a.slice(2);
+    if (!STACK_FLAGS.includes(flag)) throw new Error(`Unknown option ${a}. Options: ${STACK_FLAGS.map((f) => `--${f}`).join(" ")}`);
+    out.flags[flag] = args[++i];
+  }
+  return out;
+}
+
+// A stack is one Anvil plus its deployment: port, chain id, state directory,
+// manifest and snapshots are all per stack, so several can run side by side.
+// Stacks are defined in local-stacks.json; env vars and flags override the
+// selected one.
+function resolveStack(flags) {
+  const name = flags.stack || process.env.LOCAL_STACK || "default";
+  const stacks = fs.existsSync(STACKS_PATH) ? JSON.parse(fs.readFileSync(STACKS_PATH, "utf8")) : {};
+  if (name !== "default" && !stacks[name]) {
+    throw new Error(`Unknown stack "${name}". Define it in ${STACKS_PATH}`);
+  }
+  const base = stacks[name] || {};
+  const pick = (flag, env, key, fallback) => flags[flag] ?? (process.env[env] || undefined) ?? base[key] ?? fallback;
+  const host = base.host || "127.0.0.1";
+  const port = Number(pick("port", "ANVIL_PORT", "port", 8545));
+  const network = name === "default" ? "anvil" : `anvil-${name}`;
+  return {
+    name,
+    network,
+    host,
+    port,
+    rpcUrl: `http://${host}:${port}`,
+    chainId: Number(pick("chain-id", "ANVIL_CHAIN_ID", "chainId", 31337)),
+    blockTime: Number(pick("block-time", "ANVIL_BLOCK_TIME", "blockTime", 0)),
+    accounts: Number(pick("accounts", "ANVIL_ACCOUNTS", "accounts", 10)),
+    mnemonic: process.env.ANVIL_MNEMONIC || base.mnemonic || DEFAULT_MNEMONIC,
+    stateDir: path.resolve(process.cwd(), pick("state-dir", "ANVIL_STATE_DIR", "stateDir", name === "default" ? ".anvil" : `.anvil/${name}`)),
+    manifestPath: base.manifest ? path.resolve(process.cwd(), base.manifest) : deploymentPath(network),
+  };
+}
+
+let cli;
+let STACK;
+try {
+  cli = parseCli();
+  STACK = resolveStack(cli.flags);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const cmd = (cli.positional[0] || "up").toLowerCase();
+const cmdArg = cli.positional[1];
+const RPC_URL = STACK.rpcUrl;
+const CHAIN_ID = STACK.chainId;
+const ANVIL_STATE_PATH = path.join(STACK.stateDir, "state.json");
+const ANVIL_PID_PATH = path.join(STACK.stateDir, "anvil.pid");
+const ANVIL_LOG_PATH = path.join(STACK.stateDir, "anvil.log");
+const MANIFEST_PATH = STACK.manifestPath;
+// Named snapshots live next to the manifest: <name>.json (metadata, manifest,
+// evm_snapshot id) plus <name>.state.json (anvil state dump).
+const SNAPSHOT_DIR = MANIFEST_PATH.replace(/\.contracts\.json$/, ".snapshots");
+const BROADCAST_PATH = path.resolve(process.cwd(), `broadcast/Deploy.s.sol/${CHAIN_ID}/run-latest.json`);
+// Account 0 of the stack's mnemonic unless ANVIL_PRIVATE_KEY is set.
+const DEPLOYER = new ethers.Wallet(process.env.ANVIL_PRIVATE_KEY || ethers.HDNodeWallet.fromPhrase(STACK.mnemonic).privateKey);
+const ANVIL_PK = DEPLOYER.privateKey;
+const ANVIL_DEPLOYER = DEPLOYER.address;
 
 function ensureDirs() {
   fs.mkdirSync(path.dirname(ANVIL_STATE_PATH), { recursive: true });
@@ -43,52 +111,98 @@ async function isNodeUp() {
   }
 }
 
-async function waitForNode(timeoutMs = 15000) {
+async function waitForNode(timeoutMs = 15000, pid = null) {
   const start = Date.now();
   while (Date.now() - start < timeoutMs) {
     if (await isNodeUp()) return;
+    if (pid !== null && !isAlive(pid)) {
+      throw new Error(`Anvil exited during startup; see ${ANVIL_LOG_PATH}`);
+    }
     await new Promise((r) => setTimeout(r, 500));
   }
   throw new Error("Anvil did not become ready in time");
 }
 
-function startAnvil() {
+async function startAnvil() {
   ensureDirs();
-  const shell = [
-    "nohup anvil",
-    `--host ${ANVIL_HOST}`,
-    `--port ${ANVIL_PORT}`,
-    `--chain-id ${CHAIN_ID}`,
-    `--state ${ANVIL_STATE_PATH}`,
-    "--state-interval 5",
-    `>${ANVIL_LOG_PATH} 2>&1 &`,
-    "echo $!",
-  ].join(" ");
-  const out = run("/bin/zsh", ["-lc", shell], { cwd: process.cwd() }).trim();
-  const pid = Number.parseInt(out.split(/\s+/).at(-1) || "", 10);
-  if (!Number.isFinite(pid)) {
-    throw new Error(`Failed to parse Anvil PID from output: ${out}`);
-  }
-  fs.writeFileSync(ANVIL_PID_PATH, `${pid}\n`);
+  const running = readAnvilPid();
+  if (running !== null && isAlive(running)) {
+    throw new Error(`Anvil pid=${running} of stack "${STACK.name}" is running but not serving chain ${CHAIN_ID} at ${RPC_URL}; check ${ANVIL_LOG_PATH} or run stop`);
+  }
+  const args = [
+    "--host", STACK.host,
+    "--port", String(STACK.port),
+    "--chain-id", String(CHAIN_ID),
+    "--accounts", String(STACK.accounts),
+    "--mnemonic", STACK.mnemonic,
+    "--state", ANVIL_STATE_PATH,
+    "--state-interval", "5",
+  ];
+  if (STACK.blockTime > 0) args.push("--block-time", String(STACK.blockTime));
+  const log = fs.openSync(ANVIL_LOG_PATH, "w");
+  const child = spawn("anvil", args, { cwd: process.cwd(), detached: true, stdio: ["ignore", log, log] });
+  fs.closeSync(log);
+  await new Promise((resolve, reject) => {
+    child.once("spawn", resolve);
+    child.once("error", (err) => reject(new Error(`Could not start anvil (is Foundry installed?): ${err.message}`)));
+  });
+  child.unref();
+  fs.writeFileSync(ANVIL_PID_PATH, `${child.pid}\n`);
+  try {
+    await waitForNode(15000, child.pid);
+  } catch (err) {
+    if (isAlive(child.pid)) process.kill(child.pid, "SIGTERM");
+    fs.rmSync(ANVIL_PID_PATH, { force: true });
+    throw err;
+  }
+}
+
+function readAnvilPid() {
+  if (!fs.existsSync(ANVIL_PID_PATH)) return null;
+  const pid = Number.parseInt(fs.readFileSync(ANVIL_PID_PATH, "utf8").trim(), 10);
+  return Number.isFinite(pid) ? pid : null;
 }
 
 function stopAnvil() {
   if (!fs.existsSync(ANVIL_PID_PATH)) {
     console.log("No Anvil PID file found.");
-    return;
+    return null;
   }
-  const pid = Number.parseInt(fs.readFileSync(ANVIL_PID_PATH, "utf8").trim(), 10);
-  if (!Number.isFinite(pid)) {
+  const pid = readAnvilPid();
+  if (pid === null) {
     fs.unlinkSync(ANVIL_PID_PATH);
     console.log("Invalid PID file removed.");
-    return;
+    return null;
   }
   try {
     process.kill(pid, "SIGTERM");
     fs.unlinkSync(ANVIL_PID_PATH);
     console.log(`Stopped Anvil pid=${pid}`);
+    return pid;
   } catch (err) {
     console.error(`Failed to stop pid=${pid}: ${err.message}`);
+    return null;
+  }
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Anvil writes --state on shutdown, so wait for it to exit before touching
+// the state file.
+async function stopAnvilAndWait(timeoutMs = 15000) {
+  const pid = stopAnvil();
+  if (pid === null) return;
+  const start = Date.now();
+  while (isAlive(pid)) {
+    if (Date.now() - start > timeoutMs) throw new Error(`Anvil pid=${pid} did not exit in time`);
+    await new Promise((r) => setTimeout(r, 200));
   }
 }
 
@@ -101,21 +215,48 @@ function readManifest() {
   }
 }
 
-async function codeExists(address) {
-  if (!address) return false;
-  const code = await rpc("eth_getCode", [address, "latest"]);
-  return typeof code === "string" && code !== "0x";
+// Per contract: deployed runtime code against out/ (immutables and metadata
+// masked), plus whether the ABI changed since the manifest was written.
+async function stackDrift(manifest) {
+  const drift = [];
+  for (const [key, name] of Object.entries(MANIFEST_CONTRACTS)) {
+    const artifact = ensureArtifact(name);
+    const compiled = compiledHashes(artifact);
+    const recorded = manifest.contracts?.[key] || manifest.code?.[key] || {};
+    const address = manifest[key] || null;
+    const code = address ? await rpc("eth_getCode", [address, "latest"]) : "0x";
+    const deployedCodeHash = code && code !== "0x" ? runtimeCodeHash(code, artifact) : null;
+    let status = "ok";
+    if (!deployedCodeHash) status = "missing";
+    else if (deployedCodeHash !== compiled.codeHash) status = "stale";
+    drift.push({
+      contract: key,
+      address,
+      status,
+      deployedCodeHash,
+      compiledCodeHash: compiled.codeHash,
+      recordedCodeHash: recorded.codeHash || null,
+      abi: !recorded.abiHash ? "unrecorded" : recorded.abiHash === compiled.abiHash ? "same" : "changed",
+    });
+  }
+  return drift;
 }
 
-async function isManifestLive(manifest) {
-  if (!manifest) return false;
-  return (
-    (await codeExists(manifest.blox))
-    && (await codeExists(manifest.buildNFT))
-    && (await codeExists(manifest.distributor))
-    && (await codeExists(manifest.licenseNFT))
-    && (await codeExists(manifest.licenseRegistry))
-  );
+// What `up` redeploys for a given drift. BuildNFT and Distributor hold BLOX as
+// an immutable. BuildNFT, LicenseRegistry and LicenseNFT take each other's
+// addresses as constructor arguments with no setters. Only the Distributor
+// can be swapped in place, through BuildNFT.setDistributor.
+function redeployPlan(drift) {
+  const bad = drift.filter((d) => d.status !== "ok");
+  const list = bad.map((d) => `${d.contract} ${d.status}`).join(", ");
+  if (!bad.length) return { scope: "none", reason: "deployed code matches out/" };
+  if (bad.some((d) => d.contract === "blox")) {
+    return { scope: "full", reason: `${list}; BuildNFT and Distributor hold the BLOX address as an immutable, so the whole stack is redeployed` };
+  }
+  if (bad.some((d) => d.contract !== "distributor")) {
+    return { scope: "protocol", reason: `${list}; BuildNFT, LicenseRegistry and LicenseNFT are wired through constructor arguments, so Deploy.s.sol redeploys all protocol contracts (BLOX is kept)` };
+  }
+  return { scope: "distributor", reason: `${list}; only the Distributor is redeployed and re-pointed with BuildNFT.setDistributor` };
 }
 
 function run(cmdName, args, opts = {}) {
@@ -132,17 +273,48 @@ function run(cmdName, args, opts = {}) {
   return out.stdout;
 }
 
+function ensureArtifact(name) {
+  if (!fs.existsSync(artifactPath(name))) run("forge", ["build"], { cwd: process.cwd() });
+  return readArtifact(name);
+}
+
+async function withDeployer(fn) {
+  const provider = new ethers.JsonRpcProvider(RPC_URL, CHAIN_ID, { staticNetwork: true });
+  try {
+    return await fn(DEPLOYER.connect(provider));
+  } finally {
+    provider.destroy();
+  }
+}
+
+async function deployArtifact(signer, name, args) {
+  const artifact = ensureArtifact(name);
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode.object, signer);
+  const contract = await factory.deploy(...args);
+  const receipt = await contract.deploymentTransaction().wait();
+  return {
+    name,
+    address: await contract.getAddress(),
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    constructorArgs: args.map(String),
+  };
+}
+
 function deployBlox() {
-  const shell = [
-    "BYTECODE=$(forge inspect src/BLOX.sol:BLOX bytecode)",
-    `ARGS=$(cast abi-encode "constructor(address)" ${ANVIL_DEPLOYER})`,
-    'DATA="${BYTECODE}${ARGS#0x}"',
-    `cast send --rpc-url ${RPC_URL} --private-key ${ANVIL_PK} --create "$DATA"`,
-  ].join("; ");
-  const out = run("/bin/zsh", ["-lc", shell], { cwd: process.cwd() });
-  const m = out.match(/contractAddress\s+([0-9a-fA-Fx]+)/);
-  if (!m) throw new Error(`Could not parse BLOX contract address.\n${out}`);
-  return m[1];
+  return withDeployer((signer) => deployArtifact(signer, "BLOX", [ANVIL_DEPLOYER]));
+}
+
+// Same wiring Deploy.s.sol does for the Distributor.
+function redeployDistributor(manifest) {
+  return withDeployer(async (signer) => {
+    const deployed = await deployArtifact(signer, "Distributor", [manifest.blox, ANVIL_DEPLOYER]);
+    const client = connect({ ...manifest, distributor: deployed.address }, signer);
+    await (await client.distributor.setBuildNFT(manifest.buildNFT)).wait();
+    await (await client.distributor.setProtocolTreasury(ANVIL_DEPLOYER)).wait();
+    await (await client.buildNFT.setDistributor(deployed.address)).wait();
+    return deployed;
+  });
 }
 
 function deployProtocolStack(bloxAddress) {
@@ -169,70 +341,360 @@ function deployProtocolStack(bloxAddress) {
     },
   );
 
-  const runJson = JSON.parse(fs.readFileSync(BROADCAST_PATH, "utf8"));
-  const byName = Object.fromEntries(
-    (runJson.transactions || [])
-      .filter((t) => t.contractName && t.contractAddress)
-      .map((t) => [t.contractName, t.contractAddress]),
-  );
-
-  if (!byName.BuildNFT || !byName.LicenseRegistry || !byName.LicenseNFT || !byName.Distributor) {
+  const { blox, ...deployed } = contractsFromBroadcast(JSON.parse(fs.readFileSync(BROADCAST_PATH, "utf8")));
+  if (!deployed.buildNFT || !deployed.licenseRegistry || !deployed.licenseNFT || !deployed.distributor) {
     throw new Error("Failed to parse deployed protocol contracts from broadcast output");
   }
+  return deployed;
+}
 
-  return {
-    distributor: byName.Distributor,
-    licenseNFT: byName.LicenseNFT,
-    licenseRegistry: byName.LicenseRegistry,
-    buildNFT: byName.BuildNFT,
+// Deploy record plus the hashes of what is compiled now. Manifests older than
+// version 3 only have addresses (and, in version 2, the deploy block).
+function contractRecord(key, deployed, prior) {
+  const name = MANIFEST_CONTRACTS[key];
+  const record = deployed ?? prior?.contracts?.[key] ?? {
+    name,
+    address: prior?.[key],
+    txHash: null,
+    blockNumber: prior?.code?.[key]?.deployBlock ?? null,
+    constructorArgs: null,
   };
+  return { ...record, ...compiledHashes(ensureArtifact(name)) };
 }
 
-function writeManifest({ blox, distributor, licenseNFT, licenseRegistry, buildNFT }) {
-  const manifest = {
-    rpcUrl: RPC_URL,
-    chainId: CHAIN_ID,
-    blox,
-    distributor,
-    licenseNFT,
-    licenseRegistry,
-    buildNFT,
-    updatedAt: new Date().toISOString(),
-  };
-  fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
-  return manifest;
+function writeManifest({ contracts, seed }, updatedAt) {
+  return writeDeployment(
+    MANIFEST_PATH,
+    { version: MANIFEST_VERSION, network: STACK.network, chainId: CHAIN_ID, rpcUrl: RPC_URL, contracts, ...(seed ? { seed } : {}) },
+    updatedAt,
+  );
 }
 
 async function bootstrap() {
   const prior = readManifest();
-  if (await isManifestLive(prior)) {
+  const plan = prior
+    ? redeployPlan(await stackDrift(prior))
+    : { scope: "full", reason: `no manifest at ${MANIFEST_PATH}` };
+
+  if (plan.scope === "none") {
+    // Older manifests get their hashes recorded the first time they are current.
+    const manifest = prior.version >= MANIFEST_VERSION
+      ? prior
+      : writeManifest({
+        contracts: Object.fromEntries(Object.keys(MANIFEST_CONTRACTS).map((k) => [k, contractRecord(k, null, prior)])),
+        seed: prior.seed,
+      }, prior.updatedAt);
     console.log("Reusing existing local deployment:");
-    console.log(JSON.stringify(prior, null, 2));
-    return prior;
+    console.log(JSON.stringify(manifest, null, 2));
+    return manifest;
+  }
+
+  console.log(`Redeploying (${plan.scope}): ${plan.reason}`);
+  const deployed = {};
+  if (plan.scope === "full") deployed.blox = await deployBlox();
+  if (plan.scope === "full" || plan.scope === "protocol") {
+    Object.assign(deployed, deployProtocolStack(deployed.blox?.address ?? prior.blox));
   }
+  if (plan.scope === "distributor") deployed.distributor = await redeployDistributor(prior);
 
-  console.log("Deploying local BLOX + protocol stack...");
-  const blox = deployBlox();
-  const stack = deployProtocolStack(blox);
-  const manifest = writeManifest({ blox, ...stack });
+  const contracts = Object.fromEntries(Object.keys(MANIFEST_CONTRACTS).map((k) => [k, contractRecord(k, deployed[k], prior)]));
+  // A Distributor swap keeps tokens and licenses, so the seed record stays valid.
+  const manifest = writeManifest({ contracts, seed: plan.scope === "distributor" ? prior.seed : undefined });
   console.log("Deployment complete:");
   console.log(JSON.stringify(manifest, null, 2));
   return manifest;
 }
 
+// Seed profiles. Accounts are Anvil's unlocked dev accounts by index: 0 is the
+// deployer (it holds the BLOX supply and funds the rest), 1 mints the bricks.
+// Builds are minted in order and refer to earlier builds by label;
+// `licenses` maps account -> quantity bought right after registration.
+const SEED_BLOX_PER_ACCOUNT = ethers.parseEther("10000000");
+const SEED_PROFILES = {
+  minimal: {
+    accounts: 2,
+    brickDensities: [1],
+    builds: [{ label: "tower", creator: 1, density: 1, mass: 120, register: true, licenses: { 2: 1 } }],
+  },
+  "full-bricks": {
+    accounts: 1,
+    brickDensities: DENSITIES,
+    builds: [],
+  },
+  "demo-marketplace": {
+    accounts: 5,
+    brickDensities: DENSITIES,
+    builds: [
+      { label: "tower", creator: 1, density: 1, mass: 120, register: true, licenses: { 2: 2, 3: 2, 4: 1 } },
+      { label: "pet", creator: 2, density: 8, mass: 64, register: true, licenses: { 1: 3, 5: 1 } },
+      { label: "castle", creator: 3, density: 1, mass: 200, components: { tower: 1 }, register: true, licenses: { 4: 2, 5: 2 } },
+      { label: "tower-collector", creator: 4, kind: KIND_COLLECTOR, editionOf: "tower" },
+      { label: "kennel", creator: 5, density: 8, mass: 90, components: { pet: 1 } },
+    ],
+  },
+};
+
+async function fundAccount(client, deployer, signer) {
+  const addr = await signer.getAddress();
+  const balance = await client.blox.balanceOf(addr);
+  if (balance < SEED_BLOX_PER_ACCOUNT) {
+    await (await client.blox.connect(deployer).transfer(addr, SEED_BLOX_PER_ACCOUNT - balance)).wait();
+  }
+  if ((await client.blox.allowance(addr, client.buildNFT.target)) < SEED_BLOX_PER_ACCOUNT) {
+    await (await client.blox.connect(signer).approve(client.buildNFT.target, ethers.MaxUint256)).wait();
+  }
+  if (!(await client.licenseNFT.isApprovedForAll(addr, client.buildNFT.target))) {
+    await (await client.licenseNFT.connect(signer).setApprovalForAll(client.buildNFT.target, true)).wait();
+  }
+  return addr;
+}
+
+// Idempotent: bricks and builds already on chain (by spec key / geometry) are
+// reused, and license purchases are tracked in the manifest's `seed` record,
+// so re-running a profile, or running a bigger one later, only adds what is
+// missing.
+async function seed(manifest, profileName) {
+  const profile = SEED_PROFILES[profileName];
+  if (!profile) {
+    throw new Error(`Unknown seed profile: ${profileName}. Use ${Object.keys(SEED_PROFILES).join("|")}`);
+  }
+  if (profile.accounts >= STACK.accounts) {
+    throw new Error(`Seed profile "${profileName}" needs ${profile.accounts + 1} accounts; stack "${STACK.name}" has ${STACK.accounts}`);
+  }
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  try {
+    // BLOX was minted to DEPLOYER, which is not account 0 when ANVIL_PRIVATE_KEY is set.
+    const deployer = DEPLOYER.connect(provider);
+    const client = connect(manifest, deployer);
+    const record = {
+      profiles: [],
+      accounts: {},
+      bricks: {},
+      builds: {},
+      purchases: {},
+      ...manifest.seed,
+    };
+    const save = () => {
+      record.seededAt = new Date().toISOString();
+      Object.assign(manifest, writeManifest({ ...manifest, seed: record }));
+    };
+
+    console.log(`Seeding profile "${profileName}"...`);
+    const signers = [deployer];
+    for (let i = 1; i <= profile.accounts; i++) {
+      const signer = await provider.getSigner(i);
+      record.accounts[i] = await fundAccount(client, deployer, signer);
+      signers[i] = signer;
+    }
+
+    const existing = await existingTokens(RPC_URL, client);
+    const fee = await client.buildNFT.FEE_PER_MINT();
+    for (const density of profile.brickDensities) {
+      let minted = 0;
+      const bySize = await mintBrickLattice(client, signers[1], density, {
+        existing: existing.bricks,
+        overrides: { value: fee },
+        onMint: () => {
+          minted += 1;
+        },
+      });
+      record.bricks[density] = bySize.size;
+      console.log(`  bricks density=${density}: ${minted} minted, ${bySize.size - minted} already present`);
+    }
+    save();
+
+    if (profile.builds.length && !(await client.buildNFT.isKindUnlocked())) {
+      throw new Error("Kinds are still locked after seeding bricks; the profile must cover every brick size");
+    }
+
+    const idOf = (label) => {
+      const id = record.builds[label]?.tokenId;
+      if (!id) throw new Error(`Seed build "${label}" is referenced before it exists`);
+      return id;
+    };
+    for (const b of profile.builds) {
+      const kind = b.kind ?? KIND_BUILD;
+      const source = b.editionOf ? idOf(b.editionOf) : null;
+      const geometryHash = source ? await client.buildNFT.geometryOf(source) : ethers.id(`seed-${b.label}`);
+      const density = source ? Number(await client.buildNFT.densityOf(source)) : b.density;
+      let tokenId = existing.builds.get(`${kind}:${geometryHash}`);
+      if (tokenId === undefined) {
+        const components = source
+          ? [[source, 1]]
+          : Object.entries(b.components || {}).map(([label, count]) => [idOf(label), count]).sort((x, y) => x[0] - y[0]);
+        const mass = source ? Number(await client.buildNFT.massOf(source)) : b.mass;
+        ({ tokenId } = await mint(
+          client,
+          signers[b.creator],
+          {
+            geometryHash,
+            mass,
+            uri: `ipfs://seed/${b.label}`,
+            componentBuildIds: components.map((c) => c[0]),
+            componentCounts: components.map((c) => c[1]),
+            kind,
+            density,
+          },
+          { value: fee, gasLimit: GAS_MINT },
+        ));
+        tokenId = Number(tokenId);
+        existing.builds.set(`${kind}:${geometryHash}`, tokenId);
+        console.log(`  ${b.label}: minted #${tokenId}`);
+      } else {
+        console.log(`  ${b.label}: already #${tokenId}`);
+      }
+      record.builds[b.label] = { tokenId, kind };
+
+      if (b.register) {
+        const licenseId = Number(await registerBuild(client, signers[b.creator], tokenId));
+        record.builds[b.label].licenseId = licenseId;
+        for (const [account, qty] of Object.entries(b.licenses || {})) {
+          const key = `${b.label}:${account}`;
+          const missing = qty - (record.purchases[key] || 0);
+          if (missing <= 0) continue;
+          await mintLicenseForBuild(client, signers[account], tokenId, missing);
+          record.purchases[key] = qty;
+          console.log(`  ${b.label}: account ${account} bought ${missing} license(s) #${licenseId}`);
+          save();
+        }
+      }
+      save();
+    }
+
+    if (!record.profiles.includes(profileName)) record.profiles.push(profileName);
+    save();
+    console.log("Seed complete:");
+    console.log(JSON.stringify({ ...record, kindUnlocked: await client.buildNFT.isKindUnlocked() }, null, 2));
+  } finally {
+    provider.destroy();
+  }
+}
+
+function snapshotPaths(name) {
+  if (!name || !/^[A-Za-z0-9._-]+$/.test(name)) {
+    throw new Error(`Snapshot name must match [A-Za-z0-9._-]+ (got ${name ?? "nothing"})`);
+  }
+  return {
+    meta: path.join(SNAPSHOT_DIR, `${name}.json`),
+    state: path.join(SNAPSHOT_DIR, `${name}.state.json`),
+  };
+}
+
+function readSnapshot(name) {
+  const paths = snapshotPaths(name);
+  if (!fs.existsSync(paths.meta) || !fs.existsSync(paths.state)) {
+    throw new Error(`No snapshot named "${name}" in ${SNAPSHOT_DIR}`);
+  }
+  return { paths, meta: JSON.parse(fs.readFileSync(paths.meta, "utf8")) };
+}
+
+function writeSnapshotMeta(paths, meta) {
+  fs.writeFileSync(paths.meta, `${JSON.stringify(meta, null, 2)}\n`);
+}
+
+// anvil_dumpState returns gzipped JSON; --state expects the plain JSON.
+function decodeStateDump(hex) {
+  const buf = Buffer.from(hex.replace(/^0x/, ""), "hex");
+  return buf[0] === 0x1f && buf[1] === 0x8b ? zlib.gunzipSync(buf) : buf;
+}
+
+async function snapshot(name) {
+  const paths = snapshotPaths(name);
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  const state = decodeStateDump(await rpc("anvil_dumpState"));
+  const meta = {
+    name,
+    createdAt: new Date().toISOString(),
+    chainId: CHAIN_ID,
+    blockNumber: Number.parseInt(await rpc("eth_blockNumber"), 16),
+    // Only valid while this anvil process lives; revert falls back to the dump.
+    anvilPid: readAnvilPid(),
+    snapshotId: await rpc("evm_snapshot"),
+    manifest: readManifest(),
+  };
+  if (fs.existsSync(paths.meta)) console.log(`Replacing snapshot "${name}".`);
+  fs.writeFileSync(paths.state, state);
+  writeSnapshotMeta(paths, meta);
+  console.log(`Saved snapshot "${name}" at block ${meta.blockNumber} (${paths.meta})`);
+}
+
+// Fast path: evm_revert inside the anvil process that took the snapshot.
+// Otherwise (anvil restarted, or the id was consumed by reverting to an
+// earlier snapshot) restart anvil from the state dump. Either way the
+// snapshot is re-armed with a fresh evm_snapshot id, since reverting uses it up.
+async function revert(name) {
+  const { paths, meta } = readSnapshot(name);
+  const pid = readAnvilPid();
+  let reverted = false;
+  if (meta.anvilPid && meta.anvilPid === pid && (await isNodeUp())) {
+    reverted = await rpc("evm_revert", [meta.snapshotId]);
+  }
+  if (reverted) {
+    console.log(`Reverted to snapshot "${name}" with evm_revert.`);
+  } else {
+    console.log(`Restarting Anvil from snapshot "${name}" state dump...`);
+    await stopAnvilAndWait();
+    if (await isNodeUp()) {
+      throw new Error(`Another node is serving ${RPC_URL}; stop it before restoring a snapshot`);
+    }
+    ensureDirs();
+    fs.copyFileSync(paths.state, ANVIL_STATE_PATH);
+    await startAnvil();
+  }
+  if (meta.manifest) fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(meta.manifest, null, 2)}\n`);
+  writeSnapshotMeta(paths, { ...meta, anvilPid: readAnvilPid(), snapshotId: await rpc("evm_snapshot") });
+  console.log(`Chain is at block ${Number.parseInt(await rpc("eth_blockNumber"), 16)}.`);
+}
+
+function listSnapshots() {
+  const names = fs.existsSync(SNAPSHOT_DIR)
+    ? fs.readdirSync(SNAPSHOT_DIR).filter((f) => f.endsWith(".json") && !f.endsWith(".state.json")).map((f) => f.slice(0, -5))
+    : [];
+  if (!names.length) {
+    console.log(`No snapshots in ${SNAPSHOT_DIR}`);
+    return;
+  }
+  const pid = readAnvilPid();
+  for (const name of names.sort()) {
+    const { paths, meta } = readSnapshot(name);
+    const kb = Math.round(fs.statSync(paths.state).size / 1024);
+    const mode = meta.anvilPid && meta.anvilPid === pid ? "evm_revert" : "restart";
+    console.log(`${name.padEnd(24)} block ${String(meta.blockNumber).padEnd(8)} ${meta.createdAt}  ${kb} KiB  revert: ${mode}`);
+  }
+}
+
+// Fresh chain: drop the rolling state and redeploy. Named snapshots are kept.
+async function reset() {
+  await stopAnvilAndWait();
+  if (await isNodeUp()) {
+    throw new Error(`Another node is serving ${RPC_URL}; stop it before resetting`);
+  }
+  fs.rmSync(ANVIL_STATE_PATH, { force: true });
+  console.log(`Removed ${ANVIL_STATE_PATH}; starting a fresh Anvil.`);
+  await startAnvil();
+  await bootstrap();
+}
+
 async function printStatus() {
   const up = await isNodeUp();
   const manifest = readManifest();
-  const live = up ? await isManifestLive(manifest) : false;
+  const drift = up && manifest ? await stackDrift(manifest) : null;
   console.log(
     JSON.stringify(
       {
+        stack: STACK.name,
         rpcUrl: RPC_URL,
         anvilUp: up,
+        anvilPid: readAnvilPid(),
+        stateDir: STACK.stateDir,
         chainId: up ? CHAIN_ID : null,
         manifestPath: MANIFEST_PATH,
         manifestExists: Boolean(manifest),
-        deploymentLive: live,
+        manifestVersion: manifest ? manifest.version ?? 1 : null,
+        deployBlock: manifest?.deployBlock ?? null,
+        deploymentLive: drift ? drift.every((d) => d.status !== "missing") : false,
+        drift,
+        upWould: drift ? redeployPlan(drift) : null,
       },
       null,
       2,
@@ -251,10 +713,30 @@ async function main() {
     return;
   }
 
+  if (cmd === "list") {
+    listSnapshots();
+    return;
+  }
+
+  if (cmd === "reset") {
+    await reset();
+    return;
+  }
+
+  if (cmd === "revert") {
+    await revert(cmdArg);
+    return;
+  }
+
+  if (cmd === "snapshot") {
+    if (!(await isNodeUp())) throw new Error(`No local chain at ${RPC_URL}; run local:up first`);
+    await snapshot(cmdArg);
+    return;
+  }
+
   if (!(await isNodeUp())) {
     console.log(`Starting Anvil with persisted state: ${ANVIL_STATE_PATH}`);
-    startAnvil();
-    await waitForNode();
+    await startAnvil();
   } else {
     console.log("Anvil already running; using existing node.");
   }
@@ -264,7 +746,12 @@ async function main() {
     return;
   }
 
-  throw new Error(`Unknown command: ${cmd}. Use up|bootstrap|status|stop`);
+  if (cmd === "seed") {
+    await seed(await bootstrap(), cmdArg || "minimal");
+    return;
+  }
+
+  throw new Error(`Unknown command: ${cmd}. Use up|bootstrap|status|stop|seed [profile]|snapshot <name>|revert <name>|list|reset`);
 }
 
 main().catch((err) => {
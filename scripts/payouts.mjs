@@ -0,0 +1,190 @@
+import { ethers } from "ethers";
+import { connect, parseEvents } from "./lib/contracts.mjs";
+import { DEFAULT_NETWORK, deploymentSigner, deploymentSigners, openDeployment, printTable, toJson } from "./lib/deployments.mjs";
+import { syncIndex } from "./lib/indexer.mjs";
+import { owedBalances, payoutLedger, previewDistribution, readDistributorState } from "./lib/payouts.mjs";
+
+// Distributor payouts:
+//   owed                 every address with ETH owed, and how it accrued
+//   show <address>       one address by build, payer and claim
+//   claim [--to ADDR]    claim for the keys we hold (dry run without --send)
+//   distribute           preview distribute() under the current rules (--send to call it)
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    cmd: "owed",
+    cmdArg: "",
+    rpc: process.env.RPC_URL || "",
+    network: process.env.NETWORK || DEFAULT_NETWORK,
+    contracts: process.env.CONTRACTS_JSON || "",
+    indexPath: process.env.INDEX_PATH || "",
+    to: "",
+    min: 1n,
+    all: false,
+    send: false,
+    json: false,
+  };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--rpc") opts.rpc = args[++i];
+    else if (a === "--network") opts.network = args[++i];
+    else if (a === "--contracts") opts.contracts = args[++i];
+    else if (a === "--index") opts.indexPath = args[++i];
+    else if (a === "--to") opts.to = args[++i];
+    else if (a === "--min") opts.min = ethers.parseEther(args[++i]);
+    else if (a === "--all") opts.all = true;
+    else if (a === "--send") opts.send = true;
+    else if (a === "--json") opts.json = true;
+    else if (a.startsWith("--")) throw new Error(`Unknown option ${a}`);
+    else positional.push(a);
+  }
+  opts.cmd = (positional[0] || "owed").toLowerCase();
+  opts.cmdArg = positional[1] || "";
+  return opts;
+}
+
+const eth = (wei) => ethers.formatEther(wei);
+
+async function ledgerAt(ctx, extra = []) {
+  const { index } = await syncIndex({ provider: ctx.provider, manifest: ctx.manifest, indexPath: ctx.opts.indexPath || undefined });
+  const treasury = await ctx.client.distributor.protocolTreasury();
+  const ledger = payoutLedger(index, { treasury });
+  return { treasury, ...(await owedBalances(ctx.rpcUrl, ctx.client.distributor, ledger, extra)) };
+}
+
+async function owed(ctx) {
+  const { treasury, blockNumber, rows } = await ledgerAt(ctx);
+  const shown = ctx.opts.all ? rows : rows.filter((r) => r.owed > 0n);
+  if (ctx.opts.json) {
+    console.log(toJson({ blockNumber, treasury, rows: shown.map(({ byBuild, byPayer, claims, ...r }) => r) }));
+    return;
+  }
+  console.log(`Distributor ${ctx.manifest.distributor} at block ${blockNumber}; treasury ${treasury}`);
+  printTable(
+    ["address", "owed", "accrued", "claimed", "accruals", "builds", "last block", ""],
+    shown.map((r) => [
+      r.address,
+      eth(r.owed),
+      eth(r.accrued),
+      eth(r.claimed),
+      String(r.accruals),
+      String(r.byBuild.size),
+      String(r.lastBlock ?? "-"),
+      [r.address === treasury ? "treasury" : "", r.mismatch ? `events say ${eth(r.expected)}` : ""].filter(Boolean).join("; "),
+    ]),
+  );
+  const total = shown.reduce((sum, r) => sum + r.owed, 0n);
+  console.log(`${shown.length} addresses, ${eth(total)} ETH owed`);
+  if (rows.some((r) => r.mismatch)) console.log("Some balances differ from the indexed events: the index is behind or the treasury changed.");
+}
+
+async function show(ctx, address) {
+  if (!ethers.isAddress(address)) throw new Error("Usage: show <address>");
+  const { blockNumber, rows } = await ledgerAt(ctx, [address]);
+  const r = rows.find((row) => row.address.toLowerCase() === address.toLowerCase());
+  if (ctx.opts.json) {
+    console.log(toJson({ blockNumber, ...r }));
+    return;
+  }
+  console.log(`${r.address} at block ${blockNumber}: owed ${eth(r.owed)} ETH (accrued ${eth(r.accrued)}, claimed ${eth(r.claimed)})`);
+  if (r.mismatch) console.log(`  events say ${eth(r.expected)} ETH; the index is behind or the treasury changed`);
+  if (r.unowned > 0n) console.log(`  ${eth(r.unowned)} ETH from components with no live owner (treasury fallback)`);
+  const byAmount = (m) => [...m.entries()].sort((a, b) => (a[1].amount < b[1].amount ? 1 : -1));
+  console.log("By build:");
+  printTable(["build", "amount", "uses"], byAmount(r.byBuild).map(([id, v]) => [id === 0 ? "0 (no live component)" : String(id), eth(v.amount), String(v.count)]));
+  console.log("By payer:");
+  printTable(["payer", "amount", "uses"], byAmount(r.byPayer).map(([payer, v]) => [payer, eth(v.amount), String(v.count)]));
+  if (r.claims.length) {
+    console.log("Claims:");
+    printTable(["block", "to", "amount", "tx"], r.claims.map((c) => [String(c.blockNumber), c.to, eth(c.amount), c.txHash]));
+  }
+}
+
+async function claimAll(ctx) {
+  const { client, opts } = ctx;
+  const to = opts.to ? ethers.getAddress(opts.to) : "";
+  // Keys we control: PAYOUT_PRIVATE_KEYS (comma separated) and PRIVATE_KEY.
+  const signers = await deploymentSigners(ctx.provider, ctx.manifest, {
+    env: ["PAYOUT_PRIVATE_KEYS"],
+    missing: "Set PAYOUT_PRIVATE_KEYS (or PRIVATE_KEY) to the accounts to claim for",
+  });
+  let failed = 0;
+  let claimed = 0n;
+  for (const signer of signers) {
+    const distributor = client.distributor.connect(signer);
+    const amount = await client.distributor.ethOwed(signer.address);
+    if (amount < opts.min) continue;
+    const call = to ? distributor.claimTo : distributor.claim;
+    const args = to ? [to] : [];
+    const label = `${signer.address} ${eth(amount)} ETH${to ? ` -> ${to}` : ""}`;
+    try {
+      await call.staticCall(...args);
+    } catch (err) {
+      failed++;
+      console.error(`[payouts] ${label}: REVERTS: ${err.reason || err.shortMessage || err.message}`);
+      continue;
+    }
+    if (!opts.send) {
+      console.log(`[payouts] ${label}: would claim`);
+      claimed += amount;
+      continue;
+    }
+    const receipt = await (await call(...args)).wait();
+    const [event] = parseEvents(client.distributor, receipt, "Claimed");
+    claimed += event?.amount ?? 0n;
+    console.log(`[payouts] ${label}: claimed in ${receipt.hash}`);
+  }
+  console.log(`[payouts] ${opts.send ? "claimed" : "claimable"}: ${eth(claimed)} ETH across ${signers.length} keys${opts.send ? "" : " (dry run; pass --send)"}`);
+  if (failed) process.exitCode = 1;
+}
+
+async function distribute(ctx) {
+  const { client, opts } = ctx;
+  const state = await readDistributorState(ctx.rpcUrl, client);
+  const preview = previewDistribution(state);
+  if (opts.json) {
+    console.log(toJson({ ...state, ...preview }));
+  } else {
+    console.log(`Distributor ${ctx.manifest.distributor} at block ${state.blockNumber}: ${ethers.formatEther(state.balance)} BLOX, rules ${state.rulesFrozen ? "frozen" : "not frozen"}`);
+    if (preview.mode === "forward") console.log(`forwardTo is set: the whole balance goes to ${state.forwardTo}`);
+    printTable(
+      ["to", "bps", "BLOX"],
+      preview.transfers.map((t) => [t.to, String(t.bps), ethers.formatEther(t.amount)]),
+    );
+  }
+  if (preview.reverts) {
+    console.error(`[payouts] distribute() would revert: ${preview.reverts}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (!opts.send) return;
+  const signer = await deploymentSigner(ctx.provider, ctx.manifest, { missing: "--send needs PRIVATE_KEY (anyone can call distribute)" });
+  const distributor = client.distributor.connect(signer);
+  const receipt = await (await distributor.distribute()).wait();
+  const [forwarded] = parseEvents(client.distributor, receipt, "Forwarded");
+  const [distributed] = parseEvents(client.distributor, receipt, "Distributed");
+  const sent = forwarded?.amount ?? distributed?.sentTotal ?? 0n;
+  console.log(`[payouts] distributed ${ethers.formatEther(sent)} BLOX in ${receipt.hash}`);
+}
+
+async function main() {
+  const opts = parseArgs();
+  const { manifest, rpcUrl, provider } = openDeployment(opts);
+  try {
+    const ctx = { opts, manifest, rpcUrl, provider, client: connect(manifest, provider) };
+    if (opts.cmd === "owed") await owed(ctx);
+    else if (opts.cmd === "show") await show(ctx, opts.cmdArg);
+    else if (opts.cmd === "claim") await claimAll(ctx);
+    else if (opts.cmd === "distribute") await distribute(ctx);
+    else throw new Error(`Unknown command: ${opts.cmd}. Use owed|show <address>|claim|distribute`);
+  } finally {
+    provider.destroy();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.shortMessage || err.message || err);
+  process.exit(1);
+});
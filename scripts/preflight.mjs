@@ -0,0 +1,71 @@
+import fs from "node:fs";
+import { ethers } from "ethers";
+import { connect } from "./lib/contracts.mjs";
+import { DEFAULT_NETWORK, deploymentSigner, openDeployment } from "./lib/deployments.mjs";
+import { checkMint, mintParamsFrom } from "./lib/preflight.mjs";
+
+// Checks mint parameters against chain state before sending (see
+// scripts/lib/preflight.mjs), then simulates the mint from the account:
+//   node scripts/preflight.mjs mint.json --account ADDR [--value ETH] [--json]
+// mint.json is a brick plan's --out or a build description with components.
+// Exits 1 when the mint would revert.
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    file: "",
+    account: process.env.ACCOUNT || "",
+    value: undefined,
+    rpc: process.env.RPC_URL || "",
+    network: process.env.NETWORK || DEFAULT_NETWORK,
+    contracts: process.env.CONTRACTS_JSON || "",
+    json: false,
+  };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--account") opts.account = args[++i];
+    else if (a === "--value") opts.value = ethers.parseEther(args[++i]);
+    else if (a === "--rpc") opts.rpc = args[++i];
+    else if (a === "--network") opts.network = args[++i];
+    else if (a === "--contracts") opts.contracts = args[++i];
+    else if (a === "--json") opts.json = true;
+    else if (a.startsWith("--")) throw new Error(`Unknown option ${a}`);
+    else positional.push(a);
+  }
+  opts.file = positional[0] || "";
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs();
+  if (!opts.file) throw new Error("Usage: node scripts/preflight.mjs <mint.json> [--account ADDR] [--value ETH] [--network NAME] [--json]");
+  const params = mintParamsFrom(JSON.parse(fs.readFileSync(opts.file, "utf8")));
+  const { manifest, rpcUrl, provider } = openDeployment(opts);
+  try {
+    const client = connect(manifest, provider);
+    const account = opts.account
+      ? ethers.getAddress(opts.account)
+      : await (await deploymentSigner(provider, manifest, { missing: "Pass --account or set PRIVATE_KEY" })).getAddress();
+    const result = await checkMint(rpcUrl, client, account, params, { value: opts.value });
+    const { value, simulation, ok } = result;
+
+    if (opts.json) {
+      console.log(JSON.stringify({ network: manifest.network, account, file: opts.file, blockNumber: result.blockNumber, fee: String(value), bloxRequired: String(result.bloxRequired), ok, problems: result.problems, simulation }, null, 2));
+    } else {
+      const what = `kind ${params.kind}, mass ${params.mass}, ${params.componentBuildIds.length} component type(s)`;
+      console.log(`[preflight] ${opts.file} (${what}) for ${account} at block ${result.blockNumber}`);
+      for (const p of result.problems) console.error(`[preflight] FAIL ${p.check}${p.reason ? ` ("${p.reason}")` : ""}: ${p.message}`);
+      if (simulation && !simulation.ok) console.error(`[preflight] FAIL simulation${simulation.reason ? ` ("${simulation.reason}")` : ""}: ${simulation.message}`);
+      if (ok) console.log(`[preflight] ok: mint simulates with ${ethers.formatEther(value)} ETH and locks ${ethers.formatEther(result.bloxRequired)} BLOX`);
+    }
+    if (!ok) process.exitCode = 1;
+  } finally {
+    provider.destroy();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.shortMessage || err.message || err);
+  process.exit(1);
+});
@@ -3,17 +3,27 @@ import path from "node:path";
 import { spawn } from "node:child_process";
 import { fileURLToPath } from "node:url";
 import { ethers } from "ethers";
+import { brickCandidates, brickMintParams, planBrickComposition } from "./lib/brick-planner.mjs";
+import { brickSpecKey } from "./lib/components.mjs";
+import { connect, mint, parseBuildMinted as parseBuildMintedEvent, parseEvents } from "./lib/contracts.mjs";
+import { DENSITIES, GAS_MINT, UNIQUE_BRICK_SIZES, mintBrickLattice } from "./lib/lattice.mjs";
+import { preflightMint } from "./lib/preflight.mjs";
+import {
+  MINT_RESERVATION_TYPEHASH,
+  buildReservation,
+  reservationDigest,
+  reservationDomain,
+  reservationTuple,
+  signReservation
+} from "./lib/reservations.mjs";
+import { renderSvg } from "./lib/voxel-render.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const CONTRACTS_ROOT = path.resolve(__dirname, "..");
 const APP_ROOT = path.resolve(CONTRACTS_ROOT, "..", "ethblox-app");
 
-const DENSITIES = [1, 8, 27, 64, 125];
-const MAX_SIDE = 10;
 const KIND_BUILD_BASE = 1;
-const GAS_MINT = 5_000_000n;
-const UNIQUE_BRICK_SIZES = 55;
 
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -138,36 +148,14 @@ async function expectRevert(fn, reason) {
   throw new Error(`Expected revert '${reason}' but call succeeded`);
 }
 
-function parseBuildMinted(buildNFT, receipt) {
-  for (const log of receipt.logs) {
-    try {
-      const parsed = buildNFT.interface.parseLog(log);
-      if (parsed?.name === "BuildMinted") {
-        return Number(parsed.args.tokenId);
-      }
-    } catch {
-      // ignore non-BuildNFT logs
-    }
-  }
-  throw new Error("BuildMinted event not found");
+function parseBuildMinted(client, receipt) {
+  return Number(parseBuildMintedEvent(client, receipt).tokenId);
 }
 
-function parseRebalanceOk(registry, receipt) {
-  for (const log of receipt.logs) {
-    try {
-      const parsed = registry.interface.parseLog(log);
-      if (parsed?.name === "RebalanceExecuted") {
-        return parsed.args.ok;
-      }
-    } catch {
-      // ignore non-registry logs
-    }
-  }
-  throw new Error("RebalanceExecuted event not found");
-}
-
-function sizeKey(w, d) {
-  return `${w}x${d}`;
+function parseRebalanceOk(client, receipt) {
+  const [event] = parseEvents(client.licenseRegistry, receipt, "RebalanceExecuted");
+  if (!event) throw new Error("RebalanceExecuted event not found");
+  return event.ok;
 }
 
 function generateShape(rand, width, depth) {
@@ -188,21 +176,39 @@ function generateShape(rand, width, depth) {
   return voxels;
 }
 
-function renderShapeSvg(voxels, width, depth) {
-  const W = 420;
-  const H = 280;
-  const sx = W / Math.max(1, width + depth + 2);
-  const sy = H / 16;
-  const points = voxels
-    .map((v) => {
-      const px = Math.round((v.x + v.z + 1) * sx);
-      const py = Math.round(H - (v.y + 1) * sy - v.z * 2);
-      const color = ["#111", "#1f77b4", "#2ca02c", "#ff7f0e", "#d62728", "#9467bd"][v.t % 6];
-      return `<circle cx="${px}" cy="${py}" r="4" fill="${color}" />`;
-    })
-    .join("\n");
-
-  return `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">\n<rect width="100%" height="100%" fill="#f5f5f5" />\n${points}\n</svg>\n`;
+// Mints the 1x1 and 1x2 bricks at `density` from the planner's compositions,
+// then a 2x3 from its mixed-size one (1x1s and 1x2s), so BuildNFT's area and
+// ordering rules check the planner. Returns the specs as mintBrickLattice's
+// `existing`.
+async function mintPlannedBricks(client, signer, rpcUrl, density, { overrides, onMint }) {
+  const account = await signer.getAddress();
+  const existing = new Map();
+  for (const [width, depth] of [[1, 1], [1, 2], [2, 3]]) {
+    const target = { width, depth, density };
+    const { candidates } = await brickCandidates(rpcUrl, client, density, account);
+    const plans = planBrickComposition(target, candidates);
+    // Three 1x2s is the fewest-types plan for 2x3; the mixed one is the test.
+    const plan = width === 2 ? plans.find((p) => p.types > 1) : plans[0];
+    expect(plan, `planner found no composition for a ${width}x${depth} brick at density ${density}`);
+    const params = brickMintParams(target, plan);
+    const { tokenId } = await mint(client, signer, params, { gasLimit: GAS_MINT, ...overrides });
+    const spec = await client.buildNFT.brickSpecOf(tokenId);
+    expect(
+      Number(spec.width) === width && Number(spec.depth) === depth && Number(spec.density) === density,
+      `planned brick ${tokenId} should be ${width}x${depth} at density ${density}`
+    );
+    existing.set(brickSpecKey(width, depth, density), Number(tokenId));
+    onMint({
+      tokenId: Number(tokenId),
+      width,
+      depth,
+      density,
+      mass: width * depth,
+      components: plan.components.map((c) => ({ componentId: c.tokenId, count: c.count })),
+      geometryHash: params.geometryHash
+    });
+  }
+  return existing;
 }
 
 async function main() {
@@ -271,23 +277,20 @@ async function main() {
   } else {
     const env = process.env;
     expect(env.BLOX && env.DISTRIBUTOR && env.LICENSE_NFT && env.LICENSE_REGISTRY && env.BUILD_NFT, "missing address env vars for existing mode");
-
-    const bloxArtifact = readArtifact("BLOX.sol/BLOX.json");
-    blox = new ethers.Contract(env.BLOX, bloxArtifact.abi, deployer);
-
-    const distArtifact = readArtifact("Distributor.sol/Distributor.json");
-    distributor = new ethers.Contract(env.DISTRIBUTOR, distArtifact.abi, deployer);
-
-    const lNFTArtifact = readArtifact("LicenseNFT.sol/LicenseNFT.json");
-    licenseNFT = new ethers.Contract(env.LICENSE_NFT, lNFTArtifact.abi, deployer);
-
-    const lRegArtifact = readArtifact("LicenseRegistry.sol/LicenseRegistry.json");
-    licenseRegistry = new ethers.Contract(env.LICENSE_REGISTRY, lRegArtifact.abi, deployer);
-
-    const buildArtifact = readArtifact("BuildNFT.sol/BuildNFT.json");
-    buildNFT = new ethers.Contract(env.BUILD_NFT, buildArtifact.abi, deployer);
+    ({ blox, distributor, licenseNFT, licenseRegistry, buildNFT } = connect(
+      {
+        blox: env.BLOX,
+        distributor: env.DISTRIBUTOR,
+        licenseNFT: env.LICENSE_NFT,
+        licenseRegistry: env.LICENSE_REGISTRY,
+        buildNFT: env.BUILD_NFT
+      },
+      deployer
+    ));
   }
 
+  const client = { blox, distributor, licenseNFT, licenseRegistry, buildNFT };
+
   const users = [alice, bob, carol, dave, eve];
   console.log("[sim] Deploy/init complete. Funding users...");
   for (const user of users) {
@@ -324,64 +327,26 @@ async function main() {
   console.log("[sim] Verified kind lock before brick coverage.");
 
   let brickMintCount = 0;
+  const plannedDensity = DENSITIES[1];
   for (const density of DENSITIES) {
     console.log(`[sim] Minting bricks for density=${density} ...`);
-    const bySize = new Map();
-    bricksByDensity.set(density, bySize);
-
-    const g = toHash(`brick-genesis-${density}`);
-    const tx = await buildNFT.connect(alice).mint(
-      g,
-      1,
-      `ipfs://brick/${density}/1x1`,
-      [],
-      [],
-      0,
-      1,
-      1,
-      density,
-      { value: feePerMint, gasLimit: GAS_MINT }
-    );
-    const rc = await tx.wait();
-    const tokenId = parseBuildMinted(buildNFT, rc);
-    bySize.set(sizeKey(1, 1), tokenId);
-    sizeCoverage.add(sizeKey(1, 1));
-    minted.push({ tokenId, kind: 0, width: 1, depth: 1, density, mass: 1, components: [], geometryHash: g, minter: aliceAddr });
-    brickMintCount += 1;
-
-    for (let w = 1; w <= MAX_SIDE; w++) {
-      for (let d = 1; d <= MAX_SIDE; d++) {
-        if (w === 1 && d === 1) continue;
-        if (w > d) continue;
-        const componentId = bySize.get(sizeKey(1, 1));
-        const cnt = w * d;
-        const geom = toHash(`brick-${density}-${w}x${d}`);
-        const mintTx = await buildNFT.connect(alice).mint(
-          geom,
-          cnt,
-          `ipfs://brick/${density}/${w}x${d}`,
-          [componentId],
-          [cnt],
-          0,
-          w,
-          d,
-          density,
-          { value: feePerMint, gasLimit: GAS_MINT }
-        );
-        const mintRc = await mintTx.wait();
-        const brickId = parseBuildMinted(buildNFT, mintRc);
-
-        bySize.set(sizeKey(w, d), brickId);
-        sizeCoverage.add(sizeKey(w, d));
-        minted.push({ tokenId: brickId, kind: 0, width: w, depth: d, density, mass: cnt, components: [{ componentId, count: cnt }], geometryHash: geom, minter: aliceAddr });
-        brickMintCount += 1;
-        if (brickMintCount % 100 === 0) {
-          console.log(`[sim] Brick mints=${brickMintCount}`);
-        }
+    const overrides = { value: feePerMint };
+    const onMint = (brick) => {
+      const { tokenId, width, depth, mass, components, geometryHash } = brick;
+      minted.push({ tokenId, kind: 0, width, depth, density, mass, components, geometryHash, minter: aliceAddr });
+      brickMintCount += 1;
+      if (brickMintCount % 100 === 0) {
+        console.log(`[sim] Brick mints=${brickMintCount}`);
       }
-    }
+    };
+    const existing = density === plannedDensity ? await mintPlannedBricks(client, alice, opts.rpcUrl, density, { overrides, onMint }) : new Map();
+    const bySize = await mintBrickLattice(client, alice, density, { existing, overrides, onMint });
+    bricksByDensity.set(density, bySize);
+    for (const key of bySize.keys()) sizeCoverage.add(key);
   }
   console.log(`[sim] Brick minting complete. Total bricks=${brickMintCount}`);
+  invariantLog.push({ key: "brick_planner_mixed_composition_mints", pass: true });
+  console.log(`[sim] Brick planner composition accepted at density=${plannedDensity}.`);
 
   expect(
     sizeCoverage.size === UNIQUE_BRICK_SIZES,
@@ -408,7 +373,7 @@ async function main() {
     { value: feePerMint, gasLimit: GAS_MINT }
   );
   const buildAReceipt = await buildATx.wait();
-  const buildA = parseBuildMinted(buildNFT, buildAReceipt);
+  const buildA = parseBuildMinted(client, buildAReceipt);
   minted.push({ tokenId: buildA, kind: 1, density: density1, mass: 120, components: [], geometryHash: buildAHash, minter: bobAddr });
   console.log(`[sim] Minted buildA tokenId=${buildA}`);
 
@@ -435,7 +400,7 @@ async function main() {
     { value: feePerMint, gasLimit: GAS_MINT }
   );
   const selfRc = await selfTx.wait();
-  const selfBuildId = parseBuildMinted(buildNFT, selfRc);
+  const selfBuildId = parseBuildMinted(client, selfRc);
   const selfAfter = await distributor.ethOwed(bobAddr);
   expect(selfAfter > selfBefore, "self-pay should increase owner accrued ETH");
   minted.push({ tokenId: selfBuildId, kind: 3, density: density1, mass: 30, components: [{ componentId: buildA, count: 1 }], geometryHash: selfHash, minter: bobAddr });
@@ -456,7 +421,7 @@ async function main() {
     { value: feePerMint, gasLimit: GAS_MINT }
   );
   const buildBReceipt = await buildBTx.wait();
-  const buildB = parseBuildMinted(buildNFT, buildBReceipt);
+  const buildB = parseBuildMinted(client, buildBReceipt);
   minted.push({ tokenId: buildB, kind: 1, density: density1, mass: 80, components: [{ componentId: buildA, count: 2 }], geometryHash: buildBHash, minter: carolAddr });
   console.log(`[sim] Minted buildB tokenId=${buildB}`);
 
@@ -532,6 +497,51 @@ async function main() {
   invariantLog.push({ key: "burned_component_routes_to_treasury", pass: true });
   console.log("[sim] Burned component routing validated.");
 
+  const { chainId } = await provider.getNetwork();
+  const reservationClock = BigInt((await provider.getBlock("latest")).timestamp);
+  const domain = reservationDomain(chainId, buildNFT.target);
+  const reserved = buildReservation(
+    { geometryHash: toHash("reserved-build"), mass: 35, uri: "ipfs://build/reserved", components: [{ tokenId: buildB, count: 1 }], kind: 1, density: density1 },
+    { author: carolAddr, reservedFor: daveAddr, expiry: reservationClock + 3600n }
+  );
+  expect((await buildNFT.MINT_RESERVATION_TYPEHASH()) === MINT_RESERVATION_TYPEHASH, "JS MintReservation typehash differs from BuildNFT");
+  const reservedDigest = reservationDigest(domain, reserved.reservation);
+  expect(
+    (await buildNFT.reservationDigest(reservationTuple(reserved.reservation))) === reservedDigest,
+    "JS reservation digest differs from BuildNFT.reservationDigest"
+  );
+  const reservationSig = await signReservation(carol, domain, reserved.reservation);
+  const reservationArgs = [reservationTuple(reserved.reservation), reserved.uri, reserved.componentBuildIds, reserved.componentCounts, reservationSig];
+  await expectRevert(
+    async () => buildNFT.connect(eve).mintWithReservation(...reservationArgs, { value: feePerMint }),
+    "wrong minter"
+  );
+  const reservedRc = await (await buildNFT.connect(dave).mintWithReservation(...reservationArgs, { value: feePerMint, gasLimit: GAS_MINT })).wait();
+  const reservedId = parseBuildMinted(client, reservedRc);
+  expect((await buildNFT.creatorOf(reservedId)) === carolAddr, "reserved mint should credit the author");
+  expect(await buildNFT.reservationConsumed(reservedDigest), "reservation should be consumed");
+  await expectRevert(
+    async () => buildNFT.connect(dave).mintWithReservation(...reservationArgs, { value: feePerMint }),
+    "reservation used"
+  );
+  minted.push({ tokenId: reservedId, kind: 1, density: density1, mass: 35, components: [{ componentId: buildB, count: 1 }], geometryHash: reserved.reservation.geometryHash, minter: daveAddr });
+  invariantLog.push({ key: "reservation_digest_parity_and_single_use", pass: true });
+  console.log(`[sim] Mint reservation parity and single use validated tokenId=${reservedId}`);
+
+  const preflightParams = { geometryHash: toHash("preflight-build"), mass: 25, uri: "ipfs://build/preflight", componentBuildIds: [buildB], componentCounts: [1], kind: 1, density: density1 };
+  const evePreflight = await preflightMint(opts.rpcUrl, client, eveAddr, preflightParams);
+  expect(!evePreflight.problems.length, `preflight should pass for eve: ${evePreflight.problems.map((p) => p.message).join("; ")}`);
+  const davePreflight = await preflightMint(opts.rpcUrl, client, daveAddr, preflightParams);
+  expect(davePreflight.problems.some((p) => p.check === "license"), "preflight should flag dave's spent buildB licenses");
+  const unsortedPreflight = await preflightMint(opts.rpcUrl, client, eveAddr, { ...preflightParams, componentBuildIds: [buildB, buildA], componentCounts: [1, 1] });
+  expect(unsortedPreflight.problems.some((p) => p.reason === "components not sorted"), "preflight should flag unsorted components");
+  await expectRevert(
+    async () => buildNFT.connect(eve).mint(preflightParams.geometryHash, 25, preflightParams.uri, [buildB, buildA], [1, 1], 1, 0, 0, density1, { value: feePerMint }),
+    "components not sorted"
+  );
+  invariantLog.push({ key: "mint_preflight_matches_reverts", pass: true });
+  console.log("[sim] Mint preflight validated against BuildNFT reverts.");
+
   const lpBefore = await licenseRegistry.lpBudgetBalance();
   const qOne = await licenseRegistry.quote(buildB, 1);
   await (await licenseRegistry.connect(alice).mintLicenseForBuild(buildB, 1, { value: qOne })).wait();
@@ -563,7 +573,7 @@ async function main() {
   const rebAmt = lpAfter / 4n > 0n ? lpAfter / 4n : 1n;
   const rebReceipt =
     await (await licenseRegistry.executeRebalance(router.target, rebAmt, 50, deadline, data)).wait();
-  expect(parseRebalanceOk(licenseRegistry, rebReceipt) === true, "rebalance execution failed");
+  expect(parseRebalanceOk(client, rebReceipt) === true, "rebalance execution failed");
   invariantLog.push({ key: "rebalance_executes_under_guards", pass: true });
 
   const lastRebalanceAt = await licenseRegistry.lastRebalanceAt();
@@ -600,7 +610,7 @@ async function main() {
     const metadataPath = path.join(metadataDir, `${rec.tokenId}.json`);
     const imagePath = path.join(imagesDir, `${rec.tokenId}.svg`);
     writeJson(metadataPath, metadata);
-    fs.writeFileSync(imagePath, renderShapeSvg(shape, 14, 14));
+    fs.writeFileSync(imagePath, renderSvg(shape, { density: rec.density }));
   }
 
   const contractsOut = {
@@ -0,0 +1,227 @@
+import fs from "node:fs";
+import { ethers } from "ethers";
+import { OUT_DIR, readArtifact } from "./lib/artifacts.mjs";
+import { connect, parseEvents } from "./lib/contracts.mjs";
+import { DEFAULT_NETWORK, deploymentSigner, openDeployment, toJson } from "./lib/deployments.mjs";
+import {
+  ROUTER_ADAPTERS,
+  backoffMs,
+  defaultKeeperLogPath,
+  planRebalance,
+  readRebalanceState,
+  recordOutcome,
+  routerRevertReason,
+} from "./lib/keeper.mjs";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    cmd: "run",
+    cmdArg: "",
+    rpc: process.env.RPC_URL || "",
+    network: process.env.NETWORK || DEFAULT_NETWORK,
+    contracts: process.env.CONTRACTS_JSON || "",
+    router: process.env.REBALANCE_ROUTER || "",
+    adapter: process.env.REBALANCE_ADAPTER || "mock",
+    routerData: process.env.REBALANCE_ROUTER_DATA || "",
+    minAmount: BigInt(process.env.REBALANCE_MIN_AMOUNT || "0"),
+    maxAmount: process.env.REBALANCE_MAX_AMOUNT ? BigInt(process.env.REBALANCE_MAX_AMOUNT) : null,
+    slippageBps: BigInt(process.env.REBALANCE_SLIPPAGE_BPS || "50"),
+    deadlineSeconds: BigInt(process.env.REBALANCE_DEADLINE_SECONDS || "300"),
+    intervalMs: Number(process.env.KEEPER_INTERVAL_MS || "15000"),
+    backoffMs: Number(process.env.KEEPER_BACKOFF_MS || "30000"),
+    maxBackoffMs: Number(process.env.KEEPER_MAX_BACKOFF_MS || "900000"),
+    logPath: process.env.KEEPER_LOG || "",
+  };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--rpc") opts.rpc = args[++i];
+    else if (a === "--network") opts.network = args[++i];
+    else if (a === "--contracts") opts.contracts = args[++i];
+    else if (a === "--router") opts.router = args[++i];
+    else if (a === "--adapter") opts.adapter = args[++i];
+    else if (a === "--router-data") opts.routerData = args[++i];
+    else if (a === "--min-amount") opts.minAmount = BigInt(args[++i]);
+    else if (a === "--max-amount") opts.maxAmount = BigInt(args[++i]);
+    else if (a === "--slippage-bps") opts.slippageBps = BigInt(args[++i]);
+    else if (a === "--deadline") opts.deadlineSeconds = BigInt(args[++i]);
+    else if (a === "--interval") opts.intervalMs = Number(args[++i]);
+    else if (a === "--backoff") opts.backoffMs = Number(args[++i]);
+    else if (a === "--max-backoff") opts.maxBackoffMs = Number(args[++i]);
+    else if (a === "--log") opts.logPath = args[++i];
+    else if (a.startsWith("--")) throw new Error(`Unknown option ${a}`);
+    else positional.push(a);
+  }
+  opts.cmd = (positional[0] || "run").toLowerCase();
+  opts.cmdArg = positional[1] || "";
+  return opts;
+}
+
+/**
+ * One keeper pass: read state, plan, simulate, send. Returns
+ * `{ status: "executed" | "wait" | "blocked" | "failed", ... }`.
+ */
+async function tick(ctx) {
+  const { opts, registry, signer, rpcUrl, chainId, logPath } = ctx;
+  const state = await readRebalanceState(rpcUrl, registry, { keeper: signer.address, router: opts.router });
+  const plan = planRebalance(state, opts);
+  if (plan.action !== "execute") return { status: plan.action, ...plan, state };
+
+  const data = ROUTER_ADAPTERS[opts.adapter].buildCalldata({ ...plan, routerData: opts.routerData });
+  const args = [opts.router, plan.amount, plan.slippageBps, plan.deadline, data];
+  const base = { chainId, block: state.blockNumber, keeper: signer.address, router: opts.router, amount: plan.amount, slippageBps: plan.slippageBps, deadline: plan.deadline };
+  const fail = (stage, reason) => {
+    recordOutcome(logPath, { ...base, ok: false, stage, reason });
+    return { status: "failed", stage, reason, plan };
+  };
+
+  // executeRebalance does not revert when the router call fails: it restores
+  // the budget and emits ok=false. Simulating first avoids paying for that.
+  const keeperRegistry = registry.connect(signer);
+  try {
+    const [ok, result] = await keeperRegistry.executeRebalance.staticCall(...args);
+    if (!ok) return fail("simulate", `router call fails: ${routerRevertReason(result)}`);
+  } catch (err) {
+    return fail("simulate", err.reason || err.shortMessage || err.message);
+  }
+
+  let receipt;
+  try {
+    receipt = await (await keeperRegistry.executeRebalance(...args)).wait();
+  } catch (err) {
+    return fail("send", err.reason || err.shortMessage || err.message);
+  }
+  const [event] = parseEvents(registry, receipt, "RebalanceExecuted");
+  if (!event) return fail("receipt", `no RebalanceExecuted in ${receipt.hash}`);
+  recordOutcome(logPath, { ...base, block: receipt.blockNumber, txHash: receipt.hash, ok: event.ok, stage: "executed" });
+  if (!event.ok) return { status: "failed", stage: "router", reason: `router call failed on chain in ${receipt.hash}`, plan };
+  return { status: "executed", txHash: receipt.hash, block: receipt.blockNumber, plan };
+}
+
+function describe(out) {
+  if (out.status === "executed") return `rebalanced ${ethers.formatEther(out.plan.amount)} ETH (slippage ${out.plan.slippageBps} bps) in ${out.txHash}`;
+  if (out.status === "failed") return `${out.stage} failed: ${out.reason}`;
+  return `${out.status}: ${out.reason}`;
+}
+
+async function run(ctx) {
+  const { opts } = ctx;
+  let stopped = false;
+  let wake = () => {};
+  const stop = () => {
+    stopped = true;
+    wake();
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  let failures = 0;
+  let lastLine = "";
+  while (!stopped) {
+    let out;
+    try {
+      out = await tick(ctx);
+    } catch (err) {
+      out = { status: "failed", stage: "read", reason: err.shortMessage || err.message };
+    }
+    let delay = opts.intervalMs;
+    // Blocked needs the owner to act, so it backs off like a failure.
+    if (out.status === "failed" || out.status === "blocked") {
+      failures++;
+      delay = Math.max(opts.intervalMs, backoffMs(failures, opts.backoffMs, opts.maxBackoffMs));
+      console.error(`[keeper] ${describe(out)}; retrying in ${Math.round(delay / 1000)}s (failure ${failures})`);
+      lastLine = "";
+    } else {
+      failures = 0;
+      if (out.waitSeconds !== undefined) delay = Math.min(delay, out.waitSeconds * 1000 + 1000);
+      const line = describe(out);
+      if (line !== lastLine) console.log(`[keeper] ${line}`);
+      lastLine = out.status === "executed" ? "" : line;
+    }
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, delay);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+}
+
+function recentOutcomes(logPath, count = 5) {
+  if (!fs.existsSync(logPath)) return [];
+  return fs.readFileSync(logPath, "utf8").trim().split("\n").filter(Boolean).slice(-count).map((l) => JSON.parse(l));
+}
+
+// Deploys RebalanceRouterMock (compiled from test/LicenseRegistry.t.sol) and
+// whitelists it, so the keeper can be exercised end to end on anvil.
+async function setupMock(ctx) {
+  const { registry, signer, manifest } = ctx;
+  if (!manifest.network?.startsWith("anvil")) throw new Error("setup-mock is for local anvil deployments only");
+  const artifact = readArtifact("RebalanceRouterMock", OUT_DIR, "LicenseRegistry.t.sol");
+  const router = await new ethers.ContractFactory(artifact.abi, artifact.bytecode.object, signer).deploy();
+  await router.waitForDeployment();
+  const owned = registry.connect(signer);
+  await (await owned.setRouterWhitelist(router.target, true)).wait();
+  if (!(await registry.keepers(signer.address))) await (await owned.setKeeper(signer.address, true)).wait();
+  console.log(`[keeper] RebalanceRouterMock at ${router.target}, whitelisted; keeper ${signer.address}`);
+  console.log(`export REBALANCE_ROUTER=${router.target}`);
+}
+
+async function mockFail(ctx, value) {
+  if (!["on", "off"].includes(value)) throw new Error("Usage: mock-fail <on|off> --router <address>");
+  const artifact = readArtifact("RebalanceRouterMock", OUT_DIR, "LicenseRegistry.t.sol");
+  const router = new ethers.Contract(ctx.opts.router, artifact.abi, ctx.signer);
+  await (await router.setShouldFail(value === "on")).wait();
+  console.log(`[keeper] mock router ${ctx.opts.router} shouldFail=${value === "on"}`);
+}
+
+async function main() {
+  const opts = parseArgs();
+  if (!ROUTER_ADAPTERS[opts.adapter]) throw new Error(`Unknown adapter "${opts.adapter}". Use ${Object.keys(ROUTER_ADAPTERS).join("|")}`);
+  const { manifest, rpcUrl, provider } = openDeployment(opts);
+  try {
+    // On anvil the fallback is the deployer, which the registry makes a keeper.
+    const signer = await deploymentSigner(provider, manifest, { env: ["KEEPER_PRIVATE_KEY"], missing: "Set KEEPER_PRIVATE_KEY (a LicenseRegistry keeper)" });
+    const { licenseRegistry: registry } = connect(manifest, provider);
+    const chainId = Number((await provider.getNetwork()).chainId);
+    const ctx = { opts, manifest, registry, signer, rpcUrl, chainId, logPath: opts.logPath || defaultKeeperLogPath(manifest.licenseRegistry, chainId) };
+
+    if (opts.cmd === "setup-mock") {
+      await setupMock(ctx);
+      return;
+    }
+    if (!ethers.isAddress(opts.router)) throw new Error("Set --router (or REBALANCE_ROUTER) to a whitelisted router address");
+    opts.router = ethers.getAddress(opts.router);
+
+    if (opts.cmd === "mock-fail") {
+      await mockFail(ctx, opts.cmdArg);
+      return;
+    }
+    if (opts.cmd === "status") {
+      const state = await readRebalanceState(rpcUrl, registry, { keeper: signer.address, router: opts.router });
+      console.log(toJson({ keeper: signer.address, router: opts.router, adapter: opts.adapter, state, plan: planRebalance(state, opts), logPath: ctx.logPath, recent: recentOutcomes(ctx.logPath) }));
+      return;
+    }
+    if (opts.cmd === "once") {
+      const out = await tick(ctx);
+      console.log(`[keeper] ${describe(out)}`);
+      if (out.status === "failed" || out.status === "blocked") process.exitCode = 1;
+      return;
+    }
+    if (opts.cmd === "run") {
+      console.log(`[keeper] ${signer.address} rebalancing through ${opts.router} (${opts.adapter}); polling every ${opts.intervalMs / 1000}s`);
+      await run(ctx);
+      return;
+    }
+    throw new Error(`Unknown command: ${opts.cmd}. Use run|once|status|setup-mock|mock-fail <on|off>`);
+  } finally {
+    provider.destroy();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.shortMessage || err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,82 @@
+import fs from "node:fs";
+import path from "node:path";
+import { ethers } from "ethers";
+import { artifactPath, compiledHashes, readArtifact } from "./lib/artifacts.mjs";
+import { CONTRACTS_ROOT } from "./lib/contracts.mjs";
+import { NETWORKS, contractsFromBroadcast, deploymentPath, writeDeployment } from "./lib/deployments.mjs";
+
+// Turns the forge broadcast of script/Deploy.s.sol into
+// deployments/<network>.contracts.json. BLOX is deployed separately; its
+// address is BuildNFT's first constructor argument in the broadcast, which
+// covers Deploy.s.sol's default when BLOX_ADDRESS is unset. BLOX_ADDRESS (or
+// --blox) is only cross-checked against it. The BLOX record is kept if the
+// address is unchanged.
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    network: process.env.NETWORK || "",
+    broadcast: "",
+    blox: process.env.BLOX_ADDRESS || "",
+  };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--network") opts.network = args[++i];
+    else if (a === "--broadcast") opts.broadcast = args[++i];
+    else if (a === "--blox") opts.blox = args[++i];
+  }
+  return opts;
+}
+
+function withHashes(record) {
+  if (!fs.existsSync(artifactPath(record.name))) return record;
+  return { ...record, ...compiledHashes(readArtifact(record.name)) };
+}
+
+function main() {
+  const opts = parseArgs();
+  const net = NETWORKS[opts.network];
+  if (!net) throw new Error(`Usage: node scripts/record-deployment.mjs --network <${Object.keys(NETWORKS).join("|")}> [--broadcast run-latest.json] [--blox ADDRESS to cross-check]`);
+  const broadcast = opts.broadcast || path.join(CONTRACTS_ROOT, "broadcast", "Deploy.s.sol", String(net.chainId), "run-latest.json");
+  if (!fs.existsSync(broadcast)) throw new Error(`No broadcast at ${broadcast}; run forge script with --broadcast first`);
+
+  const runJson = JSON.parse(fs.readFileSync(broadcast, "utf8"));
+  if (runJson.chain !== undefined && Number(runJson.chain) !== net.chainId) {
+    throw new Error(`${broadcast} is for chain ${runJson.chain}, but ${opts.network} is chain ${net.chainId}`);
+  }
+  const deployed = contractsFromBroadcast(runJson);
+  const missing = ["distributor", "licenseNFT", "licenseRegistry", "buildNFT"].filter((k) => !deployed[k]);
+  if (missing.length) throw new Error(`${broadcast} has no deployment of: ${missing.join(", ")}`);
+  const bloxArg = deployed.buildNFT.constructorArgs?.[0];
+  if (!ethers.isAddress(bloxArg)) throw new Error(`${broadcast} does not record BuildNFT's BLOX constructor argument`);
+  const bloxAddress = ethers.getAddress(bloxArg);
+  if (opts.blox && opts.blox.toLowerCase() !== bloxAddress.toLowerCase()) {
+    throw new Error(`BLOX_ADDRESS (or --blox) is ${opts.blox}, but BuildNFT was deployed against BLOX ${bloxAddress}`);
+  }
+
+  const file = deploymentPath(opts.network);
+  const prior = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+  const priorBlox = prior?.contracts?.blox;
+  const blox = priorBlox && priorBlox.address.toLowerCase() === bloxAddress.toLowerCase()
+    ? priorBlox
+    : { name: "BLOX", address: bloxAddress, txHash: null, blockNumber: null, constructorArgs: null };
+
+  const contracts = { blox };
+  for (const [key, record] of Object.entries(deployed)) contracts[key] = withHashes(record);
+  const manifest = writeDeployment(file, {
+    network: opts.network,
+    chainId: net.chainId,
+    contracts,
+    deployer: runJson.transactions.find((t) => t.transaction?.from)?.transaction.from ?? null,
+    ...(runJson.commit ? { commit: runJson.commit } : {}),
+  });
+  console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+  console.log(JSON.stringify(manifest, null, 2));
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,198 @@
+import fs from "node:fs";
+import { ethers } from "ethers";
+import { connect, parseBuildMinted } from "./lib/contracts.mjs";
+import { DEFAULT_NETWORK, deploymentSigner, openDeployment } from "./lib/deployments.mjs";
+import { geometryHash } from "./lib/geometry.mjs";
+import {
+  MINT_RESERVATION_TYPEHASH,
+  RESERVATION_MAX_TTL,
+  buildReservation,
+  checkReservation,
+  parseReservation,
+  reservationDigest,
+  reservationDomain,
+  reservationTuple,
+  serializeReservation,
+  signReservation,
+} from "./lib/reservations.mjs";
+import { batchRead } from "./lib/rpc.mjs";
+
+// MintReservation tooling:
+//   create <build.json>   build and sign a reservation as the author
+//   verify <file>         check it off-chain and against BuildNFT
+//   submit <file>         mintWithReservation as the minter (dry run without --send)
+//   parity                compare JS digests with BuildNFT.reservationDigest
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    cmd: "",
+    file: "",
+    rpc: process.env.RPC_URL || "",
+    network: process.env.NETWORK || DEFAULT_NETWORK,
+    contracts: process.env.CONTRACTS_JSON || "",
+    reservedFor: "",
+    ttl: BigInt(process.env.RESERVATION_TTL || "86400"),
+    nonce: undefined,
+    out: "",
+    minter: "",
+    count: 8,
+    send: false,
+  };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--rpc") opts.rpc = args[++i];
+    else if (a === "--network") opts.network = args[++i];
+    else if (a === "--contracts") opts.contracts = args[++i];
+    else if (a === "--reserved-for") opts.reservedFor = args[++i];
+    else if (a === "--ttl") opts.ttl = BigInt(args[++i]);
+    else if (a === "--nonce") opts.nonce = BigInt(args[++i]);
+    else if (a === "--out") opts.out = args[++i];
+    else if (a === "--minter") opts.minter = args[++i];
+    else if (a === "--count") opts.count = Number(args[++i]);
+    else if (a === "--send") opts.send = true;
+    else if (a.startsWith("--")) throw new Error(`Unknown option ${a}`);
+    else positional.push(a);
+  }
+  opts.cmd = (positional[0] || "").toLowerCase();
+  opts.file = positional[1] || "";
+  return opts;
+}
+
+function readBundle(file) {
+  if (!file) throw new Error("Pass the reservation file");
+  return parseReservation(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+function report(check) {
+  console.log(`[reservation] digest ${check.digest} at block ${check.blockNumber}`);
+  for (const p of check.problems) console.error(`[reservation] ${p}`);
+  if (!check.problems.length) console.log("[reservation] valid: signature, hashes, expiry and TTL check out and it is unused");
+}
+
+async function create(ctx) {
+  const { opts, provider, manifest } = ctx;
+  if (!opts.file) throw new Error("Usage: create <build.json> [--reserved-for ADDRESS] [--ttl SECONDS] [--out FILE]");
+  if (opts.ttl <= 0n || opts.ttl > RESERVATION_MAX_TTL) throw new Error(`--ttl must be between 1 and ${RESERVATION_MAX_TTL} seconds`);
+  const build = JSON.parse(fs.readFileSync(opts.file, "utf8"));
+  // A description with voxels gets its content-derived hash.
+  if (build.geometryHash === undefined && build.voxels) build.geometryHash = geometryHash(build.voxels, build.density);
+  const author = await deploymentSigner(provider, manifest, { env: ["AUTHOR_PRIVATE_KEY"], missing: "Set AUTHOR_PRIVATE_KEY (or PRIVATE_KEY)" });
+  const [chainId, block] = await Promise.all([provider.getNetwork().then((n) => n.chainId), provider.getBlock("latest")]);
+  // Expiry from chain time, which is what the contract compares against.
+  const built = buildReservation(build, {
+    author: await author.getAddress(),
+    reservedFor: opts.reservedFor || ethers.ZeroAddress,
+    nonce: opts.nonce,
+    expiry: BigInt(block.timestamp) + opts.ttl,
+  });
+  const domain = reservationDomain(chainId, manifest.buildNFT);
+  const signature = await signReservation(author, domain, built.reservation);
+  const file = serializeReservation({ chainId, buildNFT: manifest.buildNFT, ...built, signature });
+  const text = `${JSON.stringify(file, null, 2)}\n`;
+  if (opts.out) {
+    fs.writeFileSync(opts.out, text);
+    console.log(`[reservation] signed ${file.digest} by ${file.reservation.author}, expires ${new Date(Number(file.reservation.expiry) * 1000).toISOString()}; wrote ${opts.out}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+async function verify(ctx) {
+  const bundle = readBundle(ctx.opts.file);
+  const check = await checkReservation(ctx.rpcUrl, ctx.client, bundle, { minter: ctx.opts.minter || undefined });
+  report(check);
+  if (check.problems.length) process.exitCode = 1;
+}
+
+async function submit(ctx) {
+  const { opts, client, provider, manifest } = ctx;
+  const bundle = readBundle(opts.file);
+  const minter = await deploymentSigner(provider, manifest, { env: ["MINTER_PRIVATE_KEY"], missing: "Set MINTER_PRIVATE_KEY (or PRIVATE_KEY)" });
+  const check = await checkReservation(ctx.rpcUrl, client, bundle, { minter: await minter.getAddress() });
+  report(check);
+  if (check.problems.length) {
+    process.exitCode = 1;
+    return;
+  }
+  const buildNFT = client.buildNFT.connect(minter);
+  const args = [reservationTuple(bundle.reservation), bundle.uri, bundle.componentBuildIds, bundle.componentCounts, bundle.signature];
+  const value = await client.buildNFT.FEE_PER_MINT();
+  try {
+    await buildNFT.mintWithReservation.staticCall(...args, { value });
+  } catch (err) {
+    console.error(`[reservation] mintWithReservation reverts: ${err.reason || err.shortMessage || err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (!opts.send) {
+    console.log(`[reservation] simulated mintWithReservation from ${await minter.getAddress()}; pass --send to mint`);
+    return;
+  }
+  const receipt = await (await buildNFT.mintWithReservation(...args, { value })).wait();
+  const minted = parseBuildMinted(client, receipt);
+  console.log(`[reservation] minted token ${minted.tokenId} for author ${minted.creator} in ${receipt.hash}`);
+}
+
+// Random reservations hashed in JS and by BuildNFT.reservationDigest.
+async function parity(ctx) {
+  const { client, rpcUrl, provider, manifest } = ctx;
+  const chainId = (await provider.getNetwork()).chainId;
+  const domain = reservationDomain(chainId, manifest.buildNFT);
+  const randomAddress = () => ethers.getAddress(ethers.hexlify(ethers.randomBytes(20)));
+  const randomUint = (bytes) => ethers.toBigInt(ethers.randomBytes(bytes));
+  const samples = Array.from({ length: ctx.opts.count }, (_, i) => {
+    const ids = Array.from({ length: i % 4 }, () => randomUint(4));
+    return buildReservation(
+      {
+        geometryHash: ethers.hexlify(ethers.randomBytes(32)),
+        mass: randomUint(i % 2 ? 32 : 4),
+        uri: i % 3 ? `ipfs://parity/${i}/${"é".repeat(i)}` : "",
+        componentBuildIds: [...new Set(ids)],
+        componentCounts: [...new Set(ids)].map(() => randomUint(2) + 1n),
+        kind: Number(randomUint(1)),
+        width: Number(randomUint(1)),
+        depth: Number(randomUint(1)),
+        density: Number(randomUint(2)),
+      },
+      { author: randomAddress(), reservedFor: i % 2 ? randomAddress() : ethers.ZeroAddress, expiry: randomUint(8) },
+    ).reservation;
+  });
+  const reads = [{ fn: "MINT_RESERVATION_TYPEHASH", args: [] }, ...samples.map((r) => ({ fn: "reservationDigest", args: [reservationTuple(r)] }))];
+  const [typehash, ...digests] = await batchRead(rpcUrl, client.buildNFT, reads);
+  const typehashOk = !typehash.error && typehash.value === MINT_RESERVATION_TYPEHASH;
+  if (!typehashOk) console.error(`[reservation] typehash: JS ${MINT_RESERVATION_TYPEHASH}, BuildNFT ${typehash.value ?? typehash.error}`);
+  let mismatched = 0;
+  samples.forEach((r, i) => {
+    const mine = reservationDigest(domain, r);
+    const theirs = digests[i];
+    if (theirs.error || theirs.value !== mine) {
+      mismatched++;
+      console.error(`[reservation] sample ${i}: JS ${mine}, BuildNFT ${theirs.value ?? theirs.error}`);
+    }
+  });
+  console.log(`[reservation] parity: typehash ${typehashOk ? "matches" : "DIFFERS"}; ${samples.length - mismatched} of ${samples.length} digests match BuildNFT ${manifest.buildNFT} on chain ${chainId}`);
+  const failed = !typehashOk || mismatched > 0;
+  if (failed) process.exitCode = 1;
+}
+
+async function main() {
+  const opts = parseArgs();
+  const { manifest, rpcUrl, provider } = openDeployment(opts);
+  try {
+    const ctx = { opts, manifest, rpcUrl, provider, client: connect(manifest, provider) };
+    if (opts.cmd === "create") await create(ctx);
+    else if (opts.cmd === "verify") await verify(ctx);
+    else if (opts.cmd === "submit") await submit(ctx);
+    else if (opts.cmd === "parity") await parity(ctx);
+    else throw new Error("Usage: node scripts/reservation.mjs create <build.json>|verify <file>|submit <file> [--send]|parity [--network NAME]");
+  } finally {
+    provider.destroy();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.shortMessage || err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,272 @@
+import fs from "node:fs";
+import { ethers } from "ethers";
+import { KIND_BRICK, connect } from "./lib/contracts.mjs";
+import { DEFAULT_NETWORK, deploymentRpcUrl, loadDeployment } from "./lib/deployments.mjs";
+import { contentPath, createBackend, gatewayCat } from "./lib/storage.mjs";
+
+const PLACEHOLDER_PATTERNS = [/ipfs:\/\/CID\b/, /IMAGES_IPNS/, /PLACEHOLDER/];
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    cmd: "plan",
+    rpc: process.env.RPC_URL || "",
+    network: process.env.NETWORK || DEFAULT_NETWORK,
+    contracts: process.env.CONTRACTS_JSON || "",
+    baseUri: process.env.BASE_TOKEN_URI || "",
+    licenseUri: process.env.LICENSE_BASE_URI_NEW || "",
+    publishManifest: process.env.PUBLISH_MANIFEST || "publish-manifest.json",
+    gateway: process.env.IPFS_GATEWAY || "",
+    backend: process.env.STORAGE_BACKEND || "",
+    sample: Number(process.env.WIRE_SAMPLE || "5"),
+    out: "",
+  };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--rpc") opts.rpc = args[++i];
+    else if (a === "--network") opts.network = args[++i];
+    else if (a === "--contracts") opts.contracts = args[++i];
+    else if (a === "--base-uri") opts.baseUri = args[++i];
+    else if (a === "--license-uri") opts.licenseUri = args[++i];
+    else if (a === "--publish-manifest") opts.publishManifest = args[++i];
+    else if (a === "--gateway") opts.gateway = args[++i];
+    else if (a === "--backend") opts.backend = args[++i];
+    else if (a === "--sample") opts.sample = Number(args[++i]);
+    else if (a === "--out") opts.out = args[++i];
+    else if (!a.startsWith("--")) opts.cmd = a.toLowerCase();
+  }
+  return opts;
+}
+
+// URIs to wire: explicit flags win, otherwise the IPNS name from the last
+// publish. License files are published as licenses/<64-hex>.json inside the
+// same folder, so the LicenseNFT template follows from the base.
+function desiredUris(opts) {
+  let base = opts.baseUri;
+  let license = opts.licenseUri;
+  if ((!base || !license) && fs.existsSync(opts.publishManifest)) {
+    const pm = JSON.parse(fs.readFileSync(opts.publishManifest, "utf8"));
+    const published = pm.ipnsName ? `ipns://${pm.ipnsName}` : "";
+    const current = pm.history.findLast((h) => h.cid === pm.current);
+    base ||= published;
+    if (!license && published && current && Object.keys(current.files).some((f) => f.startsWith("licenses/"))) {
+      license = `${published}/licenses/{id}.json`;
+    }
+  }
+  return { base: base.replace(/\/$/, ""), license };
+}
+
+async function plannedTxs(client, desired) {
+  const txs = [];
+  const currentBase = await client.buildNFT.baseTokenURI();
+  if (desired.base && currentBase !== desired.base) {
+    txs.push({
+      contract: "buildNFT",
+      to: String(client.buildNFT.target),
+      fn: "setBaseTokenURI",
+      args: [desired.base],
+      data: client.buildNFT.interface.encodeFunctionData("setBaseTokenURI", [desired.base]),
+      value: "0",
+      current: currentBase,
+    });
+  }
+  const currentLicense = await client.licenseNFT.uri(0);
+  if (desired.license && currentLicense !== desired.license) {
+    txs.push({
+      contract: "licenseNFT",
+      to: String(client.licenseNFT.target),
+      fn: "setURI",
+      args: [desired.license],
+      data: client.licenseNFT.interface.encodeFunctionData("setURI", [desired.license]),
+      value: "0",
+      current: currentLicense,
+    });
+  }
+  return txs;
+}
+
+// Both setters are onlyOwner; check every owner before sending anything so a
+// half-wired deployment isn't left behind.
+async function sendTxs(client, txs, signer) {
+  for (const tx of txs) {
+    const owner = await client[tx.contract].owner();
+    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+      throw new Error(`${tx.contract}.owner() is ${owner}, not ${signer.address}; export the plan with --out and submit it from the owner.`);
+    }
+  }
+  for (const tx of txs) {
+    const sent = await client[tx.contract].connect(signer)[tx.fn](...tx.args);
+    const receipt = await sent.wait();
+    console.log(`[wire] ${tx.contract}.${tx.fn}(${JSON.stringify(tx.args[0])}) in ${receipt.hash}`);
+  }
+}
+
+function uriProblem(uri, expected) {
+  if (!uri) return "not set";
+  if (PLACEHOLDER_PATTERNS.some((re) => re.test(uri))) return `placeholder URI ${uri}`;
+  if (expected && uri !== expected) return `stale URI ${uri} (expected ${expected})`;
+  return null;
+}
+
+function makeResolver(opts, backend) {
+  return async (uri) => {
+    if (/^https?:\/\//.test(uri)) {
+      const res = await fetch(uri);
+      if (!res.ok) throw new Error(`${uri}: HTTP ${res.status}`);
+      return JSON.parse(await res.text());
+    }
+    const p = contentPath(uri);
+    if (opts.gateway) return JSON.parse((await gatewayCat(opts.gateway, p)).toString("utf8"));
+    if (backend) return JSON.parse((await backend.cat(p)).toString("utf8"));
+    throw new Error(`Cannot resolve ${uri}: pass --gateway <url> or --backend <name>`);
+  };
+}
+
+// Evenly spaced ids across 1..last, each moved forward to the next id for
+// which `ok(id)` holds (e.g. skipping burned tokens).
+async function sampleIds(last, count, ok) {
+  const picks = [];
+  const step = Math.max(1, Math.floor(last / Math.max(1, count)));
+  for (let start = 1; start <= last && picks.length < count; start += step) {
+    for (let id = start; id <= last && id < start + step; id++) {
+      if (!picks.includes(id) && (await ok(id))) {
+        picks.push(id);
+        break;
+      }
+    }
+  }
+  return picks;
+}
+
+function attributeMap(json) {
+  return Object.fromEntries((json.attributes || []).map((a) => [a.trait_type, a.value]));
+}
+
+async function checkBuildTokens(client, resolve, expectedBase, count) {
+  const problems = [];
+  const base = await client.buildNFT.baseTokenURI();
+  const baseProblem = uriProblem(base, expectedBase);
+  if (baseProblem) return [{ target: "BuildNFT.baseTokenURI", problem: baseProblem }];
+
+  const last = Number(await client.buildNFT.nextTokenId()) - 1;
+  const ids = await sampleIds(last, count, (id) => client.buildNFT.exists(id));
+  for (const id of ids) {
+    const uri = await client.buildNFT.tokenURI(id);
+    let json;
+    try {
+      json = await resolve(uri);
+    } catch (err) {
+      problems.push({ target: `token #${id}`, problem: `${uri} does not resolve: ${err.message}` });
+      continue;
+    }
+    const attrs = attributeMap(json);
+    const chain = {
+      kind: Number(await client.buildNFT.kindOf(id)),
+      mass: Number(await client.buildNFT.massOf(id)),
+      density: Number(await client.buildNFT.densityOf(id)),
+      geometryHash: await client.buildNFT.geometryOf(id),
+    };
+    if (chain.kind === KIND_BRICK) chain.specKey = await client.buildNFT.brickSpecKeyOf(id);
+    for (const [field, expected] of Object.entries(chain)) {
+      const actual = attrs[field];
+      const same = typeof expected === "string"
+        ? String(actual ?? "").toLowerCase() === expected.toLowerCase()
+        : Number(actual) === expected;
+      if (!same) problems.push({ target: `token #${id}`, problem: `${field} is ${JSON.stringify(actual ?? null)}, chain has ${JSON.stringify(expected)} (${uri})` });
+    }
+    if (!problems.some((p) => p.target === `token #${id}`)) console.log(`[wire] token #${id}: ${uri} ok`);
+  }
+  if (!ids.length) console.log("[wire] no live tokens to sample");
+  return problems;
+}
+
+async function checkLicenses(client, resolve, expectedTemplate, count) {
+  const problems = [];
+  const template = await client.licenseNFT.uri(0);
+  const templateProblem = uriProblem(template, expectedTemplate);
+  if (templateProblem) return [{ target: "LicenseNFT.uri", problem: templateProblem }];
+
+  const last = Number(await client.licenseRegistry.nextLicenseId()) - 1;
+  const ids = await sampleIds(last, count, async () => true);
+  for (const id of ids) {
+    const uri = template.replace("{id}", id.toString(16).padStart(64, "0"));
+    let json;
+    try {
+      json = await resolve(uri);
+    } catch (err) {
+      problems.push({ target: `license #${id}`, problem: `${uri} does not resolve: ${err.message}` });
+      continue;
+    }
+    const props = json.properties || {};
+    const buildId = Number(props.buildId);
+    if (Number(props.licenseId) !== id || Number(await client.licenseRegistry.licenseIdForBuild(buildId)) !== id) {
+      problems.push({ target: `license #${id}`, problem: `links build #${props.buildId}, which is not mapped to license #${id} on chain` });
+      continue;
+    }
+    if (!props.buildBurned) {
+      const geometryHash = await client.buildNFT.geometryOf(buildId);
+      if (String(props.geometryHash).toLowerCase() !== geometryHash.toLowerCase()) {
+        problems.push({ target: `license #${id}`, problem: `geometryHash is ${props.geometryHash}, build #${buildId} has ${geometryHash}` });
+        continue;
+      }
+    }
+    console.log(`[wire] license #${id}: ${uri} ok`);
+  }
+  return problems;
+}
+
+async function check(client, opts, desired) {
+  const backend = opts.backend && !opts.gateway ? await createBackend(opts.backend) : null;
+  const resolve = makeResolver(opts, backend);
+  const problems = [
+    ...(await checkBuildTokens(client, resolve, desired.base, opts.sample)),
+    ...(await checkLicenses(client, resolve, desired.license, opts.sample)),
+  ];
+  for (const p of problems) console.error(`[wire] FAIL ${p.target}: ${p.problem}`);
+  if (problems.length) {
+    process.exitCode = 1;
+  } else {
+    console.log("[wire] contracts point at the published metadata and sampled anchors match chain state");
+  }
+}
+
+async function main() {
+  const opts = parseArgs();
+  const manifest = loadDeployment(opts.contracts || opts.network);
+  const provider = new ethers.JsonRpcProvider(opts.rpc || deploymentRpcUrl(manifest));
+  const client = connect(manifest, provider);
+  const desired = desiredUris(opts);
+
+  try {
+    if (opts.cmd === "check") {
+      await check(client, opts, desired);
+      return;
+    }
+    if (opts.cmd !== "plan" && opts.cmd !== "send") {
+      throw new Error(`Unknown command: ${opts.cmd}. Use plan|send|check`);
+    }
+    if (!desired.base && !desired.license) {
+      throw new Error("Nothing to wire: pass --base-uri / --license-uri or publish first (publish-manifest.json)");
+    }
+
+    const txs = await plannedTxs(client, desired);
+    if (opts.out) fs.writeFileSync(opts.out, JSON.stringify({ chainId: Number((await provider.getNetwork()).chainId), txs }, null, 2));
+    if (!txs.length) console.log("[wire] contracts already point at the desired URIs");
+    for (const tx of txs) console.log(`[wire] ${tx.contract}.${tx.fn}: ${JSON.stringify(tx.current)} -> ${JSON.stringify(tx.args[0])}`);
+
+    if (opts.cmd === "plan") {
+      console.log(JSON.stringify(txs, null, 2));
+      return;
+    }
+    if (!process.env.PRIVATE_KEY) throw new Error("send needs PRIVATE_KEY (the contracts' owner)");
+    await sendTxs(client, txs, new ethers.Wallet(process.env.PRIVATE_KEY, provider));
+    await check(client, opts, desired);
+  } finally {
+    provider.destroy();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.shortMessage || err.message || err);
+  process.exit(1);
+});